@@ -24,29 +24,25 @@ passport.use(
                 const name = profile.displayName;
                 const googleId = profile.id;
 
-                // Check if user already exists
-                let user = await User.findOne({ email });
+                // Returning user: match on the Google account, not the email
+                let user = await User.findOne({ googleId });
 
                 if (user) {
-                    // User exists - update Google ID if not set
-                    if (!user.googleId) {
-                        user.googleId = googleId;
-                        user.emailVerified = true;
-                        // Avoid null constraint issue with paystackReference
-                        if (user.paystackReference === null) {
-                            user.paystackReference = undefined;
-                        }
-                        await user.save();
-                        logger.info('Linked Google account to existing user', { email });
-                    } else {
-                        logger.info('User logged in with Google', { email });
-                    }
+                    logger.info('User logged in with Google', { email });
+                } else if (await User.exists({ email })) {
+                    // The email is taken by an account not linked to Google. Linking it
+                    // silently would share that account with whoever registered the
+                    // email first, so the owner links Google from their settings
+                    // instead (POST /api/auth/providers/google/link).
+                    logger.warn('Google sign-in refused: email belongs to an unlinked account', { email });
+                    return done(null, false, { message: 'account_exists' });
                 } else {
                     // Create new user with Google OAuth
                     user = new User({
                         name,
                         email,
                         googleId,
+                        provider: 'google',
                         emailVerified: true,
                         // Explicitly set paystackReference to undefined to avoid sparse index collision
                         paystackReference: undefined
@@ -64,4 +60,25 @@ passport.use(
     )
 );
 
+/**
+ * Google strategy used to link Google to an already signed-in account
+ * (routes/providers.js). It only reports the Google identity; the route
+ * decides which user it belongs to. Its callback URL must also be registered
+ * in the Google Cloud console.
+ */
+passport.use(
+    'google-link',
+    new GoogleStrategy(
+        {
+            clientID: process.env.GOOGLE_CLIENT_ID,
+            clientSecret: process.env.GOOGLE_CLIENT_SECRET,
+            callbackURL: `${process.env.BACKEND_URL || 'https://awareguard-backend.onrender.com'}/api/auth/providers/google/callback`,
+            scope: ['profile', 'email']
+        },
+        (accessToken, refreshToken, profile, done) => {
+            done(null, { googleId: profile.id, email: profile.emails?.[0]?.value || null });
+        }
+    )
+);
+
 export default passport;
@@ -0,0 +1,85 @@
+// awareguard-backend/config/roles.js
+
+/**
+ * Staff roles and the permissions each one grants
+ *
+ * Roles are stored on User.roles; a user may hold several. Regular users
+ * have no roles. Permissions are checked with requirePermission() from
+ * middleware/auth.js, never by comparing role names in route handlers.
+ */
+
+export const PERMISSIONS = [
+  'dashboard:read',
+  'users:read',
+  'users:write',
+  'users:delete',
+  'roles:manage',
+  'reports:read',
+  'reports:review',
+  'reports:evidence',
+  'stories:read',
+  'stories:manage',
+  'payments:read',
+  'plans:manage',
+  'domains:manage',
+  'quizzes:read',
+  'contacts:read',
+  'leads:read',
+  'settings:read',
+  'settings:write',
+  'audit:read',
+  'maintenance:run'
+];
+
+export const ROLES = {
+  admin: {
+    description: 'Full access, including granting and revoking roles',
+    permissions: PERMISSIONS
+  },
+  moderator: {
+    description: 'Reviews scam reports, campaigns, stories and the domain lists',
+    permissions: [
+      'dashboard:read',
+      'reports:read',
+      'reports:review',
+      'reports:evidence',
+      'stories:read',
+      'stories:manage',
+      'domains:manage'
+    ]
+  },
+  support: {
+    description: 'Looks up users, payments and learning progress to answer support requests',
+    permissions: [
+      'dashboard:read',
+      'users:read',
+      'payments:read',
+      'reports:read',
+      'quizzes:read',
+      'contacts:read'
+    ]
+  },
+  'content-editor': {
+    description: 'Curates published stories',
+    permissions: [
+      'dashboard:read',
+      'stories:read',
+      'stories:manage'
+    ]
+  }
+};
+
+export const ROLE_NAMES = Object.keys(ROLES);
+
+/**
+ * Union of the permissions granted by a set of roles
+ * @param {string[]} roles - Role names (unknown names are ignored)
+ * @returns {string[]}
+ */
+export function permissionsForRoles(roles = []) {
+  const granted = new Set();
+  for (const role of roles) {
+    (ROLES[role]?.permissions || []).forEach(p => granted.add(p));
+  }
+  return [...granted];
+}
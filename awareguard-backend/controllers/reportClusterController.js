@@ -0,0 +1,330 @@
+/**
+ * reportClusterController.js - Scam Campaign Clustering
+ * Location: awareguard-backend/controllers/reportClusterController.js
+ *
+ * Groups reports that share an indicator (domain, phone, email, account number)
+ * or have near-duplicate text into ReportCluster records, and implements the
+ * admin merge / split / approve operations.
+ */
+
+import mongoose from 'mongoose';
+import { Report } from '../models/Report.js';
+import { ReportCluster } from '../models/ReportCluster.js';
+import { Story } from '../models/Story.js';
+
+const SIGNATURE_SIZE = 32;
+const NEAR_DUPLICATE_THRESHOLD = 0.6;
+const TEXT_MATCH_WINDOW_DAYS = 90;
+const TEXT_MATCH_CANDIDATES = 300;
+
+// ===== TEXT SIGNATURES =====
+
+function fnv1a(str, seed) {
+  let hash = (0x811c9dc5 ^ seed) >>> 0;
+  for (let i = 0; i < str.length; i++) {
+    hash ^= str.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193) >>> 0;
+  }
+  return hash;
+}
+
+/**
+ * MinHash signature over 3-word shingles of the text
+ * @param {string} text - Report text
+ * @returns {number[]} Signature, or [] when the text is too short to compare
+ */
+function computeTextSignature(text = '') {
+  const words = text
+    .toLowerCase()
+    .replace(/[^a-z0-9\s]/g, ' ')
+    .split(/\s+/)
+    .filter(Boolean);
+  if (words.length < 5) return [];
+
+  const shingles = new Set();
+  for (let i = 0; i <= words.length - 3; i++) {
+    shingles.add(words.slice(i, i + 3).join(' '));
+  }
+
+  const signature = [];
+  for (let seed = 0; seed < SIGNATURE_SIZE; seed++) {
+    let min = Infinity;
+    for (const shingle of shingles) {
+      const h = fnv1a(shingle, seed * 0x9e3779b1);
+      if (h < min) min = h;
+    }
+    signature.push(min);
+  }
+  return signature;
+}
+
+// Estimated Jaccard similarity of two MinHash signatures
+function signatureSimilarity(a = [], b = []) {
+  if (a.length !== SIGNATURE_SIZE || b.length !== SIGNATURE_SIZE) return 0;
+  let same = 0;
+  for (let i = 0; i < SIGNATURE_SIZE; i++) {
+    if (a[i] === b[i]) same++;
+  }
+  return same / SIGNATURE_SIZE;
+}
+
+// ===== INDICATORS =====
+
+function indicatorQuery(report) {
+  const clauses = [];
+  if (report.domain) clauses.push({ domain: report.domain });
+  if (report.scammerPhone) clauses.push({ scammerPhone: report.scammerPhone });
+  if (report.scammerEmail) clauses.push({ scammerEmail: report.scammerEmail });
+  if (report.scammerAccountNumber) clauses.push({ scammerAccountNumber: report.scammerAccountNumber });
+  return clauses;
+}
+
+function buildClusterTitle(report) {
+  const indicator = report.domain || report.scammerPhone || report.scammerEmail || report.scammerHandle;
+  const label = report.threatType || 'Scam campaign';
+  if (indicator) return `${label}: ${indicator}`;
+  const text = (report.description || report.details || '').replace(/\s+/g, ' ').trim();
+  return `${label}: ${text.length > 50 ? `${text.substring(0, 47)}...` : text}`;
+}
+
+// ===== CLUSTER MAINTENANCE =====
+
+/**
+ * Recompute a cluster's indicators and counts from its member reports.
+ * Rejected reports don't count. Deletes the cluster when it has no members left.
+ * @param {ObjectId} clusterId
+ * @returns {Promise<Object|null>} Updated cluster, or null if it was removed
+ */
+async function refreshClusterStats(clusterId) {
+  // Aggregation pipelines are not cast by mongoose
+  const id = new mongoose.Types.ObjectId(String(clusterId));
+  const [stats] = await Report.aggregate([
+    { $match: { clusterId: id, status: { $ne: 'rejected' } } },
+    {
+      $group: {
+        _id: null,
+        reportCount: { $sum: 1 },
+        pendingCount: { $sum: { $cond: [{ $eq: ['$status', 'pending'] }, 1, 0] } },
+        firstReportedAt: { $min: '$createdAt' },
+        lastReportedAt: { $max: '$createdAt' },
+        domains: { $addToSet: '$domain' },
+        phones: { $addToSet: '$scammerPhone' },
+        emails: { $addToSet: '$scammerEmail' },
+        accountNumbers: { $addToSet: '$scammerAccountNumber' }
+      }
+    }
+  ]);
+
+  if (!stats) {
+    await Report.updateMany({ clusterId: id }, { clusterId: null });
+    await ReportCluster.findByIdAndDelete(id);
+    return null;
+  }
+
+  const compact = (values) => values.filter(Boolean).sort();
+
+  return ReportCluster.findByIdAndUpdate(
+    id,
+    {
+      reportCount: stats.reportCount,
+      pendingCount: stats.pendingCount,
+      firstReportedAt: stats.firstReportedAt,
+      lastReportedAt: stats.lastReportedAt,
+      indicators: {
+        domains: compact(stats.domains),
+        phones: compact(stats.phones),
+        emails: compact(stats.emails),
+        accountNumbers: compact(stats.accountNumbers)
+      }
+    },
+    { new: true }
+  );
+}
+
+/**
+ * Attach a newly submitted report to a campaign cluster.
+ * Joins the cluster most of its related reports belong to, or creates one
+ * when related reports exist but none is clustered yet.
+ * @param {ObjectId} reportId
+ * @returns {Promise<Object|null>} The cluster, or null when no related report exists
+ */
+async function assignReportToCluster(reportId) {
+  const report = await Report.findById(reportId).select('+textSignature');
+  if (!report) return null;
+
+  const related = new Map();
+
+  const clauses = indicatorQuery(report);
+  if (clauses.length > 0) {
+    const matches = await Report.find({ _id: { $ne: report._id }, status: { $ne: 'rejected' }, $or: clauses })
+      .select('clusterId')
+      .limit(200)
+      .lean();
+    matches.forEach(r => related.set(String(r._id), r));
+  }
+
+  if (related.size === 0 && report.textSignature?.length === SIGNATURE_SIZE) {
+    const since = new Date(Date.now() - TEXT_MATCH_WINDOW_DAYS * 24 * 60 * 60 * 1000);
+    const candidates = await Report.find({
+      _id: { $ne: report._id },
+      status: { $ne: 'rejected' },
+      createdAt: { $gte: since },
+      'textSignature.0': { $exists: true }
+    })
+      .select('+textSignature clusterId')
+      .sort({ createdAt: -1 })
+      .limit(TEXT_MATCH_CANDIDATES)
+      .lean();
+
+    candidates
+      .filter(c => signatureSimilarity(report.textSignature, c.textSignature) >= NEAR_DUPLICATE_THRESHOLD)
+      .forEach(c => related.set(String(c._id), c));
+  }
+
+  if (related.size === 0) return null;
+
+  // Most common existing cluster among related reports
+  const clusterVotes = {};
+  for (const r of related.values()) {
+    if (r.clusterId) clusterVotes[r.clusterId] = (clusterVotes[r.clusterId] || 0) + 1;
+  }
+  const [topClusterId] = Object.entries(clusterVotes).sort((a, b) => b[1] - a[1])[0] || [];
+
+  let cluster = topClusterId ? await ReportCluster.findById(topClusterId) : null;
+  if (!cluster) {
+    cluster = await ReportCluster.create({ title: buildClusterTitle(report) });
+  } else if (cluster.status !== 'open' && report.status === 'pending') {
+    // New pending report on a reviewed campaign needs another look
+    cluster.status = 'open';
+    await cluster.save();
+  }
+
+  const unclustered = [...related.values()].filter(r => !r.clusterId).map(r => r._id);
+  await Report.updateMany(
+    { _id: { $in: [report._id, ...unclustered] } },
+    { clusterId: cluster._id }
+  );
+
+  return refreshClusterStats(cluster._id);
+}
+
+/**
+ * Move every report from the source clusters into the target and delete the sources
+ * @param {ObjectId} targetId
+ * @param {ObjectId[]} sourceIds
+ * @returns {Promise<Object|null>} Target cluster, or null if it does not exist
+ */
+async function mergeClusters(targetId, sourceIds) {
+  const target = await ReportCluster.findById(targetId);
+  if (!target) return null;
+
+  const sources = sourceIds.filter(id => String(id) !== String(targetId));
+  await Report.updateMany({ clusterId: { $in: sources } }, { clusterId: target._id });
+  await ReportCluster.deleteMany({ _id: { $in: sources } });
+
+  return refreshClusterStats(target._id);
+}
+
+/**
+ * Move the given reports out of a cluster. Two or more reports form a new
+ * cluster; a single report is simply detached.
+ * @param {ObjectId} clusterId
+ * @param {ObjectId[]} reportIds
+ * @returns {Promise<Object|null>} { source, created } or null if the cluster does not exist
+ */
+async function splitCluster(clusterId, reportIds) {
+  const cluster = await ReportCluster.findById(clusterId);
+  if (!cluster) return null;
+
+  const members = await Report.find({ _id: { $in: reportIds }, clusterId: cluster._id }).sort({ createdAt: 1 });
+  if (members.length === 0) return { source: cluster, created: null, moved: 0 };
+
+  let created = null;
+  if (members.length >= 2) {
+    created = await ReportCluster.create({ title: buildClusterTitle(members[0]) });
+  }
+
+  await Report.updateMany(
+    { _id: { $in: members.map(m => m._id) } },
+    { clusterId: created ? created._id : null }
+  );
+
+  return {
+    source: await refreshClusterStats(cluster._id),
+    created: created ? await refreshClusterStats(created._id) : null,
+    moved: members.length
+  };
+}
+
+/**
+ * Publish a whole cluster as one Story and approve its pending reports
+ * @param {ObjectId} clusterId
+ * @param {ObjectId} adminId
+ * @param {Object} options - { title, category }
+ * @returns {Promise<Object|null>} { cluster, story, approvedCount } or null if the cluster does not exist
+ */
+async function approveCluster(clusterId, adminId, { title, category } = {}) {
+  const cluster = await ReportCluster.findById(clusterId);
+  if (!cluster) return null;
+
+  const pending = await Report.find({ clusterId: cluster._id, status: 'pending' }).sort({ createdAt: 1 });
+  if (pending.length === 0) {
+    return { cluster, story: null, approvedCount: 0 };
+  }
+
+  // The story only tells what the reports being approved say
+  const indicatorsOf = (field) => [...new Set(pending.map(r => r[field]).filter(Boolean))].sort();
+  const indicatorLines = [
+    ['Websites', indicatorsOf('domain')],
+    ['Phone numbers', indicatorsOf('scammerPhone')],
+    ['Email addresses', indicatorsOf('scammerEmail')],
+    ['Account numbers', indicatorsOf('scammerAccountNumber')]
+  ].filter(([, values]) => values.length).map(([label, values]) => `${label}: ${values.join(', ')}`);
+
+  // Lead with the most detailed account, then the campaign summary
+  const representative = [...pending].sort(
+    (a, b) => (b.description || b.details).length - (a.description || a.details).length
+  )[0];
+
+  const content = [
+    representative.description || representative.details,
+    `This campaign was reported ${pending.length} times to AwareGuard.`,
+    indicatorLines.length ? `Known indicators:\n${indicatorLines.join('\n')}` : null
+  ].filter(Boolean).join('\n\n');
+
+  const story = await Story.create({
+    name: 'AwareGuard Community',
+    title: title || cluster.title,
+    category: category || representative.threatType || 'Scam Report',
+    content,
+    isApproved: true
+  });
+
+  const reviewedAt = new Date();
+  await Report.updateMany(
+    { _id: { $in: pending.map(r => r._id) } },
+    { status: 'approved', reviewedBy: adminId, reviewedAt, publishedStoryId: story._id }
+  );
+
+  cluster.status = 'approved';
+  cluster.publishedStoryId = story._id;
+  cluster.reviewedBy = adminId;
+  cluster.reviewedAt = reviewedAt;
+  await cluster.save();
+
+  return {
+    cluster: await refreshClusterStats(cluster._id),
+    story,
+    approvedCount: pending.length
+  };
+}
+
+export {
+  computeTextSignature,
+  signatureSimilarity,
+  assignReportToCluster,
+  refreshClusterStats,
+  mergeClusters,
+  splitCluster,
+  approveCluster
+};
@@ -5,24 +5,41 @@ import { config } from "dotenv";
 import askRoute from "./routes/sendMessages.js";
 import reportRoute from "./routes/report.js";
 import authRoute from "./routes/auth.js";
+import twoFactorRoute from "./routes/twoFactor.js";
+import sessionsRoute from "./routes/sessions.js";
+import providersRoute from "./routes/providers.js";
+import accountRoute from "./routes/account.js";
 import learningRoute from "./routes/learning.js";
 import leadsRoute from "./routes/leads.js";
 import paymentRoute from "./routes/payments.js";
+import teamRoute from "./routes/team.js";
 import adminRoute from "./routes/admin.js";
 import logger from "./utils/logger.js";
 
 // 🔹 NEW IMPORTS
 import { connectDB } from "./config/db.js";
+import { seedDefaultPlans } from "./utils/subscriptions.js";
+import { startScheduler } from "./utils/scheduler.js";
 import storiesRoute from "./routes/stories.js";
 import quizzesRoute from "./routes/api/quizzes.js";
 import configRoute from "./routes/config.js";
 import contactRoute from "./routes/contact.js";
+import analyzeRoute from "./routes/analyze.js";
+import checkUrlRoute from "./routes/checkUrl.js";
 
 config();
 
 const app = express();
 const port = process.env.PORT || 8000;
 
+// ===== PROXY =====
+// Rate limits are keyed by client IP; behind a load balancer set TRUST_PROXY
+// to the number of proxy hops (e.g. 1) so req.ip is the real client
+if (process.env.TRUST_PROXY) {
+  const hops = Number(process.env.TRUST_PROXY);
+  app.set('trust proxy', Number.isNaN(hops) ? process.env.TRUST_PROXY : hops);
+}
+
 // ===== CORS LOCKDOWN =====
 const ALLOWED_ORIGINS = [
   process.env.FRONTEND_URL,
@@ -44,28 +61,41 @@ app.use(cors({
 app.use(cookieParser());
 
 // ===== RAW BODY FOR WEBHOOK SIGNATURE VERIFICATION =====
-// MUST come before express.json() to preserve raw bytes
-app.post('/api/payments/webhook',
-  express.raw({ type: 'application/json' }),
-  paymentRoute
-);
+// MUST come before express.json() to preserve raw bytes; the route itself
+// is POST /webhook in routes/payments.js
+app.use('/api/payments/webhook', express.raw({ type: 'application/json' }));
 
 app.use(express.json());
 
 // 🔹 CONNECT TO MONGO
-connectDB();
+// A fresh database gets the default plans so checkout works out of the box
+connectDB()
+  .then(seedDefaultPlans)
+  .catch((err) => logger.error('Plan seeding failed', { error: err.message }));
+
+// 🔹 BACKGROUND JOBS (utils/jobs.js); waits for the database connection
+startScheduler();
 
 // 🔹 EXISTING ROUTES (unchanged)
 app.use("/api/reports", reportRoute);
 app.use("/api/report", reportRoute); // Legacy compatibility alias
 app.use("/api/ask", askRoute);
+app.use("/api/ask/analyze", analyzeRoute); // Alias under the assistant namespace
+app.use("/api/analyze", analyzeRoute);
+app.use("/api/check-url", checkUrlRoute);
 
 //New Routes
 app.use("/api/auth", authRoute);
+app.use("/api/auth/2fa", twoFactorRoute);
+app.use("/api/auth/sessions", sessionsRoute);
+app.use("/api/auth/providers", providersRoute);
+app.use("/api/auth/me", accountRoute);
 app.use("/api/learning", learningRoute);
 app.use("/api/leads", leadsRoute);
 // Payment routes
 app.use("/api/payments", paymentRoute);
+// Team plan routes
+app.use("/api/team", teamRoute);
 
 // 🔹 NEW STORIES ROUTE
 app.use("/api/stories", storiesRoute);
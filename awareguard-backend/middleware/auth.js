@@ -1,20 +1,143 @@
 // awareguard-backend/middleware/auth.js
 import jwt from "jsonwebtoken";
 import { User } from "../models/User.js";
+import { getSetting } from "../utils/appSettings.js";
 import logger from "../utils/logger.js";
 
+/**
+ * Resolve a Bearer access token to its user.
+ * Besides the signature and expiry, the token must carry the user's current
+ * tokenVersion (bumped by password resets, role changes and "sign out
+ * everywhere") and, when it names a session, that session must still exist.
+ * @returns {Promise<Object>} { user, sessionId } or { error } with a client-facing code
+ */
+async function resolveAccessToken(token) {
+  let payload;
+  try {
+    payload = jwt.verify(token, process.env.JWT_SECRET);
+  } catch (err) {
+    return { error: err.name === "TokenExpiredError" ? "TOKEN_EXPIRED" : "TOKEN_INVALID" };
+  }
+
+  // Challenge tokens (e.g. pending 2FA) are not access tokens
+  if (payload.purpose) return { error: "TOKEN_INVALID" };
+
+  const user = await User.findById(payload.sub).select("-passwordHash");
+  if (!user) return { error: "TOKEN_REVOKED" };
+
+  if ((payload.ver ?? 0) !== (user.tokenVersion ?? 0)) return { error: "TOKEN_REVOKED" };
+  if (payload.sid && !user.refreshTokens.some(t => t.familyId === payload.sid)) {
+    return { error: "TOKEN_REVOKED" };
+  }
+
+  return { user, sessionId: payload.sid || null };
+}
+
 export const authMiddleware = async (req, res, next) => {
   try {
     const header = req.headers.authorization || "";
     if (!header.startsWith("Bearer ")) return res.status(401).json({ error: "Unauthorized" });
-    const token = header.split(" ")[1];
-    const payload = jwt.verify(token, process.env.JWT_SECRET);
-    const user = await User.findById(payload.sub).select("-passwordHash");
-    if (!user) return res.status(401).json({ error: "Unauthorized" });
+
+    const { user, sessionId, error } = await resolveAccessToken(header.split(" ")[1]);
+    // code tells the client whether to call /api/auth/refresh (TOKEN_EXPIRED) or sign in again
+    if (error) return res.status(401).json({ error: "Unauthorized", code: error });
+
     req.user = user;
+    req.sessionId = sessionId;
     next();
   } catch (err) {
     logger.error("Auth middleware error", { error: err.message });
     return res.status(401).json({ error: "Unauthorized" });
   }
 };
+
+// Attach req.user when a valid token is present, but never reject the request
+export const optionalAuth = async (req, res, next) => {
+  try {
+    const header = req.headers.authorization || "";
+    if (!header.startsWith("Bearer ")) return next();
+
+    const { user, sessionId } = await resolveAccessToken(header.split(" ")[1]);
+    if (user) {
+      req.user = user;
+      req.sessionId = sessionId;
+    }
+  } catch (err) {
+    logger.warn("Optional auth token rejected", { error: err.message });
+  }
+  next();
+};
+
+// Staff whose role is listed in the twoFactor.requiredRoles setting must have 2FA enabled
+async function isMissingRequiredTwoFactor(user) {
+  if (!user?.roles?.length || user.twoFactor?.enabled) return false;
+  const requiredRoles = await getSetting("twoFactor.requiredRoles", []);
+  return user.roles.some(role => requiredRoles.includes(role));
+}
+
+function rejectMissingTwoFactor(req, res) {
+  logger.warn("Staff access blocked until 2FA is enabled", { userId: req.user._id, path: req.originalUrl });
+  return res.status(403).json({
+    error: "Two-factor authentication must be enabled for your role",
+    code: "TWO_FACTOR_REQUIRED"
+  });
+}
+
+/**
+ * Require every listed permission (use after authMiddleware)
+ * e.g. router.post("/reports/:id/approve", requirePermission("reports:review"), handler)
+ */
+export const requirePermission = (...permissions) => async (req, res, next) => {
+  const missing = permissions.filter(p => !req.user?.hasPermission(p));
+  if (missing.length > 0) {
+    logger.warn("Permission denied", { userId: req.user?._id, path: req.originalUrl, missing });
+    return res.status(403).json({ error: "You do not have permission to perform this action" });
+  }
+  try {
+    if (await isMissingRequiredTwoFactor(req.user)) return rejectMissingTwoFactor(req, res);
+  } catch (err) {
+    logger.error("2FA policy check failed", { error: err.message });
+    return res.status(500).json({ error: "Failed to check access policy" });
+  }
+  next();
+};
+
+// Allow any user holding at least one staff role (use after authMiddleware)
+export const requireStaff = async (req, res, next) => {
+  if (!req.user?.roles?.length) {
+    logger.warn("Unauthorized admin access attempt", { userId: req.user?._id, email: req.user?.email });
+    return res.status(403).json({ error: "Admin access required" });
+  }
+  try {
+    if (await isMissingRequiredTwoFactor(req.user)) return rejectMissingTwoFactor(req, res);
+  } catch (err) {
+    logger.error("2FA policy check failed", { error: err.message });
+    return res.status(500).json({ error: "Failed to check access policy" });
+  }
+  next();
+};
+
+// Features listed in EMAIL_VERIFICATION_REQUIRED_FOR (comma-separated, e.g. "payments,stories")
+export function isEmailVerificationRequired(feature) {
+  return (process.env.EMAIL_VERIFICATION_REQUIRED_FOR || "")
+    .split(",")
+    .map(f => f.trim())
+    .includes(feature);
+}
+
+/**
+ * Block a feature until the user's email is verified, when the policy requires it.
+ * Features not listed stay open, including to anonymous users.
+ * Use after authMiddleware or optionalAuth.
+ */
+export const requireVerifiedEmail = (feature) => (req, res, next) => {
+  if (!isEmailVerificationRequired(feature)) return next();
+
+  if (!req.user) {
+    return res.status(401).json({ error: "Please sign in with a verified email address", code: "EMAIL_NOT_VERIFIED" });
+  }
+  if (!req.user.emailVerified) {
+    return res.status(403).json({ error: "Please verify your email address first", code: "EMAIL_NOT_VERIFIED" });
+  }
+  next();
+};
@@ -0,0 +1,24 @@
+// awareguard-backend/models/AppSetting.js
+import mongoose from "mongoose";
+
+// Runtime settings changed by admins without a redeploy (read through utils/appSettings.js)
+const appSettingSchema = new mongoose.Schema(
+    {
+        key: {
+            type: String,
+            required: true,
+            unique: true
+        },
+
+        value: { type: mongoose.Schema.Types.Mixed, default: null },
+
+        // Admin who last changed the setting
+        updatedBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User'
+        }
+    },
+    { timestamps: true }
+);
+
+export const AppSetting = mongoose.model("AppSetting", appSettingSchema);
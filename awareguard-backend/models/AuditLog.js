@@ -0,0 +1,65 @@
+// awareguard-backend/models/AuditLog.js
+import mongoose from "mongoose";
+
+const auditLogSchema = new mongoose.Schema(
+    {
+        // Staff member who performed the action (null for CLI / system actions)
+        actorId: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User',
+            default: null,
+            index: true
+        },
+
+        // Copied so entries stay readable after the actor account is deleted
+        actorEmail: { type: String, default: null },
+
+        // Dotted verb, e.g. 'user.update', 'report.approve', 'role.grant'
+        action: {
+            type: String,
+            required: true,
+            index: true
+        },
+
+        targetType: {
+            type: String,
+            required: true
+        },
+
+        targetId: {
+            type: String,
+            default: null
+        },
+
+        // Only the fields that changed: { field: value }
+        before: { type: mongoose.Schema.Types.Mixed, default: null },
+        after: { type: mongoose.Schema.Types.Mixed, default: null },
+
+        // Extra context that isn't a field change (e.g. rejection reason, merged cluster ids)
+        metadata: { type: mongoose.Schema.Types.Mixed, default: null },
+
+        ipAddress: { type: String, default: null },
+        userAgent: { type: String, default: null }
+    },
+    { timestamps: { createdAt: true, updatedAt: false } }
+);
+
+auditLogSchema.index({ targetType: 1, targetId: 1, createdAt: -1 });
+auditLogSchema.index({ createdAt: -1 });
+
+// ===== APPEND-ONLY =====
+
+function rejectMutation() {
+    throw new Error('Audit log entries are append-only');
+}
+
+auditLogSchema.pre('save', function () {
+    if (!this.isNew) rejectMutation();
+});
+
+[
+    'updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'findOneAndReplace',
+    'deleteOne', 'deleteMany', 'findOneAndDelete'
+].forEach(op => auditLogSchema.pre(op, rejectMutation));
+
+export const AuditLog = mongoose.model("AuditLog", auditLogSchema);
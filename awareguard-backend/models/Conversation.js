@@ -0,0 +1,70 @@
+// awareguard-backend/models/Conversation.js
+import mongoose from "mongoose";
+
+const messageSchema = new mongoose.Schema(
+    {
+        role: {
+            type: String,
+            enum: ['user', 'assistant'],
+            required: true
+        },
+        content: { type: String, required: true },
+        createdAt: { type: Date, default: Date.now }
+    },
+    { _id: false }
+);
+
+const conversationSchema = new mongoose.Schema(
+    {
+        // Public session identifier (random, unguessable) used to resume a conversation
+        sessionId: {
+            type: String,
+            required: true,
+            unique: true,
+            index: true
+        },
+
+        // Owner (null for anonymous sessions)
+        userId: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User',
+            default: null,
+            index: true
+        },
+
+        // Short title derived from the first question
+        title: { type: String, default: 'New conversation' },
+
+        // Full message history (system prompt is never stored)
+        messages: {
+            type: [messageSchema],
+            default: []
+        },
+
+        lastMessageAt: { type: Date, default: Date.now }
+    },
+    { timestamps: true }
+);
+
+// Index for listing a user's recent conversations
+conversationSchema.index({ userId: 1, lastMessageAt: -1 });
+
+// Get the most recent messages to send to the model
+conversationSchema.methods.getTrimmedHistory = function (maxMessages = 20, maxChars = 12000) {
+    const recent = this.messages.slice(-maxMessages);
+
+    // Drop oldest messages until the history fits the character budget
+    let total = recent.reduce((sum, m) => sum + m.content.length, 0);
+    while (recent.length > 1 && total > maxChars) {
+        total -= recent.shift().content.length;
+    }
+
+    // Never start the history with an assistant reply
+    while (recent.length > 1 && recent[0].role !== 'user') {
+        recent.shift();
+    }
+
+    return recent.map(m => ({ role: m.role, content: m.content }));
+};
+
+export const Conversation = mongoose.model("Conversation", conversationSchema);
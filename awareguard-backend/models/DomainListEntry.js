@@ -0,0 +1,34 @@
+// awareguard-backend/models/DomainListEntry.js
+import mongoose from "mongoose";
+
+const domainListEntrySchema = new mongoose.Schema(
+    {
+        // Registrable domain (e.g. "gtb-verify.xyz"), always lowercase
+        domain: {
+            type: String,
+            required: true,
+            unique: true,
+            lowercase: true,
+            trim: true
+        },
+
+        // 'block' = known scam domain, 'allow' = verified legitimate domain
+        listType: {
+            type: String,
+            enum: ['block', 'allow'],
+            required: true,
+            index: true
+        },
+
+        reason: { type: String, default: '' },
+
+        // Admin who added or last changed the entry
+        addedBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User'
+        }
+    },
+    { timestamps: true }
+);
+
+export const DomainListEntry = mongoose.model("DomainListEntry", domainListEntrySchema);
@@ -0,0 +1,28 @@
+// awareguard-backend/models/LoginThrottle.js
+import mongoose from "mongoose";
+
+// Consecutive failed sign-in attempts per account, for lockout with backoff
+const loginThrottleSchema = new mongoose.Schema(
+    {
+        // "password:<email>" or "2fa:<userId>"
+        key: {
+            type: String,
+            required: true,
+            unique: true
+        },
+
+        failures: { type: Number, default: 0 },
+
+        lockedUntil: { type: Date, default: null },
+
+        // Documents disappear a day after the last failure
+        lastFailureAt: {
+            type: Date,
+            default: Date.now,
+            index: { expireAfterSeconds: 24 * 60 * 60 }
+        }
+    },
+    { versionKey: false }
+);
+
+export const LoginThrottle = mongoose.model("LoginThrottle", loginThrottleSchema);
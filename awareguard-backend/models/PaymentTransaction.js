@@ -15,23 +15,29 @@ const paymentTransactionSchema = new mongoose.Schema(
             required: true,
             index: true
         },
+        // Kobo; for initialized transactions this is the amount we expect Paystack to charge
         amount: { type: Number, required: true },
+        currency: { type: String, default: 'NGN' },
+        // Plan code (see models/Plan.js)
         plan: {
             type: String,
-            enum: ['monthly', 'annual'],
             required: true
         },
         status: {
             type: String,
-            enum: ['success', 'failed', 'cancelled'],
+            // pending: created by POST /api/payments/initialize, not paid yet
+            enum: ['pending', 'success', 'failed', 'cancelled'],
             default: 'success'
         },
+        // Where the payment was confirmed ('initialize' while still pending);
+        // 'renewal' for charges of a saved card by processSubscriptionRenewals
         source: {
             type: String,
-            enum: ['verify', 'webhook'],
+            enum: ['initialize', 'verify', 'webhook', 'renewal'],
             required: true
         },
         processedAt: { type: Date, default: Date.now },
+        paidAt: Date,
 
         // Additional metadata
         paystackData: mongoose.Schema.Types.Mixed
@@ -0,0 +1,74 @@
+// awareguard-backend/models/Plan.js
+import mongoose from "mongoose";
+
+export const PLAN_INTERVALS = ['day', 'week', 'month', 'year'];
+
+const priceSchema = new mongoose.Schema(
+    {
+        currency: {
+            type: String,
+            required: true,
+            uppercase: true,
+            trim: true,
+            match: /^[A-Z]{3}$/
+        },
+        // Minor units (kobo for NGN), as Paystack expects
+        amount: { type: Number, required: true, min: 0 }
+    },
+    { _id: false }
+);
+
+// Subscription plans offered at checkout (managed through /api/admin/plans)
+const planSchema = new mongoose.Schema(
+    {
+        // Stable identifier stored on users and transactions, e.g. "monthly"
+        code: {
+            type: String,
+            required: true,
+            unique: true,
+            lowercase: true,
+            trim: true,
+            match: /^[a-z0-9][a-z0-9-]*$/
+        },
+
+        name: { type: String, required: true, trim: true },
+        description: { type: String, default: '' },
+
+        // Billing period: intervalCount x interval (a quarterly plan is 3 x month)
+        interval: {
+            type: String,
+            enum: PLAN_INTERVALS,
+            required: true
+        },
+        intervalCount: { type: Number, default: 1, min: 1 },
+
+        prices: {
+            type: [priceSchema],
+            validate: {
+                validator: (prices) => prices.length > 0 && new Set(prices.map(p => p.currency)).size === prices.length,
+                message: 'A plan needs at least one price and one price per currency'
+            }
+        },
+
+        // Feature keys granted while subscribed (shown on the pricing page)
+        features: { type: [String], default: [] },
+
+        // Accounts one subscription covers: the subscriber plus seats - 1 invited
+        // members. A plan with more than one seat is a team plan (see TEAM PLANS
+        // in utils/subscriptions.js)
+        seats: { type: Number, default: 1, min: 1 },
+
+        // Optional Paystack plan (PLN_...). When set, checkout creates a Paystack
+        // subscription and Paystack charges the renewals; its amount must match
+        // the price above. Otherwise we renew by charging the saved card.
+        paystackPlanCode: { type: String, default: null, trim: true },
+
+        // Inactive plans can no longer be bought; existing subscribers keep them
+        active: { type: Boolean, default: true, index: true },
+
+        sortOrder: { type: Number, default: 0 }
+    },
+    { timestamps: true }
+);
+
+export const Plan = mongoose.model("Plan", planSchema);
@@ -0,0 +1,26 @@
+// awareguard-backend/models/RateLimitCounter.js
+import mongoose from "mongoose";
+
+// Fixed-window hit counters shared by every app instance (see utils/rateLimit.js)
+const rateLimitCounterSchema = new mongoose.Schema(
+    {
+        // "<policy>:<client key>", e.g. "signin:ip:203.0.113.7"
+        key: {
+            type: String,
+            required: true,
+            unique: true
+        },
+
+        count: { type: Number, default: 0 },
+
+        // End of the current window; MongoDB removes the document after it
+        resetAt: {
+            type: Date,
+            required: true,
+            index: { expireAfterSeconds: 0 }
+        }
+    },
+    { versionKey: false }
+);
+
+export const RateLimitCounter = mongoose.model("RateLimitCounter", rateLimitCounterSchema);
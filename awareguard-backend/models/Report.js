@@ -1,12 +1,54 @@
 // awareguard-backend/models/Report.js
 import mongoose from "mongoose";
+import { PAYMENT_METHODS } from "../utils/reportFields.js";
 
 const reportSchema = new mongoose.Schema(
     {
         name: { type: String, required: true, trim: true },
         email: { type: String, required: true, lowercase: true, trim: true },
+        // Human-readable summary (kept for stories and legacy clients)
         details: { type: String, required: true },
 
+        // ===== STRUCTURED INCIDENT FIELDS =====
+
+        threatType: { type: String, trim: true },
+        url: { type: String, trim: true },
+
+        // Registrable domain derived from url (e.g. "gtb-verify.xyz")
+        domain: { type: String, lowercase: true, trim: true },
+
+        description: { type: String },
+        evidence: { type: String },
+
+        // Financial loss
+        amountLost: { type: Number, min: 0 },
+        currency: { type: String, uppercase: true, trim: true, maxlength: 3 },
+        paymentMethod: { type: String, enum: PAYMENT_METHODS },
+
+        // Scammer identifiers (phone normalised to +<country><number>)
+        scammerPhone: { type: String, trim: true },
+        scammerEmail: { type: String, lowercase: true, trim: true },
+        scammerHandle: { type: String, trim: true },
+        scammerAccountNumber: { type: String, trim: true }, // digits only
+        scammerBankName: { type: String, trim: true },
+
+        // Where the scam happened (whatsapp, instagram, sms, email...)
+        platform: { type: String, lowercase: true, trim: true },
+        incidentDate: Date,
+
+        // Uploaded evidence (screenshots, PDFs); file bytes live in evidence storage
+        attachments: [
+            {
+                storage: { type: String, default: 'local' },
+                storageKey: { type: String, required: true },
+                originalName: String,
+                mimeType: String,
+                size: Number,
+                sha256: String,
+                uploadedAt: { type: Date, default: Date.now }
+            }
+        ],
+
         // Workflow status
         status: {
             type: String,
@@ -21,7 +63,16 @@ const reportSchema = new mongoose.Schema(
             ref: 'User'
         },
         reviewedAt: Date,
-        rejectionReason: String,
+        rejectionReason: String, // internal note for moderators
+        publicRejectionReason: String, // shown to the reporter on the status page
+
+        // Hash of the reporter's tracking token (plain token is only returned once, on submission)
+        trackingTokenHash: {
+            type: String,
+            unique: true,
+            sparse: true,
+            select: false
+        },
 
         // Link to published story (when approved)
         publishedStoryId: {
@@ -29,6 +80,17 @@ const reportSchema = new mongoose.Schema(
             ref: 'Story'
         },
 
+        // Campaign grouping (null until a related report arrives)
+        clusterId: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'ReportCluster',
+            default: null,
+            index: true
+        },
+
+        // MinHash of the report text, used for near-duplicate detection
+        textSignature: { type: [Number], select: false },
+
         // Metadata
         ipAddress: String,
         userAgent: String
@@ -40,4 +102,17 @@ const reportSchema = new mongoose.Schema(
 reportSchema.index({ status: 1, createdAt: -1 });
 reportSchema.index({ email: 1 });
 
+// Indexes for filtering and matching reports by indicator
+reportSchema.index({ domain: 1, status: 1 });
+reportSchema.index({ scammerPhone: 1, status: 1 });
+reportSchema.index({ scammerEmail: 1, status: 1 });
+reportSchema.index({ scammerAccountNumber: 1, status: 1 });
+reportSchema.index({ threatType: 1, createdAt: -1 });
+
+// Free-text search for the public scam lookup
+reportSchema.index(
+    { description: 'text', threatType: 'text', scammerHandle: 'text', platform: 'text', scammerBankName: 'text' },
+    { name: 'report_text_search', weights: { description: 1, threatType: 3, scammerHandle: 5, platform: 2, scammerBankName: 2 } }
+);
+
 export const Report = mongoose.model("Report", reportSchema);
@@ -0,0 +1,51 @@
+// awareguard-backend/models/ReportCluster.js
+import mongoose from "mongoose";
+
+// A campaign: reports that share an indicator or have near-duplicate text
+const reportClusterSchema = new mongoose.Schema(
+    {
+        title: { type: String, required: true, trim: true },
+
+        // open = awaiting review, approved = published as one story, dismissed = rejected as a group
+        status: {
+            type: String,
+            enum: ['open', 'approved', 'dismissed'],
+            default: 'open',
+            index: true
+        },
+
+        // Union of indicators across member reports (kept in sync by refreshClusterStats)
+        indicators: {
+            domains: { type: [String], default: [] },
+            phones: { type: [String], default: [] },
+            emails: { type: [String], default: [] },
+            accountNumbers: { type: [String], default: [] }
+        },
+
+        // Denormalised stats for the admin queue
+        reportCount: { type: Number, default: 0 },
+        pendingCount: { type: Number, default: 0 },
+        firstReportedAt: Date,
+        lastReportedAt: Date,
+
+        // Story published when the whole cluster was approved
+        publishedStoryId: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Story'
+        },
+        reviewedBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User'
+        },
+        reviewedAt: Date
+    },
+    { timestamps: true }
+);
+
+reportClusterSchema.index({ status: 1, lastReportedAt: -1 });
+reportClusterSchema.index({ 'indicators.domains': 1 });
+reportClusterSchema.index({ 'indicators.phones': 1 });
+reportClusterSchema.index({ 'indicators.emails': 1 });
+reportClusterSchema.index({ 'indicators.accountNumbers': 1 });
+
+export const ReportCluster = mongoose.model("ReportCluster", reportClusterSchema);
@@ -0,0 +1,44 @@
+// awareguard-backend/models/ScheduledJob.js
+import mongoose from "mongoose";
+
+// One document per background job (see utils/jobs.js): its schedule, its
+// lock and the outcome of its last run
+const scheduledJobSchema = new mongoose.Schema(
+    {
+        name: {
+            type: String,
+            required: true,
+            unique: true
+        },
+
+        nextRunAt: { type: Date, default: Date.now },
+
+        // Held by the instance running the job; expires after the job's timeout
+        // so an instance that dies mid-run doesn't block the job forever
+        lockedBy: { type: String, default: null },
+        lockedUntil: { type: Date, default: null },
+
+        lastStartedAt: { type: Date, default: null },
+        lastFinishedAt: { type: Date, default: null },
+        lastDurationMs: { type: Number, default: null },
+        lastStatus: {
+            type: String,
+            enum: ['running', 'success', 'failed', null],
+            default: null
+        },
+        lastTrigger: {
+            type: String,
+            enum: ['schedule', 'manual', null],
+            default: null
+        },
+        // What the job returned (counts of affected documents)
+        lastResult: { type: mongoose.Schema.Types.Mixed, default: null },
+        lastError: { type: String, default: null },
+
+        runCount: { type: Number, default: 0 },
+        failureCount: { type: Number, default: 0 }
+    },
+    { timestamps: true }
+);
+
+export const ScheduledJob = mongoose.model("ScheduledJob", scheduledJobSchema);
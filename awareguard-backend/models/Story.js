@@ -3,6 +3,8 @@ import mongoose from "mongoose";
 const storySchema = new mongoose.Schema(
   {
     name: { type: String, default: "Anonymous" },
+    // Author, when submitted while signed in
+    userId: { type: mongoose.Schema.Types.ObjectId, ref: "User", default: null, index: true },
     title: { type: String, required: true },
     category: { type: String, default: "General" },
     content: { type: String, required: true },
@@ -0,0 +1,35 @@
+// awareguard-backend/models/TeamInvite.js
+import mongoose from "mongoose";
+
+// An invitation from a team plan's subscriber to an email address. It holds
+// one of the plan's seats until the account with that email accepts it or it
+// expires.
+const teamInviteSchema = new mongoose.Schema(
+    {
+        ownerId: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User',
+            required: true
+        },
+
+        email: {
+            type: String,
+            required: true,
+            lowercase: true,
+            trim: true,
+            index: true
+        },
+
+        // Documents disappear once expired
+        expiresAt: {
+            type: Date,
+            required: true,
+            index: { expireAfterSeconds: 0 }
+        }
+    },
+    { timestamps: true }
+);
+
+teamInviteSchema.index({ ownerId: 1, email: 1 }, { unique: true });
+
+export const TeamInvite = mongoose.model("TeamInvite", teamInviteSchema);
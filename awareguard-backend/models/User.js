@@ -1,14 +1,25 @@
 // awareguard-backend/models/User.js
 import mongoose from "mongoose";
 import bcrypt from "bcryptjs";
+import { ROLE_NAMES, permissionsForRoles } from "../config/roles.js";
+import { verifyTotp, normalizeBackupCode } from "../utils/totp.js";
+import { hashToken } from "../utils/tokenUtils.js";
 
 const userSchema = new mongoose.Schema(
   {
     name: { type: String },
     email: { type: String, required: true, unique: true, lowercase: true },
     passwordHash: { type: String }, // for email/password
-    provider: { type: String, default: "local" }, // 'local' or 'google'
-    role: { type: String, default: "user" }, // 'user' | 'admin'
+    // 'google' while Google is the only sign-in method, otherwise 'local'
+    // (kept in sync on save; getSignInMethods() has the full list)
+    provider: { type: String, default: "local" },
+
+    // Staff roles (see config/roles.js); empty for regular users
+    roles: {
+      type: [{ type: String, enum: ROLE_NAMES }],
+      default: [],
+      index: true
+    },
 
     // ===== SUBSCRIPTION FIELDS (Added) =====
 
@@ -19,10 +30,9 @@ const userSchema = new mongoose.Schema(
       index: true
     },
 
-    // Type of subscription (monthly or annual)
+    // Plan code from the Plan catalog (e.g. 'monthly'), or 'none'
     subscriptionPlan: {
       type: String,
-      enum: ['monthly', 'annual', 'none'],
       default: 'none'
     },
 
@@ -33,6 +43,15 @@ const userSchema = new mongoose.Schema(
       index: true
     },
 
+    // Owner of the team plan this account holds a seat on; premium then comes
+    // from the owner's subscription (see TEAM PLANS in utils/subscriptions.js)
+    teamOwnerId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+      index: true
+    },
+
     // When subscription started
     subscriptionStartedAt: {
       type: Date,
@@ -52,17 +71,72 @@ const userSchema = new mongoose.Schema(
       default: 0
     },
 
-    // Payment history for tracking
+    // Payment history for tracking; also records cancellations and resumptions
     paymentHistory: [
       {
         reference: String,
         amount: Number,
         date: { type: Date, default: Date.now },
-        status: { type: String, enum: ['success', 'failed', 'cancelled'] },
-        plan: String
+        status: { type: String, enum: ['success', 'failed', 'cancelled', 'resumed'] },
+        plan: String,
+        // Why the user cancelled (cancelled entries only)
+        reason: String
       }
     ],
 
+    // ===== RECURRING BILLING =====
+
+    // Renewal state (see processSubscriptionRenewals in utils/subscriptions.js)
+    billing: {
+      // active: paid up | past_due: renewal failed, access continues until graceEndsAt
+      // expired: access ended
+      status: {
+        type: String,
+        enum: ['none', 'active', 'past_due', 'expired'],
+        default: 'none'
+      },
+
+      // Renew when the period ends; off when the last payment left no reusable card
+      autoRenew: { type: Boolean, default: false },
+
+      // 'app': we charge the saved card | 'paystack': a Paystack subscription charges and we follow its webhooks
+      renewedBy: { type: String, enum: ['app', 'paystack'], default: 'app' },
+
+      // Currency of the last payment; renewals are charged in it
+      currency: { type: String, default: null },
+
+      // Reusable authorization from the last card payment; it can charge the card, so never select it by default
+      authorizationCode: { type: String, default: null, select: false },
+
+      // Shown on the billing page
+      card: {
+        brand: String,
+        last4: String,
+        expMonth: String,
+        expYear: String
+      },
+
+      paystackCustomerCode: { type: String, default: null, index: true },
+      paystackSubscriptionCode: { type: String, default: null, index: true },
+
+      // Needed together with the subscription code to disable a Paystack subscription
+      paystackEmailToken: { type: String, default: null, select: false },
+
+      // Failed charges for the current renewal; reset by a successful payment
+      failedAttempts: { type: Number, default: 0 },
+      nextAttemptAt: { type: Date, default: null },
+      graceEndsAt: { type: Date, default: null },
+
+      // Expiry date the last renewal reminder was sent for (one reminder per period)
+      reminderSentFor: { type: Date, default: null },
+
+      // Cancelled by the user: no renewal, access until subscriptionExpiresAt,
+      // can be resumed until then
+      cancelAtPeriodEnd: { type: Boolean, default: false },
+      cancelledAt: { type: Date, default: null },
+      cancellationReason: { type: String, default: null }
+    },
+
     // ===== LEARNING PROGRESS FIELDS =====
 
     // Total XP earned across all modules
@@ -150,22 +224,111 @@ const userSchema = new mongoose.Schema(
       default: false
     },
 
+    // Token for email verification (hashed)
+    emailVerificationToken: {
+      type: String,
+      default: null
+    },
+
+    // When the verification token expires
+    emailVerificationExpires: {
+      type: Date,
+      default: null
+    },
+
     // ===== REFRESH TOKENS =====
 
-    // Array of hashed refresh tokens for rotation
+    // Embedded in access tokens; bumping it invalidates every access token already issued
+    tokenVersion: {
+      type: Number,
+      default: 0
+    },
+
+    // Last time the password was set or reset. Display only (GET /api/auth/providers);
+    // tokens issued before a reset are revoked through tokenVersion, not this
+    passwordChangedAt: {
+      type: Date,
+      default: null
+    },
+
+    // One entry per signed-in session (see utils/sessions.js)
     refreshTokens: [{
       tokenHash: String,
       expiresAt: Date,
-      createdAt: { type: Date, default: Date.now }
-    }]
+      createdAt: { type: Date, default: Date.now },
+
+      // Session id shared by every rotation of this token
+      familyId: String,
+
+      // Hashes already rotated out; seeing one again means the token was copied
+      previousTokenHashes: { type: [String], default: [] },
+      rotatedAt: Date,
+      lastUsedAt: Date,
+
+      // Device info shown in the session list
+      userAgent: String,
+      device: String,
+      ipAddress: String
+    }],
+
+    // ===== TWO-FACTOR AUTHENTICATION =====
+
+    twoFactor: {
+      enabled: { type: Boolean, default: false },
+
+      // Base32 TOTP secret once confirmed
+      secret: { type: String, default: null, select: false },
+
+      // Secret issued by /2fa/setup, waiting for the first code
+      pendingSecret: { type: String, default: null, select: false },
+
+      // Hashed one-time backup codes (removed as they are used)
+      backupCodes: { type: [String], default: [], select: false },
+
+      // Time step of the last accepted code, so a code can't be replayed
+      lastUsedStep: { type: Number, default: -1, select: false },
+
+      enabledAt: { type: Date, default: null }
+    },
+
+    // ===== EMAIL PREFERENCES =====
+
+    // Optional emails only; account and billing emails are always sent
+    emailPreferences: {
+      digest: { type: Boolean, default: true }
+    },
+
+    // Last weekly digest (see utils/digest.js)
+    lastDigestSentAt: { type: Date, default: null },
+
+    // ===== ACCOUNT DELETION =====
+
+    // Set by DELETE /api/auth/me; the account is anonymized once this date passes
+    deletionRequestedAt: { type: Date, default: null },
+    deletionScheduledFor: { type: Date, default: null, index: true },
+
+    // When the account was anonymized (the document stays so references keep resolving)
+    deletedAt: { type: Date, default: null }
   },
   { timestamps: true }
 );
 
 // Instance methods for password handling
+userSchema.pre("save", function () {
+  if (this.isModified("passwordHash") || this.isModified("googleId")) {
+    this.provider = this.googleId && !this.passwordHash ? "google" : "local";
+  }
+});
+
 userSchema.methods.setPassword = async function (plain) {
   const hash = await bcrypt.hash(plain, 10);
   this.passwordHash = hash;
+  this.passwordChangedAt = new Date();
+};
+
+// Invalidate all access tokens issued so far (caller must save)
+userSchema.methods.revokeAccessTokens = function () {
+  this.tokenVersion = (this.tokenVersion || 0) + 1;
 };
 
 userSchema.methods.checkPassword = async function (plain) {
@@ -173,6 +336,60 @@ userSchema.methods.checkPassword = async function (plain) {
   return bcrypt.compare(plain, this.passwordHash);
 };
 
+// ===== SIGN-IN METHODS =====
+
+// Ways this account can sign in ('password', 'google'); unlinking must leave at least one
+userSchema.methods.getSignInMethods = function () {
+  const methods = [];
+  if (this.passwordHash) methods.push('password');
+  if (this.googleId) methods.push('google');
+  return methods;
+};
+
+// ===== ROLE HELPERS =====
+
+// All permissions granted by the user's roles
+userSchema.methods.getPermissions = function () {
+  return permissionsForRoles(this.roles);
+};
+
+userSchema.methods.hasPermission = function (permission) {
+  return this.getPermissions().includes(permission);
+};
+
+// Single role name for clients that only understand one ('admin', another staff role, or 'user')
+userSchema.methods.getPrimaryRole = function () {
+  if (this.roles?.includes('admin')) return 'admin';
+  return this.roles?.[0] || 'user';
+};
+
+// ===== TWO-FACTOR HELPERS =====
+
+/**
+ * Check a TOTP code or a backup code and consume it (caller must save).
+ * Requires twoFactor.secret, backupCodes and lastUsedStep to be selected.
+ * @returns {string|null} 'totp', 'backup', or null when neither matches
+ */
+userSchema.methods.consumeSecondFactor = function ({ code, backupCode } = {}) {
+  if (!this.twoFactor?.enabled) return null;
+
+  if (code) {
+    const step = verifyTotp(this.twoFactor.secret, code, this.twoFactor.lastUsedStep);
+    if (step === null) return null;
+    this.twoFactor.lastUsedStep = step;
+    return 'totp';
+  }
+
+  if (backupCode) {
+    const hashed = hashToken(normalizeBackupCode(backupCode));
+    if (!this.twoFactor.backupCodes.includes(hashed)) return null;
+    this.twoFactor.backupCodes = this.twoFactor.backupCodes.filter(c => c !== hashed);
+    return 'backup';
+  }
+
+  return null;
+};
+
 // ===== HELPER METHODS FOR SUBSCRIPTIONS =====
 
 // Check if subscription is active (not expired)
@@ -0,0 +1,136 @@
+// awareguard-backend/routes/account.js
+import express from 'express';
+import { authMiddleware } from '../middleware/auth.js';
+import { User } from '../models/User.js';
+import { buildAccountExport, ACCOUNT_DELETION_GRACE_DAYS } from '../utils/accountData.js';
+import { createRateLimiter } from '../utils/rateLimit.js';
+import { sendAccountDeletionScheduledEmail } from '../utils/emailService.js';
+import logger from '../utils/logger.js';
+
+const router = express.Router();
+
+const exportLimiter = createRateLimiter('accountExport');
+
+router.use(authMiddleware);
+
+/**
+ * GET /api/auth/me/export
+ * Download everything stored about the signed-in user as a JSON file
+ */
+router.get('/export', exportLimiter, async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id);
+    const bundle = await buildAccountExport(user);
+
+    logger.info('Account data exported', { userId: user._id });
+
+    res.attachment(`awareguard-data-${new Date().toISOString().slice(0, 10)}.json`);
+    res.send(JSON.stringify(bundle, null, 2));
+  } catch (err) {
+    logger.error('Account export error', { error: err.message, stack: err.stack });
+    res.status(500).json({ error: 'Failed to export account data' });
+  }
+});
+
+/**
+ * DELETE /api/auth/me
+ * Schedule the account for deletion after the grace period
+ * Body: { password } for accounts with a password, otherwise { email } (the account email),
+ *       plus { code } or { backupCode } when 2FA is enabled
+ */
+router.delete('/', async (req, res) => {
+  try {
+    const { password, email, code, backupCode } = req.body || {};
+    const user = await User.findById(req.user._id)
+      .select('+twoFactor.secret +twoFactor.backupCodes +twoFactor.lastUsedStep');
+
+    if (user.deletionScheduledFor) {
+      return res.status(409).json({ error: 'Account deletion is already scheduled', deletionScheduledFor: user.deletionScheduledFor });
+    }
+
+    // Re-confirm identity: a stolen access token alone must not be enough
+    const confirmed = user.passwordHash
+      ? await user.checkPassword(password || '')
+      : typeof email === 'string' && email.trim().toLowerCase() === user.email;
+    if (!confirmed) {
+      return res.status(401).json({ error: user.passwordHash ? 'Incorrect password' : 'Email does not match this account' });
+    }
+    if (user.twoFactor.enabled && !user.consumeSecondFactor({ code, backupCode })) {
+      return res.status(401).json({ error: 'Invalid verification code' });
+    }
+
+    if (user.roles.includes('admin') && await User.countDocuments({ roles: 'admin' }) === 1) {
+      return res.status(409).json({ error: 'Grant another admin before deleting the last admin account' });
+    }
+
+    user.deletionRequestedAt = new Date();
+    user.deletionScheduledFor = new Date(Date.now() + ACCOUNT_DELETION_GRACE_DAYS * 24 * 60 * 60 * 1000);
+    await user.save();
+
+    logger.warn('Account deletion scheduled', { userId: user._id, deletionScheduledFor: user.deletionScheduledFor });
+    sendAccountDeletionScheduledEmail(user.email, user.name, user.deletionScheduledFor).catch(err =>
+      logger.error('Failed to send account deletion email', { userId: user._id, error: err.message })
+    );
+
+    res.status(202).json({
+      success: true,
+      deletionScheduledFor: user.deletionScheduledFor,
+      message: `Your account will be deleted on ${user.deletionScheduledFor.toDateString()}. You can cancel the deletion from your account settings before then.`
+    });
+  } catch (err) {
+    logger.error('Account deletion request error', { error: err.message, stack: err.stack });
+    res.status(500).json({ error: 'Failed to schedule account deletion' });
+  }
+});
+
+/**
+ * PATCH /api/auth/me/preferences
+ * Turn optional emails on or off
+ * Body: { digest: boolean }
+ */
+router.patch('/preferences', async (req, res) => {
+  try {
+    const { digest } = req.body || {};
+    if (typeof digest !== 'boolean') {
+      return res.status(400).json({ error: 'digest must be true or false' });
+    }
+
+    const user = await User.findByIdAndUpdate(
+      req.user._id,
+      { 'emailPreferences.digest': digest },
+      { new: true, select: 'emailPreferences' }
+    );
+
+    res.json({ success: true, emailPreferences: { digest: user.emailPreferences.digest } });
+  } catch (err) {
+    logger.error('Update email preferences error', { error: err.message, stack: err.stack });
+    res.status(500).json({ error: 'Failed to update email preferences' });
+  }
+});
+
+/**
+ * POST /api/auth/me/cancel-deletion
+ * Keep the account during the grace period
+ */
+router.post('/cancel-deletion', async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id);
+
+    if (!user.deletionScheduledFor) {
+      return res.status(400).json({ error: 'Account deletion is not scheduled' });
+    }
+
+    user.deletionRequestedAt = null;
+    user.deletionScheduledFor = null;
+    await user.save();
+
+    logger.info('Account deletion cancelled', { userId: user._id });
+
+    res.json({ success: true });
+  } catch (err) {
+    logger.error('Cancel account deletion error', { error: err.message, stack: err.stack });
+    res.status(500).json({ error: 'Failed to cancel account deletion' });
+  }
+});
+
+export default router;
@@ -1,25 +1,48 @@
 // awareguard-backend/routes/admin.js
 import express from 'express';
-import { authMiddleware } from '../middleware/auth.js';
+import mongoose from 'mongoose';
+import { authMiddleware, requirePermission, requireStaff } from '../middleware/auth.js';
 import { User } from '../models/User.js';
 import { Report } from '../models/Report.js';
 import { Story } from '../models/Story.js';
 import { PaymentTransaction } from '../models/PaymentTransaction.js';
+import { DomainListEntry } from '../models/DomainListEntry.js';
+import { parseUrl } from '../utils/urlChecker.js';
+import { normalizePhone } from '../utils/reportFields.js';
+import { getEvidenceStorage } from '../utils/evidenceStorage.js';
+import { ReportCluster } from '../models/ReportCluster.js';
+import { ROLES, ROLE_NAMES } from '../config/roles.js';
+import * as clusterController from '../controllers/reportClusterController.js';
+import { sendReportStatusEmail } from '../utils/emailService.js';
+import { MAINTENANCE_TASKS } from '../utils/dbMaintenance.js';
+import { JOBS } from '../utils/jobs.js';
+import { startJob, listJobs, isKnownJob } from '../utils/scheduler.js';
+import { recordAudit } from '../utils/auditLog.js';
+import { getSetting, setSetting } from '../utils/appSettings.js';
+import { AuditLog } from '../models/AuditLog.js';
+import { Plan } from '../models/Plan.js';
+import { anonymizeAccount } from '../utils/accountData.js';
 import logger from '../utils/logger.js';
 
 const router = express.Router();
 
-// Admin-only middleware — checks against ADMIN_EMAIL env var
-const adminOnly = (req, res, next) => {
-    if (req.user.email !== process.env.ADMIN_EMAIL) {
-        logger.warn('Unauthorized admin access attempt', { userId: req.user._id, email: req.user.email });
-        return res.status(403).json({ error: 'Admin access required' });
-    }
-    next();
-};
+// Placeholder used by routes/report.js when the reporter gave no email
+const ANONYMOUS_REPORTER_EMAIL = 'anonymous@awareguard.local';
+
+// Tell the reporter their report was reviewed (non-blocking)
+function notifyReporter(report, outcome) {
+    if (!report.email || report.email === ANONYMOUS_REPORTER_EMAIL) return;
+    sendReportStatusEmail(report.email, report.name, outcome).catch(err =>
+        logger.error('Failed to send report status email', { reportId: report._id, error: err.message })
+    );
+}
+
+function storyUrl(storyId) {
+    return `${process.env.FRONTEND_URL || 'http://localhost:5173'}/stories/${storyId}`;
+}
 
-// Apply auth + admin check to all routes
-router.use(authMiddleware, adminOnly);
+// Any staff role gets into the admin API; each route then checks its own permission
+router.use(authMiddleware, requireStaff);
 
 // ===== DASHBOARD STATS =====
 
@@ -27,7 +50,7 @@ router.use(authMiddleware, adminOnly);
  * GET /api/admin/dashboard
  * Get comprehensive dashboard statistics
  */
-router.get('/dashboard', async (req, res) => {
+router.get('/dashboard', requirePermission('dashboard:read'), async (req, res) => {
     try {
         const now = new Date();
         const last30Days = new Date(now.getTime() - 30 * 24 * 60 * 60 * 1000);
@@ -44,8 +67,8 @@ router.get('/dashboard', async (req, res) => {
             totalRevenue,
             recentPayments
         ] = await Promise.all([
-            User.countDocuments(),
-            User.countDocuments({ createdAt: { $gte: last30Days } }),
+            User.countDocuments({ deletedAt: null }),
+            User.countDocuments({ createdAt: { $gte: last30Days }, deletedAt: null }),
             User.countDocuments({ isPremium: true }),
             Report.countDocuments(),
             Report.countDocuments({ status: 'pending' }),
@@ -106,7 +129,7 @@ router.get('/dashboard', async (req, res) => {
  * GET /api/admin/users
  * Get all users with filtering and pagination
  */
-router.get('/users', async (req, res) => {
+router.get('/users', requirePermission('users:read'), async (req, res) => {
     try {
         const {
             page = 1,
@@ -116,7 +139,8 @@ router.get('/users', async (req, res) => {
             isPremium = ''
         } = req.query;
 
-        const query = {};
+        // Deleted accounts stay as anonymized tombstones; hide them
+        const query = { deletedAt: null };
 
         // Search filter
         if (search) {
@@ -126,8 +150,9 @@ router.get('/users', async (req, res) => {
             ];
         }
 
-        // Role filter
-        if (role) query.role = role;
+        // Role filter ('user' means no staff role)
+        if (role === 'user') query.roles = { $size: 0 };
+        else if (role) query.roles = role;
 
         // Premium filter
         if (isPremium !== '') query.isPremium = isPremium === 'true';
@@ -163,7 +188,7 @@ router.get('/users', async (req, res) => {
  * GET /api/admin/users/:id
  * Get detailed user information
  */
-router.get('/users/:id', async (req, res) => {
+router.get('/users/:id', requirePermission('users:read'), async (req, res) => {
     try {
         const user = await User.findById(req.params.id)
             .select('-passwordHash -refreshTokens')
@@ -189,7 +214,7 @@ router.get('/users/:id', async (req, res) => {
  * PATCH /api/admin/users/:id
  * Update user details (role, premium status, etc.)
  */
-router.patch('/users/:id', async (req, res) => {
+router.patch('/users/:id', requirePermission('users:write'), async (req, res) => {
     try {
         const { isPremium, subscriptionPlan, subscriptionExpiresAt } = req.body;
 
@@ -198,6 +223,11 @@ router.patch('/users/:id', async (req, res) => {
         if (subscriptionPlan !== undefined) updates.subscriptionPlan = subscriptionPlan;
         if (subscriptionExpiresAt !== undefined) updates.subscriptionExpiresAt = subscriptionExpiresAt;
 
+        const previous = await User.findById(req.params.id).select(Object.keys(updates).join(' ')).lean();
+        if (!previous) {
+            return res.status(404).json({ error: 'User not found' });
+        }
+
         const user = await User.findByIdAndUpdate(
             req.params.id,
             updates,
@@ -208,6 +238,15 @@ router.patch('/users/:id', async (req, res) => {
             return res.status(404).json({ error: 'User not found' });
         }
 
+        await recordAudit(req, {
+            action: 'user.update',
+            targetType: 'User',
+            targetId: user._id,
+            before: Object.fromEntries(Object.keys(updates).map(key => [key, previous[key]])),
+            after: Object.fromEntries(Object.keys(updates).map(key => [key, user[key]])),
+            metadata: { email: user.email }
+        });
+
         logger.info('User updated by admin', {
             userId: req.params.id,
             updates,
@@ -225,14 +264,25 @@ router.patch('/users/:id', async (req, res) => {
  * DELETE /api/admin/users/:id
  * Delete a user (soft delete by setting role to 'deleted')
  */
-router.delete('/users/:id', async (req, res) => {
+router.delete('/users/:id', requirePermission('users:delete'), async (req, res) => {
     try {
-        const user = await User.findByIdAndDelete(req.params.id);
+        const user = await User.findOne({ _id: req.params.id, deletedAt: null });
 
         if (!user) {
             return res.status(404).json({ error: 'User not found' });
         }
 
+        // Anonymize rather than remove, so payments, reports and stories are not orphaned
+        const anonymized = await anonymizeAccount(user);
+
+        await recordAudit(req, {
+            action: 'user.delete',
+            targetType: 'User',
+            targetId: user._id,
+            before: { email: user.email, name: user.name, roles: user.roles, isPremium: user.isPremium },
+            metadata: { email: user.email, anonymized }
+        });
+
         logger.warn('User deleted by admin', {
             userId: req.params.id,
             email: user.email,
@@ -246,29 +296,159 @@ router.delete('/users/:id', async (req, res) => {
     }
 });
 
+// ===== ROLE MANAGEMENT =====
+
+/**
+ * GET /api/admin/roles
+ * List the available staff roles and their permissions
+ */
+router.get('/roles', requirePermission('roles:manage'), (req, res) => {
+    res.json({
+        roles: ROLE_NAMES.map(name => ({
+            name,
+            description: ROLES[name].description,
+            permissions: ROLES[name].permissions
+        }))
+    });
+});
+
+/**
+ * POST /api/admin/users/:id/roles
+ * Grant a staff role to a user (their access tokens are reissued with the new role)
+ * Body: { role }
+ */
+router.post('/users/:id/roles', requirePermission('roles:manage'), async (req, res) => {
+    try {
+        const { role } = req.body;
+        if (!ROLE_NAMES.includes(role)) {
+            return res.status(400).json({ error: `role must be one of: ${ROLE_NAMES.join(', ')}` });
+        }
+
+        const user = await User.findByIdAndUpdate(
+            req.params.id,
+            { $addToSet: { roles: role }, $inc: { tokenVersion: 1 } },
+            { new: false, select: 'name email roles' }
+        );
+
+        if (!user) {
+            return res.status(404).json({ error: 'User not found' });
+        }
+
+        const previousRoles = [...user.roles];
+        if (!user.roles.includes(role)) user.roles.push(role);
+
+        await recordAudit(req, {
+            action: 'role.grant',
+            targetType: 'User',
+            targetId: user._id,
+            before: { roles: previousRoles },
+            after: { roles: user.roles },
+            metadata: { email: user.email, role }
+        });
+
+        logger.warn('Role granted', { userId: user._id, role, adminId: req.user._id });
+
+        res.json({ success: true, user: { id: user._id, name: user.name, email: user.email, roles: user.roles } });
+    } catch (err) {
+        logger.error('Grant role error', { error: err.message, stack: err.stack });
+        res.status(500).json({ error: 'Failed to grant role' });
+    }
+});
+
+/**
+ * DELETE /api/admin/users/:id/roles/:role
+ * Revoke a staff role from a user
+ */
+router.delete('/users/:id/roles/:role', requirePermission('roles:manage'), async (req, res) => {
+    try {
+        const { role } = req.params;
+        if (!ROLE_NAMES.includes(role)) {
+            return res.status(400).json({ error: `role must be one of: ${ROLE_NAMES.join(', ')}` });
+        }
+
+        // Never leave the platform without an administrator
+        if (role === 'admin') {
+            const adminCount = await User.countDocuments({ roles: 'admin' });
+            const target = await User.exists({ _id: req.params.id, roles: 'admin' });
+            if (target && adminCount <= 1) {
+                return res.status(409).json({ error: 'Cannot revoke the last admin role' });
+            }
+        }
+
+        const user = await User.findByIdAndUpdate(
+            req.params.id,
+            { $pull: { roles: role }, $inc: { tokenVersion: 1 } },
+            { new: false, select: 'name email roles' }
+        );
+
+        if (!user) {
+            return res.status(404).json({ error: 'User not found' });
+        }
+
+        const previousRoles = [...user.roles];
+        user.roles = user.roles.filter(r => r !== role);
+
+        await recordAudit(req, {
+            action: 'role.revoke',
+            targetType: 'User',
+            targetId: user._id,
+            before: { roles: previousRoles },
+            after: { roles: user.roles },
+            metadata: { email: user.email, role }
+        });
+
+        logger.warn('Role revoked', { userId: user._id, role, adminId: req.user._id });
+
+        res.json({ success: true, user: { id: user._id, name: user.name, email: user.email, roles: user.roles } });
+    } catch (err) {
+        logger.error('Revoke role error', { error: err.message, stack: err.stack });
+        res.status(500).json({ error: 'Failed to revoke role' });
+    }
+});
+
 // ===== REPORT MANAGEMENT =====
 
 /**
  * GET /api/admin/reports
  * Get all reports with filtering
  */
-router.get('/reports', async (req, res) => {
+router.get('/reports', requirePermission('reports:read'), async (req, res) => {
     try {
         const {
             page = 1,
             limit = 50,
-            status = ''
+            status = '',
+            threatType = '',
+            platform = '',
+            paymentMethod = '',
+            domain = '',
+            scammerPhone = '',
+            clusterId = ''
         } = req.query;
 
         const query = {};
         if (status) query.status = status;
 
+        // Structured field filters
+        if (threatType) query.threatType = threatType;
+        if (platform) query.platform = platform.toLowerCase();
+        if (paymentMethod) query.paymentMethod = paymentMethod;
+        if (domain) query.domain = domain.toLowerCase();
+        if (scammerPhone) query.scammerPhone = normalizePhone(scammerPhone);
+        if (clusterId) {
+            if (!mongoose.isValidObjectId(clusterId)) {
+                return res.status(400).json({ error: 'clusterId must be a valid id' });
+            }
+            query.clusterId = clusterId;
+        }
+
         const skip = (parseInt(page) - 1) * parseInt(limit);
 
         const [reports, total] = await Promise.all([
             Report.find(query)
                 .populate('reviewedBy', 'name email')
                 .populate('publishedStoryId', 'title')
+                .populate('clusterId', 'title reportCount status')
                 .sort({ createdAt: -1 })
                 .skip(skip)
                 .limit(parseInt(limit))
@@ -291,11 +471,62 @@ router.get('/reports', async (req, res) => {
     }
 });
 
+/**
+ * GET /api/admin/reports/:id/attachments/:attachmentId
+ * Download an evidence file attached to a report
+ */
+router.get('/reports/:id/attachments/:attachmentId', requirePermission('reports:evidence'), async (req, res) => {
+    try {
+        const report = await Report.findById(req.params.id).select('attachments');
+        const attachment = report?.attachments.id(req.params.attachmentId);
+
+        if (!attachment) {
+            return res.status(404).json({ error: 'Attachment not found' });
+        }
+
+        const stream = await getEvidenceStorage(attachment.storage).createReadStream(attachment.storageKey);
+
+        await recordAudit(req, {
+            action: 'report.evidence_download',
+            targetType: 'Report',
+            targetId: report._id,
+            metadata: { attachmentId: String(attachment._id), sha256: attachment.sha256 }
+        });
+
+        logger.info('Report attachment downloaded', {
+            reportId: report._id,
+            attachmentId: attachment._id,
+            adminId: req.user._id
+        });
+
+        // Always download, never render inline, so uploaded files can't run in our origin
+        res.set({
+            'Content-Type': attachment.mimeType,
+            'Content-Length': attachment.size,
+            'Content-Disposition': `attachment; filename="${(attachment.originalName || 'evidence').replace(/"/g, '')}"`,
+            'X-Content-Type-Options': 'nosniff',
+            'Cache-Control': 'private, no-store'
+        });
+
+        stream.on('error', (err) => {
+            logger.error('Attachment stream error', { error: err.message, reportId: report._id });
+            res.destroy(err);
+        });
+        stream.pipe(res);
+    } catch (err) {
+        if (err.code === 'ENOENT') {
+            return res.status(404).json({ error: 'Attachment file missing from storage' });
+        }
+        logger.error('Download attachment error', { error: err.message, stack: err.stack });
+        res.status(500).json({ error: 'Failed to download attachment' });
+    }
+});
+
 /**
  * POST /api/admin/reports/:id/approve
  * Approve report and publish as story
  */
-router.post('/reports/:id/approve', async (req, res) => {
+router.post('/reports/:id/approve', requirePermission('reports:review'), async (req, res) => {
     try {
         const { title, category } = req.body;
 
@@ -324,6 +555,18 @@ router.post('/reports/:id/approve', async (req, res) => {
         report.publishedStoryId = story._id;
         await report.save();
 
+        if (report.clusterId) await clusterController.refreshClusterStats(report.clusterId);
+
+        await recordAudit(req, {
+            action: 'report.approve',
+            targetType: 'Report',
+            targetId: report._id,
+            before: { status: 'pending' },
+            after: { status: 'approved', publishedStoryId: String(story._id) }
+        });
+
+        notifyReporter(report, { status: 'approved', storyTitle: story.title, storyUrl: storyUrl(story._id) });
+
         logger.info('Report approved and published', {
             reportId: report._id,
             storyId: story._id,
@@ -345,9 +588,9 @@ router.post('/reports/:id/approve', async (req, res) => {
  * POST /api/admin/reports/:id/reject
  * Reject a report
  */
-router.post('/reports/:id/reject', async (req, res) => {
+router.post('/reports/:id/reject', requirePermission('reports:review'), async (req, res) => {
     try {
-        const { reason } = req.body;
+        const { reason, publicReason } = req.body;
 
         const report = await Report.findById(req.params.id);
         if (!report) {
@@ -362,8 +605,25 @@ router.post('/reports/:id/reject', async (req, res) => {
         report.reviewedBy = req.user._id;
         report.reviewedAt = new Date();
         report.rejectionReason = reason || 'Does not meet community guidelines';
+        report.publicRejectionReason = publicReason || 'Your report does not meet our community guidelines.';
+        // A rejected report is no evidence of a campaign
+        const { clusterId } = report;
+        report.clusterId = null;
         await report.save();
 
+        if (clusterId) await clusterController.refreshClusterStats(clusterId);
+
+        await recordAudit(req, {
+            action: 'report.reject',
+            targetType: 'Report',
+            targetId: report._id,
+            before: { status: 'pending' },
+            after: { status: 'rejected' },
+            metadata: { reason: report.rejectionReason, publicReason: report.publicRejectionReason }
+        });
+
+        notifyReporter(report, { status: 'rejected', reason: report.publicRejectionReason });
+
         logger.info('Report rejected', { reportId: report._id, adminId: req.user._id });
 
         res.json({ success: true, message: 'Report rejected' });
@@ -373,13 +633,213 @@ router.post('/reports/:id/reject', async (req, res) => {
     }
 });
 
+// ===== CAMPAIGN CLUSTERS =====
+
+// A malformed id can't name a cluster; answer 404 rather than a CastError 500
+function requireClusterId(req, res, next) {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+        return res.status(404).json({ error: 'Cluster not found' });
+    }
+    next();
+}
+
+/**
+ * GET /api/admin/clusters
+ * Get report clusters (related reports grouped into campaigns)
+ */
+router.get('/clusters', requirePermission('reports:read'), async (req, res) => {
+    try {
+        const { page = 1, limit = 50, status = 'open' } = req.query;
+
+        const query = {};
+        if (status) query.status = status;
+
+        const skip = (parseInt(page) - 1) * parseInt(limit);
+
+        const [clusters, total] = await Promise.all([
+            ReportCluster.find(query)
+                .populate('publishedStoryId', 'title')
+                .sort({ pendingCount: -1, lastReportedAt: -1 })
+                .skip(skip)
+                .limit(parseInt(limit))
+                .lean(),
+            ReportCluster.countDocuments(query)
+        ]);
+
+        res.json({
+            clusters,
+            pagination: {
+                total,
+                page: parseInt(page),
+                limit: parseInt(limit),
+                pages: Math.ceil(total / parseInt(limit))
+            }
+        });
+    } catch (err) {
+        logger.error('Fetch clusters error', { error: err.message, stack: err.stack });
+        res.status(500).json({ error: 'Failed to fetch clusters' });
+    }
+});
+
+/**
+ * GET /api/admin/clusters/:id
+ * Get a cluster with its member reports
+ */
+router.get('/clusters/:id', requirePermission('reports:read'), requireClusterId, async (req, res) => {
+    try {
+        const cluster = await ReportCluster.findById(req.params.id)
+            .populate('publishedStoryId', 'title')
+            .populate('reviewedBy', 'name email')
+            .lean();
+
+        if (!cluster) {
+            return res.status(404).json({ error: 'Cluster not found' });
+        }
+
+        const reports = await Report.find({ clusterId: cluster._id })
+            .populate('reviewedBy', 'name email')
+            .sort({ createdAt: -1 })
+            .lean();
+
+        res.json({ cluster, reports });
+    } catch (err) {
+        logger.error('Fetch cluster error', { error: err.message, stack: err.stack });
+        res.status(500).json({ error: 'Failed to fetch cluster' });
+    }
+});
+
+/**
+ * POST /api/admin/clusters/:id/merge
+ * Merge other clusters into this one
+ * Body: { clusterIds: [] }
+ */
+router.post('/clusters/:id/merge', requirePermission('reports:review'), requireClusterId, async (req, res) => {
+    try {
+        const { clusterIds } = req.body;
+        if (!Array.isArray(clusterIds) || clusterIds.length === 0 || !clusterIds.every(id => mongoose.isValidObjectId(id))) {
+            return res.status(400).json({ error: 'clusterIds must be a non-empty array of cluster ids' });
+        }
+
+        const cluster = await clusterController.mergeClusters(req.params.id, clusterIds);
+        if (!cluster) {
+            return res.status(404).json({ error: 'Cluster not found' });
+        }
+
+        await recordAudit(req, {
+            action: 'cluster.merge',
+            targetType: 'ReportCluster',
+            targetId: cluster._id,
+            metadata: { sourceIds: clusterIds.map(String) }
+        });
+
+        logger.info('Clusters merged', {
+            targetId: cluster._id,
+            sourceIds: clusterIds,
+            adminId: req.user._id
+        });
+
+        res.json({ success: true, cluster });
+    } catch (err) {
+        logger.error('Merge clusters error', { error: err.message, stack: err.stack });
+        res.status(500).json({ error: 'Failed to merge clusters' });
+    }
+});
+
+/**
+ * POST /api/admin/clusters/:id/split
+ * Move reports out of this cluster (two or more form a new cluster)
+ * Body: { reportIds: [] }
+ */
+router.post('/clusters/:id/split', requirePermission('reports:review'), requireClusterId, async (req, res) => {
+    try {
+        const { reportIds } = req.body;
+        if (!Array.isArray(reportIds) || reportIds.length === 0 || !reportIds.every(id => mongoose.isValidObjectId(id))) {
+            return res.status(400).json({ error: 'reportIds must be a non-empty array of report ids' });
+        }
+
+        const result = await clusterController.splitCluster(req.params.id, reportIds);
+        if (!result) {
+            return res.status(404).json({ error: 'Cluster not found' });
+        }
+
+        await recordAudit(req, {
+            action: 'cluster.split',
+            targetType: 'ReportCluster',
+            targetId: req.params.id,
+            metadata: { reportIds: reportIds.map(String), newClusterId: result.created ? String(result.created._id) : null }
+        });
+
+        logger.info('Cluster split', {
+            clusterId: req.params.id,
+            newClusterId: result.created?._id,
+            moved: result.moved,
+            adminId: req.user._id
+        });
+
+        res.json({ success: true, ...result });
+    } catch (err) {
+        logger.error('Split cluster error', { error: err.message, stack: err.stack });
+        res.status(500).json({ error: 'Failed to split cluster' });
+    }
+});
+
+/**
+ * POST /api/admin/clusters/:id/approve
+ * Approve all pending reports in a cluster and publish them as one story
+ */
+router.post('/clusters/:id/approve', requirePermission('reports:review'), requireClusterId, async (req, res) => {
+    try {
+        const { title, category } = req.body;
+
+        const result = await clusterController.approveCluster(req.params.id, req.user._id, { title, category });
+        if (!result) {
+            return res.status(404).json({ error: 'Cluster not found' });
+        }
+        if (result.approvedCount === 0) {
+            return res.status(400).json({ error: 'Cluster has no pending reports' });
+        }
+
+        const approvedReports = await Report.find({ publishedStoryId: result.story._id }).select('name email');
+        approvedReports.forEach(report => notifyReporter(report, {
+            status: 'approved',
+            storyTitle: result.story.title,
+            storyUrl: storyUrl(result.story._id)
+        }));
+
+        await recordAudit(req, {
+            action: 'cluster.approve',
+            targetType: 'ReportCluster',
+            targetId: req.params.id,
+            before: { status: 'open' },
+            after: { status: 'approved', publishedStoryId: String(result.story._id) },
+            metadata: { reportIds: approvedReports.map(r => String(r._id)) }
+        });
+
+        logger.info('Cluster approved and published', {
+            clusterId: req.params.id,
+            storyId: result.story._id,
+            approvedCount: result.approvedCount,
+            adminId: req.user._id
+        });
+
+        res.json({
+            success: true,
+            message: `${result.approvedCount} reports approved and published as one story`,
+            ...result
+        });
+    } catch (err) {
+        logger.error('Approve cluster error', { error: err.message, stack: err.stack });
+        res.status(500).json({ error: 'Failed to approve cluster' });
+    }
+});
+
 // ===== STORY MANAGEMENT =====
 
 /**
  * GET /api/admin/stories
  * Get all stories with filtering
  */
-router.get('/stories', async (req, res) => {
+router.get('/stories', requirePermission('stories:read'), async (req, res) => {
     try {
         const { page = 1, limit = 50 } = req.query;
         const skip = (parseInt(page) - 1) * parseInt(limit);
@@ -412,7 +872,7 @@ router.get('/stories', async (req, res) => {
  * DELETE /api/admin/stories/:id
  * Delete a story
  */
-router.delete('/stories/:id', async (req, res) => {
+router.delete('/stories/:id', requirePermission('stories:manage'), async (req, res) => {
     try {
         const story = await Story.findByIdAndDelete(req.params.id);
 
@@ -420,6 +880,13 @@ router.delete('/stories/:id', async (req, res) => {
             return res.status(404).json({ error: 'Story not found' });
         }
 
+        await recordAudit(req, {
+            action: 'story.delete',
+            targetType: 'Story',
+            targetId: story._id,
+            before: { title: story.title, name: story.name, category: story.category, content: story.content }
+        });
+
         logger.warn('Story deleted by admin', {
             storyId: req.params.id,
             title: story.title,
@@ -439,7 +906,7 @@ router.delete('/stories/:id', async (req, res) => {
  * GET /api/admin/payments
  * Get all payment transactions
  */
-router.get('/payments', async (req, res) => {
+router.get('/payments', requirePermission('payments:read'), async (req, res) => {
     try {
         const { page = 1, limit = 50, status = '' } = req.query;
 
@@ -473,13 +940,393 @@ router.get('/payments', async (req, res) => {
     }
 });
 
+// ===== PLAN CATALOG =====
+
+const PLAN_FIELDS = ['code', 'name', 'description', 'interval', 'intervalCount', 'seats', 'prices', 'features', 'paystackPlanCode', 'active', 'sortOrder'];
+
+// Only known plan fields; the code is fixed once created because users and transactions store it
+function pickPlanFields(body, { allowCode }) {
+    return Object.fromEntries(
+        PLAN_FIELDS
+            .filter(field => body[field] !== undefined && (allowCode || field !== 'code'))
+            .map(field => [field, body[field]])
+    );
+}
+
+/**
+ * GET /api/admin/plans
+ * All plans, including inactive ones, with their subscriber counts
+ */
+router.get('/plans', requirePermission('plans:manage'), async (req, res) => {
+    try {
+        const [plans, subscribers] = await Promise.all([
+            Plan.find().sort({ sortOrder: 1, createdAt: 1 }).lean(),
+            User.aggregate([
+                { $match: { isPremium: true } },
+                { $group: { _id: '$subscriptionPlan', count: { $sum: 1 } } }
+            ])
+        ]);
+        const counts = Object.fromEntries(subscribers.map(s => [s._id, s.count]));
+
+        res.json({ plans: plans.map(plan => ({ ...plan, subscribers: counts[plan.code] || 0 })) });
+    } catch (err) {
+        logger.error('Fetch plans error', { error: err.message, stack: err.stack });
+        res.status(500).json({ error: 'Failed to fetch plans' });
+    }
+});
+
+/**
+ * POST /api/admin/plans
+ * Create a plan
+ * Body: { code, name, interval, intervalCount, seats, prices: [{ currency, amount }], features, active, sortOrder }
+ * Amounts are in minor units (kobo).
+ */
+router.post('/plans', requirePermission('plans:manage'), async (req, res) => {
+    try {
+        const plan = await Plan.create(pickPlanFields(req.body, { allowCode: true }));
+
+        await recordAudit(req, {
+            action: 'plan.create',
+            targetType: 'Plan',
+            targetId: plan._id,
+            after: pickPlanFields(plan.toObject(), { allowCode: true }),
+            metadata: { code: plan.code }
+        });
+
+        logger.info('Plan created', { code: plan.code, adminId: req.user._id });
+
+        res.status(201).json({ success: true, plan });
+    } catch (err) {
+        if (err.name === 'ValidationError') {
+            return res.status(400).json({ error: err.message });
+        }
+        if (err.code === 11000) {
+            return res.status(409).json({ error: 'A plan with this code already exists' });
+        }
+        logger.error('Create plan error', { error: err.message, stack: err.stack });
+        res.status(500).json({ error: 'Failed to create plan' });
+    }
+});
+
+/**
+ * PATCH /api/admin/plans/:code
+ * Update a plan. Price and period changes apply to future payments only.
+ */
+router.patch('/plans/:code', requirePermission('plans:manage'), async (req, res) => {
+    try {
+        const updates = pickPlanFields(req.body, { allowCode: false });
+
+        const previous = await Plan.findOne({ code: req.params.code }).lean();
+        if (!previous) {
+            return res.status(404).json({ error: 'Plan not found' });
+        }
+
+        const plan = await Plan.findOneAndUpdate(
+            { code: req.params.code },
+            updates,
+            { new: true, runValidators: true }
+        );
+
+        await recordAudit(req, {
+            action: 'plan.update',
+            targetType: 'Plan',
+            targetId: plan._id,
+            before: Object.fromEntries(Object.keys(updates).map(key => [key, previous[key]])),
+            after: Object.fromEntries(Object.keys(updates).map(key => [key, plan[key]])),
+            metadata: { code: plan.code }
+        });
+
+        logger.info('Plan updated', { code: plan.code, fields: Object.keys(updates), adminId: req.user._id });
+
+        res.json({ success: true, plan });
+    } catch (err) {
+        if (err.name === 'ValidationError') {
+            return res.status(400).json({ error: err.message });
+        }
+        logger.error('Update plan error', { error: err.message, stack: err.stack });
+        res.status(500).json({ error: 'Failed to update plan' });
+    }
+});
+
+/**
+ * DELETE /api/admin/plans/:code
+ * Delete a plan nobody has bought; otherwise deactivate it with PATCH { active: false }
+ */
+router.delete('/plans/:code', requirePermission('plans:manage'), async (req, res) => {
+    try {
+        const plan = await Plan.findOne({ code: req.params.code });
+        if (!plan) {
+            return res.status(404).json({ error: 'Plan not found' });
+        }
+
+        const [subscribers, transactions] = await Promise.all([
+            User.countDocuments({ subscriptionPlan: plan.code }),
+            PaymentTransaction.countDocuments({ plan: plan.code })
+        ]);
+        if (subscribers || transactions) {
+            return res.status(409).json({
+                error: 'This plan has been purchased; deactivate it instead',
+                subscribers,
+                transactions
+            });
+        }
+
+        await plan.deleteOne();
+
+        await recordAudit(req, {
+            action: 'plan.delete',
+            targetType: 'Plan',
+            targetId: plan._id,
+            before: pickPlanFields(plan.toObject(), { allowCode: true }),
+            metadata: { code: plan.code }
+        });
+
+        logger.warn('Plan deleted', { code: plan.code, adminId: req.user._id });
+
+        res.json({ success: true, message: 'Plan deleted successfully' });
+    } catch (err) {
+        logger.error('Delete plan error', { error: err.message, stack: err.stack });
+        res.status(500).json({ error: 'Failed to delete plan' });
+    }
+});
+
+// ===== DOMAIN BLOCKLIST / ALLOWLIST =====
+
+/**
+ * GET /api/admin/domain-list
+ * Get blocklist/allowlist entries used by /api/check-url
+ */
+router.get('/domain-list', requirePermission('domains:manage'), async (req, res) => {
+    try {
+        const { page = 1, limit = 50, listType = '', search = '' } = req.query;
+
+        const query = {};
+        if (listType) query.listType = listType;
+        if (search) query.domain = { $regex: search.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), $options: 'i' };
+
+        const skip = (parseInt(page) - 1) * parseInt(limit);
+
+        const [entries, total] = await Promise.all([
+            DomainListEntry.find(query)
+                .populate('addedBy', 'name email')
+                .sort({ createdAt: -1 })
+                .skip(skip)
+                .limit(parseInt(limit))
+                .lean(),
+            DomainListEntry.countDocuments(query)
+        ]);
+
+        res.json({
+            entries,
+            pagination: {
+                total,
+                page: parseInt(page),
+                limit: parseInt(limit),
+                pages: Math.ceil(total / parseInt(limit))
+            }
+        });
+    } catch (err) {
+        logger.error('Fetch domain list error', { error: err.message, stack: err.stack });
+        res.status(500).json({ error: 'Failed to fetch domain list' });
+    }
+});
+
+/**
+ * POST /api/admin/domain-list
+ * Add a domain to the blocklist or allowlist (updates the entry if it already exists)
+ */
+router.post('/domain-list', requirePermission('domains:manage'), async (req, res) => {
+    try {
+        const { domain, listType, reason = '' } = req.body;
+
+        const parsed = parseUrl(domain);
+        if (!parsed) {
+            return res.status(400).json({ error: 'A valid domain is required' });
+        }
+        if (!['block', 'allow'].includes(listType)) {
+            return res.status(400).json({ error: "listType must be 'block' or 'allow'" });
+        }
+
+        const hostname = parsed.hostname.replace(/^www\./, '');
+        const previous = await DomainListEntry.findOne({ domain: hostname }).select('listType reason').lean();
+
+        const entry = await DomainListEntry.findOneAndUpdate(
+            { domain: hostname },
+            { listType, reason, addedBy: req.user._id },
+            { new: true, upsert: true, runValidators: true }
+        );
+
+        await recordAudit(req, {
+            action: previous ? 'domain_list.update' : 'domain_list.add',
+            targetType: 'DomainListEntry',
+            targetId: entry._id,
+            before: previous ? { listType: previous.listType, reason: previous.reason } : null,
+            after: { listType: entry.listType, reason: entry.reason },
+            metadata: { domain: entry.domain }
+        });
+
+        logger.info('Domain list entry saved', {
+            domain: entry.domain,
+            listType,
+            adminId: req.user._id
+        });
+
+        res.json({ success: true, entry });
+    } catch (err) {
+        logger.error('Save domain list entry error', { error: err.message, stack: err.stack });
+        res.status(500).json({ error: 'Failed to save domain list entry' });
+    }
+});
+
+/**
+ * DELETE /api/admin/domain-list/:id
+ * Remove a blocklist/allowlist entry
+ */
+router.delete('/domain-list/:id', requirePermission('domains:manage'), async (req, res) => {
+    try {
+        const entry = await DomainListEntry.findByIdAndDelete(req.params.id);
+
+        if (!entry) {
+            return res.status(404).json({ error: 'Entry not found' });
+        }
+
+        await recordAudit(req, {
+            action: 'domain_list.remove',
+            targetType: 'DomainListEntry',
+            targetId: entry._id,
+            before: { listType: entry.listType, reason: entry.reason },
+            metadata: { domain: entry.domain }
+        });
+
+        logger.warn('Domain list entry deleted by admin', {
+            domain: entry.domain,
+            listType: entry.listType,
+            adminId: req.user._id
+        });
+
+        res.json({ success: true, message: 'Entry deleted successfully' });
+    } catch (err) {
+        logger.error('Delete domain list entry error', { error: err.message, stack: err.stack });
+        res.status(500).json({ error: 'Failed to delete domain list entry' });
+    }
+});
+
+// ===== AUDIT LOG =====
+
+const AUDIT_CSV_MAX_ROWS = 10000;
+
+function csvCell(value) {
+    if (value === null || value === undefined) return '';
+    let text;
+    if (value instanceof Date) text = value.toISOString();
+    else if (typeof value === 'object') text = JSON.stringify(value);
+    else text = String(value);
+
+    // Neutralise spreadsheet formulas, then quote
+    if (/^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+    return `"${text.replace(/"/g, '""')}"`;
+}
+
+/**
+ * GET /api/admin/audit
+ * Search the audit log
+ *
+ * Query:
+ *   - actor: user id or email of the staff member
+ *   - action: exact action (e.g. user.update) or prefix ending in '.' (e.g. report.)
+ *   - targetType, targetId
+ *   - from, to: ISO dates (inclusive range on createdAt)
+ *   - format: 'csv' to download instead of paginated JSON
+ */
+router.get('/audit', requirePermission('audit:read'), async (req, res) => {
+    try {
+        const {
+            page = 1,
+            limit = 50,
+            actor = '',
+            action = '',
+            targetType = '',
+            targetId = '',
+            from = '',
+            to = '',
+            format = 'json'
+        } = req.query;
+
+        const query = {};
+        if (actor) {
+            if (mongoose.isValidObjectId(actor)) query.actorId = actor;
+            else query.actorEmail = actor.toLowerCase();
+        }
+        if (action) {
+            query.action = action.endsWith('.')
+                ? { $regex: `^${action.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}` }
+                : action;
+        }
+        if (targetType) query.targetType = targetType;
+        if (targetId) query.targetId = targetId;
+        if (from || to) {
+            query.createdAt = {};
+            if (from) query.createdAt.$gte = new Date(from);
+            if (to) query.createdAt.$lte = new Date(to);
+            if (Object.values(query.createdAt).some(d => isNaN(d.getTime()))) {
+                return res.status(400).json({ error: 'from and to must be valid dates' });
+            }
+        }
+
+        if (format === 'csv') {
+            const columns = ['createdAt', 'actorId', 'actorEmail', 'action', 'targetType', 'targetId', 'before', 'after', 'metadata', 'ipAddress', 'userAgent'];
+
+            res.set({
+                'Content-Type': 'text/csv; charset=utf-8',
+                'Content-Disposition': `attachment; filename="audit-log-${new Date().toISOString().slice(0, 10)}.csv"`,
+                'Cache-Control': 'private, no-store'
+            });
+            res.write(`${columns.join(',')}\n`);
+
+            const cursor = AuditLog.find(query).sort({ createdAt: -1 }).limit(AUDIT_CSV_MAX_ROWS).lean().cursor();
+            for await (const entry of cursor) {
+                res.write(`${columns.map(col => csvCell(entry[col])).join(',')}\n`);
+            }
+
+            logger.info('Audit log exported', { adminId: req.user._id, filters: query });
+            return res.end();
+        }
+
+        const skip = (parseInt(page) - 1) * parseInt(limit);
+
+        const [entries, total] = await Promise.all([
+            AuditLog.find(query)
+                .populate('actorId', 'name email')
+                .sort({ createdAt: -1 })
+                .skip(skip)
+                .limit(parseInt(limit))
+                .lean(),
+            AuditLog.countDocuments(query)
+        ]);
+
+        res.json({
+            entries,
+            pagination: {
+                total,
+                page: parseInt(page),
+                limit: parseInt(limit),
+                pages: Math.ceil(total / parseInt(limit))
+            }
+        });
+    } catch (err) {
+        logger.error('Fetch audit log error', { error: err.message, stack: err.stack });
+        if (res.headersSent) return res.end();
+        res.status(500).json({ error: 'Failed to fetch audit log' });
+    }
+});
+
 // ===== SETTINGS =====
 
 /**
  * GET /api/admin/settings
  * Get system settings (placeholder for future expansion)
  */
-router.get('/settings', async (req, res) => {
+router.get('/settings', requirePermission('settings:read'), async (req, res) => {
     try {
         // Placeholder - can be expanded to include configurable settings
         res.json({
@@ -492,6 +1339,9 @@ router.get('/settings', async (req, res) => {
                 paymentsEnabled: !!process.env.PAYSTACK_SECRET_KEY,
                 emailEnabled: !!process.env.RESEND_API_KEY,
                 oauthEnabled: !!process.env.GOOGLE_CLIENT_ID
+            },
+            security: {
+                twoFactorRequiredRoles: await getSetting('twoFactor.requiredRoles', [])
             }
         });
     } catch (err) {
@@ -500,4 +1350,117 @@ router.get('/settings', async (req, res) => {
     }
 });
 
+/**
+ * PUT /api/admin/settings/two-factor
+ * Choose which staff roles must have 2FA enabled to use their permissions
+ * Body: { requiredRoles: [] }
+ */
+router.put('/settings/two-factor', requirePermission('settings:write'), async (req, res) => {
+    try {
+        const { requiredRoles } = req.body;
+        if (!Array.isArray(requiredRoles) || requiredRoles.some(role => !ROLE_NAMES.includes(role))) {
+            return res.status(400).json({ error: `requiredRoles must be an array of: ${ROLE_NAMES.join(', ')}` });
+        }
+
+        const roles = [...new Set(requiredRoles)];
+
+        // Don't lock the acting admin out of the admin API
+        if (!req.user.twoFactor?.enabled && req.user.roles.some(role => roles.includes(role))) {
+            return res.status(409).json({ error: 'Enable two-factor authentication on your own account first' });
+        }
+
+        const previous = await setSetting('twoFactor.requiredRoles', roles, req.user._id);
+
+        await recordAudit(req, {
+            action: 'settings.update',
+            targetType: 'AppSetting',
+            targetId: 'twoFactor.requiredRoles',
+            before: { requiredRoles: previous || [] },
+            after: { requiredRoles: roles }
+        });
+
+        res.json({ success: true, requiredRoles: roles });
+    } catch (err) {
+        logger.error('Update 2FA policy error', { error: err.message, stack: err.stack });
+        res.status(500).json({ error: 'Failed to update two-factor policy' });
+    }
+});
+
+// ===== BACKGROUND JOBS =====
+
+/**
+ * GET /api/admin/jobs
+ * Scheduled jobs with their next run and the outcome of their last run
+ */
+router.get('/jobs', requirePermission('maintenance:run'), async (req, res) => {
+    try {
+        res.json({ jobs: await listJobs() });
+    } catch (err) {
+        logger.error('Fetch jobs error', { error: err.message, stack: err.stack });
+        res.status(500).json({ error: 'Failed to fetch jobs' });
+    }
+});
+
+/**
+ * POST /api/admin/jobs/:name/run
+ * Start a job now instead of waiting for its schedule. Returns 202 straight
+ * away; poll GET /api/admin/jobs for its lastStatus.
+ */
+router.post('/jobs/:name/run', requirePermission('maintenance:run'), async (req, res) => {
+    const { name } = req.params;
+    if (!isKnownJob(name)) {
+        return res.status(404).json({ error: 'Unknown job', jobs: Object.keys(JOBS) });
+    }
+
+    try {
+        const run = await startJob(name);
+        if (!run) {
+            return res.status(409).json({ error: 'This job is already running' });
+        }
+        logger.warn('Job triggered by admin', { job: name, adminId: req.user._id });
+
+        await recordAudit(req, {
+            action: 'job.run',
+            targetType: 'Job',
+            targetId: name,
+            metadata: { startedAt: run.startedAt }
+        });
+
+        res.status(202).json({ success: true, ...run, message: 'Job started; check GET /api/admin/jobs for its status' });
+    } catch (err) {
+        logger.error('Run job error', { job: name, error: err.message, stack: err.stack });
+        res.status(500).json({ error: 'Failed to start job' });
+    }
+});
+
+// ===== MAINTENANCE =====
+
+/**
+ * POST /api/admin/maintenance/:task
+ * Run a database maintenance task (same tasks as `npm run db:maintenance`)
+ */
+router.post('/maintenance/:task', requirePermission('maintenance:run'), async (req, res) => {
+    // Own keys only, so /maintenance/constructor isn't a task
+    const task = Object.hasOwn(MAINTENANCE_TASKS, req.params.task) && MAINTENANCE_TASKS[req.params.task];
+    if (!task) {
+        return res.status(404).json({ error: 'Unknown maintenance task', tasks: Object.keys(MAINTENANCE_TASKS) });
+    }
+
+    try {
+        logger.warn('Maintenance task started by admin', { task: req.params.task, adminId: req.user._id });
+        const result = await task();
+
+        await recordAudit(req, {
+            action: 'maintenance.run',
+            targetType: 'Database',
+            targetId: req.params.task,
+            metadata: result
+        });
+        res.json({ success: true, task: req.params.task, result });
+    } catch (err) {
+        logger.error('Maintenance task error', { task: req.params.task, error: err.message, stack: err.stack });
+        res.status(500).json({ error: 'Maintenance task failed' });
+    }
+});
+
 export default router;
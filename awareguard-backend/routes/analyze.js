@@ -0,0 +1,70 @@
+// awareguard-backend/routes/analyze.js
+import express from 'express';
+import { analyzeMessage } from '../utils/scamAnalyzer.js';
+import { isProviderAvailable } from '../utils/llmProviders.js';
+import { createRateLimiter } from '../utils/rateLimit.js';
+import logger from '../utils/logger.js';
+
+const router = express.Router();
+
+const MAX_MESSAGE_LENGTH = 5000;
+const CHANNELS = ['sms', 'email', 'whatsapp', 'other'];
+
+// Shared by /api/analyze and /api/ask/analyze
+const analyzeLimiter = createRateLimiter('analyze');
+
+/**
+ * POST /api/analyze
+ * Analyze a pasted SMS, email or WhatsApp message for scam indicators
+ *
+ * Body:
+ *   - message (string): The suspicious message text
+ *   - channel (string, optional): sms | email | whatsapp | other
+ *   - useAI (boolean, optional): Set false to use local heuristics only
+ *   - provider (string, optional): LLM provider for the AI pass
+ *
+ * Returns:
+ *   - riskScore (number): 0-100
+ *   - riskLevel (string): low | medium | high
+ *   - category ({ id, label }): Most likely scam category
+ *   - redFlags (array): { id, label, description, evidence[] }
+ *   - recommendedActions (array of strings)
+ */
+router.post('/', analyzeLimiter, async (req, res) => {
+  const { message, channel = 'other', useAI = true, provider } = req.body;
+
+  if (!message || typeof message !== 'string' || !message.trim()) {
+    return res.status(400).json({ error: 'Message text is required.' });
+  }
+  if (message.length > MAX_MESSAGE_LENGTH) {
+    return res.status(400).json({ error: `Message must be ${MAX_MESSAGE_LENGTH} characters or fewer.` });
+  }
+  if (!CHANNELS.includes(channel)) {
+    return res.status(400).json({ error: `Invalid channel. Must be one of: ${CHANNELS.join(', ')}` });
+  }
+  if (provider !== undefined && !isProviderAvailable(provider)) {
+    return res.status(400).json({ error: 'Requested AI provider is not available.' });
+  }
+
+  try {
+    const verdict = await analyzeMessage(message.trim(), {
+      channel,
+      useAI: useAI !== false,
+      provider
+    });
+
+    logger.info('Message analyzed', {
+      channel,
+      riskScore: verdict.riskScore,
+      category: verdict.category.id,
+      aiUsed: verdict.analysis.ai.used
+    });
+
+    res.json(verdict);
+  } catch (err) {
+    logger.error('Message analysis failed', { error: err.message, stack: err.stack });
+    res.status(500).json({ error: 'Failed to analyze message.' });
+  }
+});
+
+export default router;
@@ -10,7 +10,7 @@
  */
 
 import express from 'express';
-import { authMiddleware } from '../../middleware/auth.js';
+import { authMiddleware, requirePermission } from '../../middleware/auth.js';
 import validateQuiz from '../../middleware/validateQuiz.js';
 import * as quizController from '../../controllers/quizController.js';
 
@@ -164,7 +164,7 @@ router.get('/user/:userId/attempts', authMiddleware, async (req, res) => {
     const { limit = 20, offset = 0 } = req.query;
 
     // Check authorization
-    if (req.user.id !== userId && req.user.role !== 'admin') {
+    if (req.user.id !== userId && !req.user.hasPermission('quizzes:read')) {
       return res.status(403).json({
         message: 'Not authorized to view this user\'s attempts',
         status: 'forbidden'
@@ -213,7 +213,7 @@ router.get('/user/:userId/module/:moduleId', authMiddleware, async (req, res) =>
     const { userId, moduleId } = req.params;
 
     // Check authorization
-    if (req.user.id !== userId && req.user.role !== 'admin') {
+    if (req.user.id !== userId && !req.user.hasPermission('quizzes:read')) {
       return res.status(403).json({
         message: 'Not authorized',
         status: 'forbidden'
@@ -244,7 +244,9 @@ router.get('/user/:userId/module/:moduleId', authMiddleware, async (req, res) =>
 
 /**
  * GET /api/quizzes/stats/module/:moduleId
- * Get quiz statistics for a module (admin only)
+ * Get quiz statistics for a module
+ * 
+ * Requires: Authentication, quizzes:read permission
  * 
  * Returns:
  *   - averageScore (number)
@@ -252,7 +254,7 @@ router.get('/user/:userId/module/:moduleId', authMiddleware, async (req, res) =>
  *   - totalAttempts (number)
  *   - difficulty (string)
  */
-router.get('/stats/module/:moduleId', async (req, res) => {
+router.get('/stats/module/:moduleId', authMiddleware, requirePermission('quizzes:read'), async (req, res) => {
   try {
     const { moduleId } = req.params;
     const stats = await quizController.getModuleQuizStats(moduleId);
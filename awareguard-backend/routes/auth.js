@@ -1,11 +1,13 @@
 // awareguard-backend/routes/auth.js
 import express from "express";
 import jwt from "jsonwebtoken";
-import crypto from "crypto";
-import mongoose from "mongoose";
 import { User } from "../models/User.js";
-import { sendWelcomeEmail, sendPasswordResetEmail, sendPasswordResetConfirmation } from "../utils/emailService.js";
-import { createPasswordResetToken, hashToken, generateResetToken } from "../utils/tokenUtils.js";
+import { authMiddleware } from "../middleware/auth.js";
+import { sendWelcomeEmail, sendPasswordResetEmail, sendPasswordResetConfirmation, sendVerificationEmail } from "../utils/emailService.js";
+import { createPasswordResetToken, createEmailVerificationToken, hashToken, generateResetToken } from "../utils/tokenUtils.js";
+import { startSession, findSession, rotateSession, hashRefreshToken, REUSE_GRACE_MS } from "../utils/sessions.js";
+import { createRateLimiter, getLoginLockout, recordLoginFailure, clearLoginFailures, sendLockedOut } from "../utils/rateLimit.js";
+import { PASSWORD_REQUIREMENTS_ERROR, evaluatePasswordRules, isPasswordPolicyValid } from "../utils/passwordPolicy.js";
 import logger from "../utils/logger.js";
 
 const router = express.Router();
@@ -28,28 +30,43 @@ function validateRedirectUrl(url) {
 
 // ===== JWT HELPERS =====
 
-// Determine role based on env-based admin credentials
-function getUserRole(user) {
-  return user.email === process.env.ADMIN_EMAIL ? 'admin' : 'user';
+// User summary sent to clients; access is always re-checked server-side from User.roles
+function toAuthUser(user) {
+  return {
+    id: user._id,
+    name: user.name,
+    email: user.email,
+    isPremium: user.isPremium,
+    emailVerified: user.emailVerified,
+    twoFactorEnabled: !!user.twoFactor?.enabled,
+    deletionScheduledFor: user.deletionScheduledFor || null,
+    emailPreferences: { digest: user.emailPreferences?.digest !== false },
+    role: user.getPrimaryRole(),
+    roles: user.roles,
+    permissions: user.getPermissions()
+  };
 }
 
-// Create access token (7 days)
-function createToken(user) {
-  const role = getUserRole(user);
-  return jwt.sign({ sub: user._id, email: user.email, role }, process.env.JWT_SECRET, {
-    expiresIn: "7d",
-  });
+// Access tokens are short-lived; clients renew them through /refresh with the cookie
+const ACCESS_TOKEN_TTL_SECONDS = parseInt(process.env.ACCESS_TOKEN_TTL_SECONDS, 10) || 15 * 60;
+
+// Create access token; sid ties it to its refresh-token session, ver to the user's tokenVersion
+function createToken(user, sessionId) {
+  const role = user.getPrimaryRole();
+  return jwt.sign(
+    { sub: user._id, email: user.email, role, sid: sessionId, ver: user.tokenVersion || 0 },
+    process.env.JWT_SECRET,
+    { expiresIn: ACCESS_TOKEN_TTL_SECONDS }
+  );
 }
 
-// Create refresh token (30 days)
-function createRefreshToken() {
-  return crypto.randomBytes(32).toString('hex');
+// Short-lived token proving the password step of a 2FA signin (not an access token)
+function createTwoFactorChallenge(user) {
+  return jwt.sign({ sub: user._id, purpose: "2fa" }, process.env.JWT_SECRET, {
+    expiresIn: "5m",
+  });
 }
 
-// Hash refresh token for storage
-function hashRefreshToken(token) {
-  return crypto.createHash('sha256').update(token).digest('hex');
-}
 
 // ===== REFRESH TOKEN COOKIE HELPER =====
 const REFRESH_COOKIE_OPTIONS = {
@@ -64,6 +81,14 @@ function setRefreshCookie(res, refreshToken) {
   res.cookie('AG_REFRESH', refreshToken, REFRESH_COOKIE_OPTIONS);
 }
 
+// Start a new session (device + refresh cookie) and return its access token
+async function signInUser(req, res, user) {
+  const { refreshToken, sessionId } = startSession(user, req);
+  await user.save();
+  setRefreshCookie(res, refreshToken);
+  return createToken(user, sessionId);
+}
+
 function clearRefreshCookie(res) {
   res.clearCookie('AG_REFRESH', {
     httpOnly: true,
@@ -73,44 +98,15 @@ function clearRefreshCookie(res) {
   });
 }
 
-// Simple in-memory rate limiting (use Redis in production)
-const resetAttempts = new Map();
-
-function checkRateLimit(email) {
-  const now = Date.now();
-  const attempts = resetAttempts.get(email) || [];
-
-  // Remove attempts older than 1 hour
-  const recentAttempts = attempts.filter(time => now - time < 60 * 60 * 1000);
-
-  if (recentAttempts.length >= 3) {
-    return false; // Too many attempts
-  }
-
-  recentAttempts.push(now);
-  resetAttempts.set(email, recentAttempts);
-  return true;
-}
-
-const PASSWORD_REQUIREMENTS_ERROR =
-  "Password must be at least 8 characters and include an uppercase letter, a number, and a symbol";
-
-function evaluatePasswordRules(password = "") {
-  return {
-    minLength: password.length >= 8,
-    uppercase: /[A-Z]/.test(password),
-    number: /[0-9]/.test(password),
-    symbol: /[^A-Za-z0-9\s]/.test(password),
-  };
-}
-
-function isPasswordPolicyValid(password = "") {
-  const rules = evaluatePasswordRules(password);
-  return Object.values(rules).every(Boolean);
-}
+const signinLimiter = createRateLimiter("signin");
+const signupLimiter = createRateLimiter("signup");
+const twoFactorLimiter = createRateLimiter("twoFactor");
+const passwordResetEmailLimiter = createRateLimiter("passwordResetByEmail");
+const passwordResetIpLimiter = createRateLimiter("passwordResetByIp");
+const resendVerificationLimiter = createRateLimiter("resendVerification");
 
 // POST /api/auth/signup
-router.post("/signup", async (req, res) => {
+router.post("/signup", signupLimiter, async (req, res) => {
   try {
     const { name, email, password } = req.body;
     if (!email || !password) return res.status(400).json({ error: "Email and password required" });
@@ -134,30 +130,27 @@ router.post("/signup", async (req, res) => {
     user.paystackReference = undefined;
     user.googleId = undefined;
 
+    const verification = createEmailVerificationToken();
+    user.emailVerificationToken = verification.hashedToken;
+    user.emailVerificationExpires = verification.expires;
+
     await user.save();
 
-    // Send welcome email (non-blocking)
+    // Send welcome and verification emails (non-blocking)
     sendWelcomeEmail(email, name).catch(err =>
       logger.error('Failed to send welcome email', { error: err.message })
     );
+    sendVerificationEmail(email, verification.token, name).catch(err =>
+      logger.error('Failed to send verification email', { error: err.message })
+    );
 
-    // Create access token and refresh token
-    const token = createToken(user);
-    const refreshToken = createRefreshToken();
-
-    // Store hashed refresh token
-    user.refreshTokens.push({
-      tokenHash: hashRefreshToken(refreshToken),
-      expiresAt: new Date(Date.now() + 30 * 24 * 60 * 60 * 1000) // 30 days
-    });
-    await user.save();
-
-    // Set refresh token as httpOnly cookie
-    setRefreshCookie(res, refreshToken);
+    // Create access token and refresh token session
+    const token = await signInUser(req, res, user);
 
     res.json({
       token,
-      user: { id: user._id, name: user.name, email: user.email, isPremium: user.isPremium, role: 'user' }
+      expiresIn: ACCESS_TOKEN_TTL_SECONDS,
+      user: toAuthUser(user)
     });
   } catch (err) {
     // Handle the specific duplicate key error on paystackReference
@@ -173,34 +166,88 @@ router.post("/signup", async (req, res) => {
 });
 
 // POST /api/auth/signin
-router.post("/signin", async (req, res) => {
+router.post("/signin", signinLimiter, async (req, res) => {
   try {
     const { email, password } = req.body;
+    if (!email || !password) return res.status(400).json({ error: "Email and password required" });
+
+    // Keyed by email whether or not the account exists, so a lockout does not reveal it
+    const lockKey = `password:${String(email).trim().toLowerCase()}`;
+    const retryAfter = await getLoginLockout(lockKey);
+    if (retryAfter) return sendLockedOut(res, retryAfter);
+
     const user = await User.findOne({ email });
-    if (!user) return res.status(401).json({ error: "Invalid credentials" });
-    const ok = await user.checkPassword(password);
-    if (!ok) return res.status(401).json({ error: "Invalid credentials" });
+    const ok = user && await user.checkPassword(password);
+    if (!ok) {
+      await recordLoginFailure(lockKey);
+      return res.status(401).json({ error: "Invalid credentials" });
+    }
+    await clearLoginFailures(lockKey);
+
+    // Second step required: no tokens until POST /signin/2fa succeeds
+    if (user.twoFactor?.enabled) {
+      return res.json({ twoFactorRequired: true, challengeToken: createTwoFactorChallenge(user) });
+    }
 
-    const token = createToken(user);
-    const refreshToken = createRefreshToken();
+    const token = await signInUser(req, res, user);
 
-    // Store hashed refresh token
-    user.refreshTokens.push({
-      tokenHash: hashRefreshToken(refreshToken),
-      expiresAt: new Date(Date.now() + 30 * 24 * 60 * 60 * 1000)
+    res.json({
+      token,
+      expiresIn: ACCESS_TOKEN_TTL_SECONDS,
+      user: toAuthUser(user)
     });
-    await user.save();
+  } catch (err) {
+    logger.error('Signin failed', { error: err.message, stack: err.stack });
+    res.status(500).json({ error: "Signin failed" });
+  }
+});
+
+// POST /api/auth/signin/2fa
+// Finish a 2FA signin with { challengeToken, code } or { challengeToken, backupCode }
+router.post("/signin/2fa", twoFactorLimiter, async (req, res) => {
+  try {
+    const { challengeToken, code, backupCode } = req.body;
+
+    let payload;
+    try {
+      payload = jwt.verify(challengeToken, process.env.JWT_SECRET);
+    } catch {
+      return res.status(401).json({ error: "Sign-in session expired. Please sign in again." });
+    }
+    if (payload.purpose !== "2fa") {
+      return res.status(401).json({ error: "Sign-in session expired. Please sign in again." });
+    }
+
+    const user = await User.findById(payload.sub)
+      .select("+twoFactor.secret +twoFactor.backupCodes +twoFactor.lastUsedStep");
+    if (!user) return res.status(401).json({ error: "Invalid credentials" });
+
+    // Per account, so guessing codes from many IPs is still slowed down
+    const lockKey = `2fa:${user._id}`;
+    const retryAfter = await getLoginLockout(lockKey);
+    if (retryAfter) return sendLockedOut(res, retryAfter);
+
+    const method = user.consumeSecondFactor({ code, backupCode });
+    if (!method) {
+      logger.warn('Invalid 2FA code at signin', { userId: user._id });
+      await recordLoginFailure(lockKey);
+      return res.status(401).json({ error: "Invalid verification code" });
+    }
+    await clearLoginFailures(lockKey);
 
-    // Set refresh token as httpOnly cookie
-    setRefreshCookie(res, refreshToken);
+    // Same save records the used code
+    const token = await signInUser(req, res, user);
+
+    logger.info('2FA signin completed', { userId: user._id, method });
 
-    const role = getUserRole(user);
     res.json({
       token,
-      user: { id: user._id, name: user.name, email: user.email, isPremium: user.isPremium, role }
+      expiresIn: ACCESS_TOKEN_TTL_SECONDS,
+      user: toAuthUser(user),
+      ...(method === 'backup' && { backupCodesRemaining: user.twoFactor.backupCodes.length })
     });
   } catch (err) {
-    logger.error('Signin failed', { error: err.message, stack: err.stack });
+    logger.error('2FA signin failed', { error: err.message, stack: err.stack });
     res.status(500).json({ error: "Signin failed" });
   }
 });
@@ -215,41 +262,56 @@ router.post("/refresh", async (req, res) => {
     }
 
     const hashedToken = hashRefreshToken(refreshToken);
-    const user = await User.findOne({ 'refreshTokens.tokenHash': hashedToken });
+    const user = await User.findOne({
+      $or: [
+        { 'refreshTokens.tokenHash': hashedToken },
+        { 'refreshTokens.previousTokenHashes': hashedToken }
+      ]
+    });
 
     if (!user) {
       clearRefreshCookie(res);
       return res.status(401).json({ error: 'Invalid refresh token' });
     }
 
-    // Find and validate the token entry
-    const tokenEntry = user.refreshTokens.find(t => t.tokenHash === hashedToken);
-    if (!tokenEntry || tokenEntry.expiresAt < new Date()) {
-      // Token expired or not found — revoke ALL tokens (potential theft)
-      user.refreshTokens = [];
+    const { session, reused } = findSession(user, hashedToken);
+
+    if (reused) {
+      // A concurrent refresh from another tab already rotated this token
+      if (session.rotatedAt && Date.now() - session.rotatedAt.getTime() < REUSE_GRACE_MS) {
+        return res.status(409).json({ error: 'Refresh already in progress' });
+      }
+
+      // An old token came back: it was copied. Revoke only this session's family
+      user.refreshTokens = user.refreshTokens.filter(t => t !== session);
+      await user.save();
+      clearRefreshCookie(res);
+      logger.warn('Refresh token reuse detected, session revoked', {
+        userId: user._id,
+        sessionId: session.familyId,
+        ip: req.ip
+      });
+      return res.status(401).json({ error: 'Refresh token reuse detected' });
+    }
+
+    if (session.expiresAt < new Date()) {
+      user.refreshTokens = user.refreshTokens.filter(t => t !== session);
       await user.save();
       clearRefreshCookie(res);
-      logger.warn('Expired/invalid refresh token detected', { userId: user._id });
       return res.status(401).json({ error: 'Refresh token expired' });
     }
 
-    // Rotate: remove old, create new
-    user.refreshTokens = user.refreshTokens.filter(t => t.tokenHash !== hashedToken);
-    const newRefreshToken = createRefreshToken();
-    user.refreshTokens.push({
-      tokenHash: hashRefreshToken(newRefreshToken),
-      expiresAt: new Date(Date.now() + 30 * 24 * 60 * 60 * 1000)
-    });
+    // Rotate within the same session
+    const newRefreshToken = rotateSession(session, req);
     await user.save();
 
-    const accessToken = createToken(user);
-    logger.info('Refresh token rotated', { userId: user._id });
+    const accessToken = createToken(user, session.familyId);
+    logger.info('Refresh token rotated', { userId: user._id, sessionId: session.familyId });
 
     // Set new refresh token cookie
     setRefreshCookie(res, newRefreshToken);
 
-    const role = getUserRole(user);
-    res.json({ token: accessToken, user: { id: user._id, name: user.name, email: user.email, isPremium: user.isPremium, role } });
+    res.json({ token: accessToken, expiresIn: ACCESS_TOKEN_TTL_SECONDS, user: toAuthUser(user) });
   } catch (err) {
     logger.error('Refresh token error', { error: err.message, stack: err.stack });
     res.status(500).json({ error: 'Failed to refresh token' });
@@ -265,7 +327,8 @@ router.post("/logout", async (req, res) => {
       const hashedToken = hashRefreshToken(refreshToken);
       const user = await User.findOne({ 'refreshTokens.tokenHash': hashedToken });
       if (user) {
-        user.refreshTokens = user.refreshTokens.filter(t => t.tokenHash !== hashedToken);
+        const { session } = findSession(user, hashedToken);
+        user.refreshTokens = user.refreshTokens.filter(t => t !== session);
         await user.save();
         logger.info('Refresh token revoked on logout', { userId: user._id });
       }
@@ -285,7 +348,7 @@ router.post("/logout", async (req, res) => {
  * POST /api/auth/forgot-password
  * Request password reset email
  */
-router.post("/forgot-password", async (req, res) => {
+router.post("/forgot-password", passwordResetIpLimiter, passwordResetEmailLimiter, async (req, res) => {
   try {
     const { email } = req.body;
 
@@ -293,13 +356,6 @@ router.post("/forgot-password", async (req, res) => {
       return res.status(400).json({ error: "Email is required" });
     }
 
-    // Rate limiting check
-    if (!checkRateLimit(email)) {
-      return res.status(429).json({
-        error: "Too many password reset attempts. Please try again later."
-      });
-    }
-
     // Find user (don't reveal if email exists for security)
     const user = await User.findOne({ email });
 
@@ -388,6 +444,13 @@ router.post("/reset-password/:token", async (req, res) => {
     user.passwordResetToken = null;
     user.passwordResetExpires = null;
 
+    // Following the emailed link proves ownership of the address
+    user.emailVerified = true;
+
+    // Sign out every device, including any attacker holding a stolen token
+    user.revokeAccessTokens();
+    user.refreshTokens = [];
+
     await user.save();
 
     // Send confirmation email
@@ -410,6 +473,69 @@ router.post("/reset-password/:token", async (req, res) => {
   }
 });
 
+// ===== EMAIL VERIFICATION ROUTES =====
+
+/**
+ * GET /api/auth/verify-email/:token
+ * Mark the account's email address as verified
+ */
+router.get("/verify-email/:token", async (req, res) => {
+  try {
+    const user = await User.findOne({
+      emailVerificationToken: hashToken(req.params.token),
+      emailVerificationExpires: { $gt: Date.now() }
+    });
+
+    if (!user) {
+      return res.status(400).json({ error: "Invalid or expired verification link" });
+    }
+
+    user.emailVerified = true;
+    user.emailVerificationToken = null;
+    user.emailVerificationExpires = null;
+    await user.save();
+
+    logger.info('Email verified', { userId: user._id });
+
+    res.json({ success: true, message: "Email verified successfully." });
+  } catch (err) {
+    logger.error('Email verification error', { error: err.message, stack: err.stack });
+    res.status(500).json({ error: "Failed to verify email" });
+  }
+});
+
+/**
+ * POST /api/auth/resend-verification
+ * Send a new verification link to the signed-in user
+ */
+router.post("/resend-verification", authMiddleware, resendVerificationLimiter, async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id);
+
+    if (user.emailVerified) {
+      return res.status(400).json({ error: "Email is already verified" });
+    }
+
+    // Replaces any earlier link
+    const { token, hashedToken, expires } = createEmailVerificationToken();
+    user.emailVerificationToken = hashedToken;
+    user.emailVerificationExpires = expires;
+    await user.save();
+
+    try {
+      await sendVerificationEmail(user.email, token, user.name);
+    } catch (emailError) {
+      logger.error('Failed to resend verification email', { userId: user._id, error: emailError.message });
+      return res.status(500).json({ error: "Failed to send verification email. Please try again later." });
+    }
+
+    res.json({ success: true, message: "Verification email sent." });
+  } catch (err) {
+    logger.error('Resend verification error', { error: err.message, stack: err.stack });
+    res.status(500).json({ error: "Failed to resend verification email" });
+  }
+});
+
 // ===== GOOGLE OAUTH ROUTES =====
 
 import passportConfig from '../config/passport.js';
@@ -428,36 +554,34 @@ router.get('/google', passportConfig.authenticate('google', {
  * Google OAuth callback - handle success/failure
  */
 router.get('/google/callback',
-  passportConfig.authenticate('google', { session: false, failureRedirect: `${process.env.FRONTEND_URL || 'http://localhost:5173'}/signin?error=oauth_failed` }),
+  (req, res, next) => {
+    passportConfig.authenticate('google', { session: false }, (err, user, info) => {
+      if (err) return next(err);
+      if (!user) {
+        // account_exists: the email belongs to an account that has not linked Google
+        const reason = info?.message === 'account_exists' ? 'account_exists' : 'oauth_failed';
+        return res.redirect(`${process.env.FRONTEND_URL || 'http://localhost:5173'}/signin?error=${reason}`);
+      }
+      req.user = user;
+      next();
+    })(req, res, next);
+  },
   async (req, res) => {
     try {
       // User authenticated successfully via Google
       const user = req.user;
+      const frontendUrl = process.env.FRONTEND_URL || 'http://localhost:5173';
 
-      // Generate JWT token
-      const token = createToken(user);
-
-      // Generate refresh token for OAuth users too
-      const refreshToken = createRefreshToken();
-      user.refreshTokens.push({
-        tokenHash: hashRefreshToken(refreshToken),
-        expiresAt: new Date(Date.now() + 30 * 24 * 60 * 60 * 1000)
-      });
-      await user.save();
+      // Google proves the password step only; finish with POST /signin/2fa
+      if (user.twoFactor?.enabled) {
+        return res.redirect(`${frontendUrl}/auth/2fa?challenge=${createTwoFactorChallenge(user)}`);
+      }
 
-      // Set refresh token as httpOnly cookie
-      setRefreshCookie(res, refreshToken);
+      // Generate JWT token and refresh token session for OAuth users too
+      const token = await signInUser(req, res, user);
 
       // Redirect to frontend with token + user (including role)
-      const frontendUrl = process.env.FRONTEND_URL || 'http://localhost:5173';
-      const role = getUserRole(user);
-      res.redirect(`${frontendUrl}/auth/google/callback?token=${token}&user=${encodeURIComponent(JSON.stringify({
-        id: user._id,
-        name: user.name,
-        email: user.email,
-        isPremium: user.isPremium,
-        role
-      }))}`);
+      res.redirect(`${frontendUrl}/auth/google/callback?token=${token}&user=${encodeURIComponent(JSON.stringify(toAuthUser(user)))}`);
     } catch (err) {
       logger.error('Google OAuth callback error', { error: err.message, stack: err.stack });
       const frontendUrl = process.env.FRONTEND_URL || 'http://localhost:5173';
@@ -466,74 +590,4 @@ router.get('/google/callback',
   }
 );
 
-// ===== ADMIN ENDPOINT - ONE-TIME DATABASE FIX =====
-
-/**
- * POST /api/auth/admin/fix-paystack-index
- * ONE-TIME endpoint to fix the paystackReference duplicate key error
- * Call this once, then remove this endpoint
- */
-router.post('/admin/fix-paystack-index', async (req, res) => {
-  try {
-    logger.info('Starting comprehensive index fix');
-
-    const db = mongoose.connection.db;
-    const usersCollection = db.collection('users');
-
-    // Get all existing indexes first
-    const existingIndexes = await usersCollection.indexes();
-    logger.info('Current indexes', { indexes: existingIndexes.map(idx => idx.name) });
-
-    // Drop ALL paystackReference-related indexes
-    const paystackIndexNames = existingIndexes
-      .filter(idx => idx.name && idx.name.includes('paystackReference'))
-      .map(idx => idx.name);
-
-    const droppedIndexes = [];
-    for (const indexName of paystackIndexNames) {
-      try {
-        await usersCollection.dropIndex(indexName);
-        logger.info('Dropped index', { indexName });
-        droppedIndexes.push(indexName);
-      } catch (err) {
-        logger.warn('Could not drop index', { indexName, error: err.message });
-      }
-    }
-
-    // Create new sparse unique index
-    await usersCollection.createIndex(
-      { paystackReference: 1 },
-      {
-        unique: true,
-        sparse: true,  // Allows multiple null values
-        name: 'paystackReference_sparse_1'
-      }
-    );
-    logger.info('Created new sparse unique index');
-
-    // Verify the fix
-    const newIndexes = await usersCollection.indexes();
-    const paystackIndex = newIndexes.find(idx => idx.name === 'paystackReference_sparse_1');
-
-    res.json({
-      success: true,
-      message: 'Index fixed successfully! OAuth signup should now work.',
-      droppedIndexes,
-      newIndex: paystackIndex,
-      allIndexes: newIndexes.map(idx => ({
-        name: idx.name,
-        keys: idx.key,
-        sparse: idx.sparse,
-        unique: idx.unique
-      }))
-    });
-  } catch (error) {
-    logger.error('Error fixing index', { error: error.message, stack: error.stack });
-    res.status(500).json({
-      success: false,
-      error: 'Failed to fix index'
-    });
-  }
-});
-
 export default router;
@@ -0,0 +1,122 @@
+// awareguard-backend/routes/checkUrl.js
+import express from 'express';
+import { Report } from '../models/Report.js';
+import { DomainListEntry } from '../models/DomainListEntry.js';
+import { inspectUrlStructure, scoreSignals } from '../utils/urlChecker.js';
+import { createRateLimiter } from '../utils/rateLimit.js';
+import logger from '../utils/logger.js';
+
+const router = express.Router();
+
+const checkUrlLimiter = createRateLimiter('checkUrl');
+
+// Approved community reports that mention this domain
+async function findReportsForDomain(domain) {
+  const query = { status: 'approved', domain };
+
+  const [count, latest] = await Promise.all([
+    Report.countDocuments(query),
+    Report.findOne(query).sort({ createdAt: -1 }).select('createdAt publishedStoryId').lean()
+  ]);
+
+  return {
+    count,
+    lastReportedAt: latest?.createdAt || null,
+    latestStoryId: latest?.publishedStoryId || null
+  };
+}
+
+/**
+ * POST /api/check-url
+ * Check a link for phishing signals and known reports
+ *
+ * Body:
+ *   - url (string): Full URL or bare domain
+ *
+ * Returns:
+ *   - verdict (string): allowlisted | blocklisted | suspicious | no_known_issues
+ *   - riskScore (number): 0-100
+ *   - riskLevel (string): low | medium | high
+ *   - signals (array): { id, description, weight }
+ *   - reports ({ count, lastReportedAt, latestStoryId }): Approved community reports
+ */
+router.post('/', checkUrlLimiter, async (req, res) => {
+  const { url } = req.body;
+  if (!url || typeof url !== 'string' || url.length > 2048) {
+    return res.status(400).json({ error: 'A URL (max 2048 characters) is required.' });
+  }
+
+  try {
+    const inspection = inspectUrlStructure(url);
+    if (!inspection.hostname) {
+      return res.status(400).json({ error: 'Invalid URL.', signals: inspection.signals });
+    }
+
+    const { hostname, domain } = inspection;
+    const [listEntries, reports] = await Promise.all([
+      DomainListEntry.find({ domain: { $in: [...new Set([hostname, domain])] } }).lean(),
+      findReportsForDomain(domain)
+    ]);
+
+    // An exact hostname entry wins over one for its parent domain
+    const listEntry = listEntries.find(e => e.domain === hostname) || listEntries[0] || null;
+
+    const baseResult = {
+      url: inspection.url,
+      hostname,
+      displayHostname: inspection.unicodeHostname,
+      domain,
+      reports
+    };
+
+    if (listEntry?.listType === 'allow') {
+      return res.json({
+        ...baseResult,
+        verdict: 'allowlisted',
+        riskScore: 0,
+        riskLevel: 'low',
+        signals: [],
+        list: { type: 'allow', reason: listEntry.reason }
+      });
+    }
+
+    const signals = [...inspection.signals];
+
+    if (listEntry?.listType === 'block') {
+      signals.push({
+        id: 'blocklisted',
+        description: listEntry.reason || 'Domain is on the AwareGuard blocklist',
+        weight: 80
+      });
+    }
+
+    if (reports.count > 0) {
+      signals.push({
+        id: 'community_reports',
+        description: `Mentioned in ${reports.count} approved scam report${reports.count === 1 ? '' : 's'}`,
+        weight: 30 + Math.min(reports.count - 1, 4) * 10
+      });
+    }
+
+    const { riskScore, riskLevel } = scoreSignals(signals);
+    let verdict = 'no_known_issues';
+    if (listEntry?.listType === 'block') verdict = 'blocklisted';
+    else if (riskScore >= 30) verdict = 'suspicious';
+
+    logger.info('URL checked', { domain, verdict, riskScore });
+
+    res.json({
+      ...baseResult,
+      verdict,
+      riskScore,
+      riskLevel,
+      signals,
+      list: listEntry ? { type: listEntry.listType, reason: listEntry.reason } : null
+    });
+  } catch (err) {
+    logger.error('URL check failed', { error: err.message, stack: err.stack });
+    res.status(500).json({ error: 'Failed to check URL.' });
+  }
+});
+
+export default router;
@@ -1,5 +1,8 @@
 // awareguard-backend/routes/config.js
 import express from 'express';
+import { isEmailVerificationRequired } from '../middleware/auth.js';
+import { findPlan, priceFor } from '../utils/subscriptions.js';
+import logger from '../utils/logger.js';
 
 const router = express.Router();
 
@@ -7,13 +10,29 @@ const router = express.Router();
  * GET /api/config/paystack
  * Returns public Paystack configuration for frontend
  * This is safe to expose publicly
+ *
+ * Checkout is created by POST /api/payments/initialize; the public key is
+ * only needed to open it with Paystack Popup. When emailVerificationRequired
+ * is true, initialize refuses unverified users.
+ *
+ * monthlyAmount/annualAmount (Naira) are kept for older clients; the full
+ * catalog is at GET /api/payments/plans.
  */
-router.get('/paystack', (req, res) => {
-    res.json({
-        publicKey: process.env.PAYSTACK_PUBLIC_KEY,
-        monthlyAmount: 5000,
-        annualAmount: 50000
-    });
+router.get('/paystack', async (req, res) => {
+    try {
+        const [monthly, annual] = await Promise.all([findPlan('monthly'), findPlan('annual')]);
+        const naira = (plan) => (plan && priceFor(plan) !== null ? priceFor(plan) / 100 : null);
+
+        res.json({
+            publicKey: process.env.PAYSTACK_PUBLIC_KEY,
+            monthlyAmount: naira(monthly),
+            annualAmount: naira(annual),
+            emailVerificationRequired: isEmailVerificationRequired('payments')
+        });
+    } catch (err) {
+        logger.error('Paystack config error', { error: err.message, stack: err.stack });
+        res.status(500).json({ error: 'Failed to load payment configuration' });
+    }
 });
 
 export default router;
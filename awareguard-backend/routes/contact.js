@@ -1,22 +1,15 @@
 // awareguard-backend/routes/contact.js
 import express from 'express';
-import rateLimit from 'express-rate-limit';
+import { authMiddleware, requirePermission } from '../middleware/auth.js';
 import { sendContactNotification } from '../utils/emailService.js';
+import { createRateLimiter } from '../utils/rateLimit.js';
 import logger from '../utils/logger.js';
 import mongoose from 'mongoose';
 
 const router = express.Router();
 
 // Rate limiting - prevent spam (5 submissions per hour per IP)
-const contactLimiter = rateLimit({
-    windowMs: 60 * 60 * 1000, // 1 hour
-    max: 5,
-    message: {
-        error: 'Too many contact submissions from this IP. Please try again later.'
-    },
-    standardHeaders: true,
-    legacyHeaders: false,
-});
+const contactLimiter = createRateLimiter('contact');
 
 // Contact Schema (simple model for storing inquiries)
 const contactSchema = new mongoose.Schema({
@@ -124,10 +117,10 @@ router.post('/', contactLimiter, async (req, res) => {
 });
 
 /**
- * GET /api/contact (Admin only - optional)
+ * GET /api/contact (requires contacts:read)
  * Get all contact submissions
  */
-router.get('/', async (req, res) => {
+router.get('/', authMiddleware, requirePermission('contacts:read'), async (req, res) => {
     try {
         const contacts = await Contact.find()
             .sort({ createdAt: -1 })
@@ -1,6 +1,6 @@
 import express from "express";
 import { Lead } from "../models/Lead.js";
-import { authMiddleware } from "../middleware/auth.js";
+import { authMiddleware, requirePermission } from "../middleware/auth.js";
 import logger from "../utils/logger.js";
 
 const router = express.Router();
@@ -36,10 +36,9 @@ router.post("/interested", authMiddleware, async (req, res) => {
   }
 });
 
-// GET /api/leads - Admin only (protected)
-router.get("/", authMiddleware, async (req, res) => {
+// GET /api/leads - requires leads:read
+router.get("/", authMiddleware, requirePermission("leads:read"), async (req, res) => {
   try {
-    // Add admin check here ideally
     const leads = await Lead.find().sort({ createdAt: -1 });
     res.json(leads);
   } catch (error) {
@@ -2,6 +2,7 @@
 import express from "express";
 import { authMiddleware } from "../middleware/auth.js";
 import { User } from "../models/User.js";
+import { hasPremiumAccess } from "../utils/subscriptions.js";
 import logger from "../utils/logger.js";
 
 const router = express.Router();
@@ -98,8 +99,8 @@ router.post("/complete", authMiddleware, async (req, res) => {
       return res.status(404).json({ error: "User not found" });
     }
 
-    // CRITICAL: Check premium access
-    if (module.premium && !user.isPremium) {
+    // CRITICAL: Check premium access (own subscription or a team plan seat)
+    if (module.premium && !(await hasPremiumAccess(user))) {
       return res.status(403).json({
         error: "Premium module requires subscription",
         moduleId,
@@ -266,7 +267,7 @@ router.get("/stats", authMiddleware, async (req, res) => {
         totalQuizzes: user.quizHistory?.length || 0
       },
       accessInfo: {
-        isPremium: user.isPremium || false,
+        isPremium: await hasPremiumAccess(user),
         freeModulesAvailable: freeModules,
         premiumModulesAvailable: premiumModules,
         subscriptionPlan: user.subscriptionPlan || 'none',
@@ -1,25 +1,140 @@
 /**
  * payments.js - Payment API Routes
- * Location: awareguard-backend/routes/api/payments.js
+ * Location: awareguard-backend/routes/payments.js
  * 
  * Endpoints:
- * GET  /api/verify-payment/:reference - Verify Paystack payment and activate premium
- * POST /api/paystack-webhook - Receive webhook events from Paystack
- * GET  /api/subscription-status - Get current user subscription status
- * POST /api/cancel-subscription - Cancel user subscription
+ * GET  /api/payments/plans - Plans available for purchase
+ * POST /api/payments/initialize - Start a Paystack checkout for a plan
+ * GET  /api/payments/verify-payment/:reference - Verify Paystack payment and activate premium
+ * POST /api/payments/webhook - Receive webhook events from Paystack
+ * GET  /api/payments/subscription-status - Get current user subscription status
+ * POST /api/payments/cancel-subscription - Stop renewal; access continues until the period ends
+ * POST /api/payments/resume-subscription - Undo a cancellation before the period ends
+ *
+ * Every checkout starts at /initialize, which stores a pending
+ * PaymentTransaction under a reference we generate. Verification and webhooks
+ * settle that record; the user, plan and amount always come from it, never
+ * from Paystack metadata (which the browser can set).
+ *
+ * Renewals are charged by processSubscriptionRenewals (utils/subscriptions.js);
+ * the webhook settles them and follows Paystack-managed subscriptions.
  */
 
 import express from 'express';
 import crypto from 'crypto';
 import { User } from '../models/User.js';
 import { PaymentTransaction } from '../models/PaymentTransaction.js';
-import { authMiddleware } from '../middleware/auth.js';
+import { authMiddleware, requireVerifiedEmail } from '../middleware/auth.js';
+import { createRateLimiter } from '../utils/rateLimit.js';
+import { paystackRequest, newPaymentReference } from '../utils/paystack.js';
+import {
+  listActivePlans,
+  findPlan,
+  priceFor,
+  reconcileTransaction,
+  recordPaystackSubscriptionCharge,
+  handleSubscriptionEvent,
+  expireLapsedSubscription,
+  cancelSubscriptionAtPeriodEnd,
+  resumeSubscription,
+  subscriptionAccessEndsAt,
+  getEntitlements,
+  toPublicPlan,
+  DEFAULT_CURRENCY,
+  SUBSCRIPTION_EVENTS
+} from '../utils/subscriptions.js';
 import logger from '../utils/logger.js';
 
 const router = express.Router();
 
+const initializeLimiter = createRateLimiter('paymentInitialize');
+
+/**
+ * GET /api/payments/plans
+ * Plans that can be bought, for the pricing page
+ */
+router.get('/plans', async (req, res) => {
+  try {
+    const plans = await listActivePlans();
+    res.json({ plans: plans.map(toPublicPlan) });
+  } catch (error) {
+    logger.error('List plans error', { error: error.message, stack: error.stack });
+    res.status(500).json({ error: 'Failed to fetch plans' });
+  }
+});
+
 /**
- * GET /api/verify-payment/:reference
+ * POST /api/payments/initialize
+ * Create the Paystack transaction server-side
+ * Body: { plan, currency } (plan code from GET /plans; currency defaults to NGN)
+ * Returns { reference, accessCode, authorizationUrl }; open checkout with the
+ * access code (Paystack Popup resumeTransaction) or redirect to the URL.
+ */
+router.post('/initialize', authMiddleware, requireVerifiedEmail('payments'), initializeLimiter, async (req, res) => {
+  try {
+    const { currency = DEFAULT_CURRENCY } = req.body;
+    const plan = await findPlan(req.body.plan, { activeOnly: true });
+    if (!plan) {
+      return res.status(400).json({ error: 'Unknown or unavailable plan' });
+    }
+    const amount = priceFor(plan, String(currency).toUpperCase());
+    if (amount === null) {
+      return res.status(400).json({ error: `This plan cannot be paid in ${currency}` });
+    }
+
+    const reference = newPaymentReference();
+
+    // Stored first, so a webhook can never arrive before our record exists
+    const record = await PaymentTransaction.create({
+      reference,
+      userId: req.user._id,
+      amount,
+      currency: String(currency).toUpperCase(),
+      plan: plan.code,
+      status: 'pending',
+      source: 'initialize'
+    });
+
+    const paystackResponse = await paystackRequest('/transaction/initialize', {
+      method: 'POST',
+      body: JSON.stringify({
+        email: req.user.email,
+        amount,
+        currency: record.currency,
+        reference,
+        // Informational only; reconciliation uses our record
+        metadata: { userId: String(req.user._id), plan: plan.code },
+        // Paystack then creates a subscription and charges the renewals itself
+        ...(plan.paystackPlanCode && { plan: plan.paystackPlanCode }),
+        ...(process.env.PAYSTACK_CALLBACK_URL && { callback_url: process.env.PAYSTACK_CALLBACK_URL })
+      })
+    });
+
+    if (!paystackResponse.status) {
+      record.status = 'failed';
+      await record.save();
+      logger.error('Paystack initialize failed', { reference, message: paystackResponse.message });
+      return res.status(502).json({ error: 'Could not start checkout. Please try again.' });
+    }
+
+    logger.info('Payment initialized', { userId: req.user._id, reference, plan: plan.code });
+
+    res.status(201).json({
+      reference,
+      plan: plan.code,
+      amount,
+      currency: record.currency,
+      accessCode: paystackResponse.data.access_code,
+      authorizationUrl: paystackResponse.data.authorization_url
+    });
+  } catch (error) {
+    logger.error('Payment initialize error', { error: error.message, stack: error.stack });
+    res.status(500).json({ error: 'Failed to start checkout' });
+  }
+});
+
+/**
+ * GET /api/payments/verify-payment/:reference
  * Verify Paystack payment and activate premium subscription
  */
 router.get('/verify-payment/:reference', authMiddleware, async (req, res) => {
@@ -27,9 +142,17 @@ router.get('/verify-payment/:reference', authMiddleware, async (req, res) => {
     const { reference } = req.params;
     const userId = req.user.id; // From auth middleware
 
+    // Only references issued by /initialize for this user can be verified
+    const record = await PaymentTransaction.findOne({ reference });
+    if (!record || String(record.userId) !== userId) {
+      return res.status(404).json({
+        success: false,
+        message: 'Payment not found'
+      });
+    }
+
     // ===== IDEMPOTENCY CHECK =====
-    const existing = await PaymentTransaction.findOne({ reference });
-    if (existing) {
+    if (record.status === 'success') {
       logger.info('Payment already processed (idempotent)', { reference, userId });
       return res.json({
         success: true,
@@ -39,15 +162,7 @@ router.get('/verify-payment/:reference', authMiddleware, async (req, res) => {
     }
 
     // Verify with Paystack API
-    const paystackResponse = await fetch(
-      `https://api.paystack.co/transaction/verify/${reference}`,
-      {
-        method: 'GET',
-        headers: {
-          Authorization: `Bearer ${process.env.PAYSTACK_SECRET_KEY}`
-        }
-      }
-    ).then(res => res.json());
+    const paystackResponse = await paystackRequest(`/transaction/verify/${encodeURIComponent(reference)}`);
 
     if (!paystackResponse.status) {
       return res.status(400).json({
@@ -56,80 +171,20 @@ router.get('/verify-payment/:reference', authMiddleware, async (req, res) => {
       });
     }
 
-    const transaction = paystackResponse.data;
-
-    // Verify transaction status
-    if (transaction.status !== 'success') {
-      return res.status(400).json({
-        success: false,
-        message: 'Payment was not successful'
-      });
-    }
-
-    // Verify amount (check if it matches expected)
-    const expectedAmounts = {
-      monthly: 500000, // ₦5,000 in kobo
-      annual: 5000000  // ₦50,000 in kobo
-    };
-
-    const plan = transaction.metadata?.plan || 'monthly';
-    const expectedAmount = expectedAmounts[plan];
-
-    if (transaction.amount !== expectedAmount) {
-      logger.warn('Payment amount mismatch', { expected: expectedAmount, actual: transaction.amount, reference });
+    const result = await reconcileTransaction(record, paystackResponse.data, 'verify');
+    if (!result.ok) {
       return res.status(400).json({
         success: false,
-        message: 'Payment amount mismatch'
+        message: result.reason
       });
     }
 
-    // Verify user matches
-    if (transaction.metadata?.userId && transaction.metadata.userId !== userId) {
-      logger.warn('Payment user mismatch', { tokenUser: userId, paymentUser: transaction.metadata.userId, reference });
-      return res.status(400).json({
-        success: false,
-        message: 'User mismatch - payment does not match your account'
-      });
-    }
-
-    // Calculate subscription expiry date
-    let subscriptionExpiresAt = new Date();
-    if (plan === 'monthly') {
-      subscriptionExpiresAt.setMonth(subscriptionExpiresAt.getMonth() + 1);
-    } else if (plan === 'annual') {
-      subscriptionExpiresAt.setFullYear(subscriptionExpiresAt.getFullYear() + 1);
-    }
-
-    // Update user with premium status
-    const updatedUser = await User.findByIdAndUpdate(
-      userId,
-      {
-        isPremium: true,
-        subscriptionPlan: plan,
-        subscriptionExpiresAt: subscriptionExpiresAt,
-        subscriptionStartedAt: new Date(),
-        paystackReference: reference,
-        lastPaymentAmount: transaction.amount / 100 // Store in Naira
-      },
-      { new: true, select: 'id email isPremium subscriptionPlan subscriptionExpiresAt' }
-    );
-
-    // Record the transaction
-    await PaymentTransaction.create({
-      reference,
-      userId,
-      amount: transaction.amount,
-      plan,
-      status: 'success',
-      source: 'verify',
-      paystackData: transaction
-    });
-
-    logger.info('Payment verified and premium activated', { userId, reference, plan });
+    const updatedUser = await User.findById(userId).select('email isPremium subscriptionPlan subscriptionExpiresAt');
 
     res.json({
       success: true,
-      message: 'Premium subscription activated successfully!',
+      message: result.alreadyProcessed ? 'Payment already processed' : 'Premium subscription activated successfully!',
+      ...(result.alreadyProcessed && { idempotent: true }),
       user: {
         id: updatedUser._id,
         email: updatedUser.email,
@@ -149,10 +204,10 @@ router.get('/verify-payment/:reference', authMiddleware, async (req, res) => {
 });
 
 /**
- * POST /api/paystack-webhook
+ * POST /api/payments/webhook
  * Receive and process webhook events from Paystack
  */
-router.post('/paystack-webhook', async (req, res) => {
+router.post('/webhook', async (req, res) => {
   try {
     const signature = req.headers['x-paystack-signature'];
     if (!signature) {
@@ -166,60 +221,40 @@ router.post('/paystack-webhook', async (req, res) => {
       .update(rawBody)
       .digest('hex');
 
-    if (!crypto.timingSafeEqual(Buffer.from(hash), Buffer.from(signature))) {
+    if (hash.length !== signature.length || !crypto.timingSafeEqual(Buffer.from(hash), Buffer.from(signature))) {
       logger.warn('Invalid Paystack webhook signature');
       return res.status(400).json({ error: 'Invalid signature' });
     }
 
     const event = JSON.parse(rawBody.toString());
 
-    // Check for idempotency (only for charge.success)
     if (event.event === 'charge.success') {
-      const existing = await PaymentTransaction.findOne({ reference: event.data.reference });
-      if (existing) {
-        return res.status(200).send('Event already processed');
-      }
-
-      const { reference, metadata, amount } = event.data;
-      const userId = metadata?.userId;
-      const plan = metadata?.plan || 'monthly';
-
-      // Store transaction first to prevent duplicate processing
-      await PaymentTransaction.create({
-        reference,
-        userId: userId || null,
-        amount,
-        plan,
-        status: 'success',
-        source: 'webhook',
-        paystackData: event.data
-      });
-
-      if (userId) {
-        // Calculate expiry
-        let subscriptionExpiresAt = new Date();
-        if (plan === 'monthly') {
-          subscriptionExpiresAt.setMonth(subscriptionExpiresAt.getMonth() + 1);
-        } else if (plan === 'annual') {
-          subscriptionExpiresAt.setFullYear(subscriptionExpiresAt.getFullYear() + 1);
+      const { reference } = event.data;
+      const record = await PaymentTransaction.findOne({ reference });
+
+      // Not started by /initialize or a renewal: only a Paystack subscription charge is ours
+      if (!record) {
+        const result = await recordPaystackSubscriptionCharge(event.data);
+        if (!result.ok) {
+          logger.warn('Webhook: unknown payment reference', { reference, reason: result.reason });
+          return res.status(200).send('Unknown reference');
+        }
+        if (result.alreadyProcessed) {
+          return res.status(200).send('Event already processed');
         }
+        return res.sendStatus(200);
+      }
 
-        // Update user
-        await User.findByIdAndUpdate(userId, {
-          isPremium: true,
-          subscriptionPlan: plan,
-          subscriptionExpiresAt,
-          subscriptionStartedAt: new Date(),
-          paystackReference: reference,
-          lastPaymentAmount: amount / 100
-        });
-
-        logger.info('Webhook: Premium activated', { userId, reference });
-      } else {
-        logger.warn('Webhook: Missing userId in metadata', { reference });
+      const result = await reconcileTransaction(record, event.data, 'webhook');
+      if (!result.ok) {
+        logger.warn('Webhook: payment not reconciled', { reference, reason: result.reason });
+      } else if (result.alreadyProcessed) {
+        return res.status(200).send('Event already processed');
       }
     } else if (event.event === 'charge.failed') {
       logger.info(`Webhook: Payment failed`, { reference: event.data.reference });
+    } else if (SUBSCRIPTION_EVENTS.includes(event.event)) {
+      await handleSubscriptionEvent(event);
     }
 
     res.sendStatus(200);
@@ -230,27 +265,26 @@ router.post('/paystack-webhook', async (req, res) => {
 });
 
 /**
- * GET /api/subscription-status
+ * GET /api/payments/subscription-status
  * Get current user's subscription status
  */
 router.get('/subscription-status', authMiddleware, async (req, res) => {
   try {
     const userId = req.user.id;
     const user = await User.findById(userId).select(
-      'isPremium subscriptionPlan subscriptionExpiresAt'
+      'isPremium subscriptionPlan subscriptionExpiresAt billing teamOwnerId'
     );
 
     if (!user) {
       return res.status(404).json({ error: 'User not found' });
     }
 
-    // Check if subscription has expired
-    if (user.isPremium && user.subscriptionExpiresAt) {
-      if (new Date() > user.subscriptionExpiresAt) {
-        // Subscription expired, downgrade user
-        user.isPremium = false;
-        await user.save();
-      }
+    // End a lapsed subscription now rather than waiting for the renewal job
+    if (user.isPremium && await expireLapsedSubscription(user._id)) {
+      user.isPremium = false;
+      user.subscriptionPlan = 'none';
+      user.billing.status = 'expired';
+      user.billing.autoRenew = false;
     }
 
     // Calculate days remaining
@@ -265,7 +299,19 @@ router.get('/subscription-status', authMiddleware, async (req, res) => {
       isPremium: user.isPremium,
       subscriptionPlan: user.subscriptionPlan,
       subscriptionExpiresAt: user.subscriptionExpiresAt,
-      daysRemaining: Math.max(0, daysRemaining)
+      daysRemaining: Math.max(0, daysRemaining),
+      entitlements: await getEntitlements(user),
+      billing: {
+        status: user.billing.status,
+        autoRenew: user.billing.autoRenew,
+        renewedBy: user.billing.renewedBy,
+        card: user.billing.card?.last4 ? user.billing.card : null,
+        // Set after a failed renewal: premium ends then unless a retry succeeds
+        graceEndsAt: user.billing.graceEndsAt,
+        accessEndsAt: user.isPremium ? subscriptionAccessEndsAt(user) : null,
+        cancelAtPeriodEnd: user.billing.cancelAtPeriodEnd,
+        cancelledAt: user.billing.cancelledAt
+      }
     });
 
   } catch (error) {
@@ -275,32 +321,36 @@ router.get('/subscription-status', authMiddleware, async (req, res) => {
 });
 
 /**
- * POST /api/cancel-subscription
- * Cancel user's premium subscription
+ * POST /api/payments/cancel-subscription
+ * Cancel at the end of the paid period: no more renewals, premium access
+ * continues until subscriptionExpiresAt
+ * Body: { reason } (optional)
  */
 router.post('/cancel-subscription', authMiddleware, async (req, res) => {
   try {
-    const userId = req.user.id;
+    const user = await User.findById(req.user._id);
 
-    const user = await User.findByIdAndUpdate(
-      userId,
-      {
-        isPremium: false,
-        subscriptionPlan: null,
-        subscriptionExpiresAt: null
-      },
-      { new: true, select: 'id email isPremium' }
-    );
+    if (!user.isPremium || !user.subscriptionExpiresAt) {
+      return res.status(400).json({ success: false, error: 'No active subscription to cancel' });
+    }
+    if (user.billing.cancelAtPeriodEnd) {
+      return res.status(409).json({
+        success: false,
+        error: 'Subscription is already cancelled',
+        subscriptionExpiresAt: user.subscriptionExpiresAt
+      });
+    }
 
-    logger.info('Subscription cancelled', { userId });
+    await cancelSubscriptionAtPeriodEnd(user, req.body?.reason);
 
     res.json({
       success: true,
-      message: 'Subscription cancelled successfully',
-      user: {
-        id: user._id,
-        email: user.email,
-        isPremium: user.isPremium
+      message: `Your subscription has been cancelled. You keep premium access until ${user.subscriptionExpiresAt.toDateString()}.`,
+      subscription: {
+        isPremium: true,
+        subscriptionPlan: user.subscriptionPlan,
+        subscriptionExpiresAt: user.subscriptionExpiresAt,
+        cancelAtPeriodEnd: true
       }
     });
 
@@ -313,4 +363,48 @@ router.post('/cancel-subscription', authMiddleware, async (req, res) => {
   }
 });
 
+/**
+ * POST /api/payments/resume-subscription
+ * Undo a cancellation while the paid period is still running
+ */
+router.post('/resume-subscription', authMiddleware, async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id).select('+billing.authorizationCode');
+
+    if (!user.billing.cancelAtPeriodEnd) {
+      return res.status(400).json({ success: false, error: 'Subscription is not cancelled' });
+    }
+    if (!user.isPremium || !(user.subscriptionExpiresAt > new Date())) {
+      return res.status(400).json({ success: false, error: 'Subscription has already ended. Subscribe again from the plans page.' });
+    }
+
+    const result = await resumeSubscription(user);
+    if (!result.ok) {
+      return res.status(409).json({
+        success: false,
+        code: 'NO_PAYMENT_METHOD',
+        error: 'There is no saved card to renew with. Pay for a new period from the plans page instead.'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: `Your subscription will renew on ${user.subscriptionExpiresAt.toDateString()}.`,
+      subscription: {
+        isPremium: true,
+        subscriptionPlan: user.subscriptionPlan,
+        subscriptionExpiresAt: user.subscriptionExpiresAt,
+        cancelAtPeriodEnd: false
+      }
+    });
+
+  } catch (error) {
+    logger.error('Subscription resume error', { error: error.message, stack: error.stack });
+    res.status(500).json({
+      success: false,
+      error: 'Failed to resume subscription'
+    });
+  }
+});
+
 export default router;
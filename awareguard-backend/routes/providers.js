@@ -0,0 +1,240 @@
+// awareguard-backend/routes/providers.js
+import express from 'express';
+import crypto from 'crypto';
+import jwt from 'jsonwebtoken';
+import { authMiddleware } from '../middleware/auth.js';
+import { User } from '../models/User.js';
+import passportConfig from '../config/passport.js';
+import { sendSignInMethodChangedEmail } from '../utils/emailService.js';
+import { PASSWORD_REQUIREMENTS_ERROR, evaluatePasswordRules, isPasswordPolicyValid } from '../utils/passwordPolicy.js';
+import logger from '../utils/logger.js';
+
+/**
+ * Sign-in methods attached to the signed-in account: password and Google.
+ * Google is only ever linked from here; the Google sign-in flow refuses
+ * emails that belong to an unlinked account.
+ */
+
+const router = express.Router();
+
+const frontendUrl = () => process.env.FRONTEND_URL || 'http://localhost:5173';
+const backendUrl = () => process.env.BACKEND_URL || 'https://awareguard-backend.onrender.com';
+
+// Where the browser lands after the Google link flow, e.g. ?linked=google or ?error=google_in_use
+const securityPageUrl = (query) => `${frontendUrl()}/account/security?${query}`;
+
+// The link flow's OAuth state names the account; the nonce cookie proves the
+// callback arrives in the browser that asked to link, so a start URL sent to
+// someone else cannot attach their Google account to this one
+const LINK_COOKIE = 'AG_LINK_NONCE';
+const LINK_COOKIE_OPTIONS = {
+  httpOnly: true,
+  secure: true,
+  sameSite: 'none',
+  path: '/api/auth/providers/google',
+  maxAge: 10 * 60 * 1000,
+};
+
+function createLinkState(user, nonce) {
+  return jwt.sign({ sub: user._id, nonce, purpose: 'link-google' }, process.env.JWT_SECRET, { expiresIn: '10m' });
+}
+
+function verifyLinkState(req) {
+  try {
+    const payload = jwt.verify(String(req.query.state || ''), process.env.JWT_SECRET);
+    if (payload.purpose !== 'link-google') return null;
+    return payload.nonce === req.cookies?.[LINK_COOKIE] ? payload : null;
+  } catch {
+    return null;
+  }
+}
+
+function notify(user, change) {
+  sendSignInMethodChangedEmail(user.email, user.name, change).catch(err =>
+    logger.error('Failed to send sign-in method email', { userId: user._id, change, error: err.message })
+  );
+}
+
+/**
+ * GET /api/auth/providers
+ * Sign-in methods linked to the account
+ */
+router.get('/', authMiddleware, async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id);
+    const methods = user.getSignInMethods();
+
+    res.json({
+      providers: [
+        { provider: 'password', linked: methods.includes('password'), changedAt: user.passwordChangedAt || null },
+        { provider: 'google', linked: methods.includes('google') }
+      ],
+      // Unlinking is only possible while another method remains
+      canUnlinkGoogle: methods.includes('google') && methods.length > 1
+    });
+  } catch (err) {
+    logger.error('List providers error', { error: err.message, stack: err.stack });
+    res.status(500).json({ error: 'Failed to fetch sign-in methods' });
+  }
+});
+
+/**
+ * POST /api/auth/providers/google/link
+ * Start linking a Google account. Returns { url }; send the browser there.
+ * Call with credentials so the link cookie is stored.
+ */
+router.post('/google/link', authMiddleware, async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id);
+
+    if (user.googleId) {
+      return res.status(409).json({ error: 'A Google account is already linked' });
+    }
+
+    const nonce = crypto.randomBytes(16).toString('hex');
+    const state = encodeURIComponent(createLinkState(user, nonce));
+
+    res.cookie(LINK_COOKIE, nonce, LINK_COOKIE_OPTIONS);
+    res.json({ url: `${backendUrl()}/api/auth/providers/google/start?state=${state}` });
+  } catch (err) {
+    logger.error('Google link start error', { error: err.message, stack: err.stack });
+    res.status(500).json({ error: 'Failed to start linking Google' });
+  }
+});
+
+/**
+ * GET /api/auth/providers/google/start
+ * Browser redirect to Google for the link flow (URL from POST /google/link)
+ */
+router.get('/google/start', (req, res, next) => {
+  if (!verifyLinkState(req)) {
+    return res.redirect(securityPageUrl('error=link_expired'));
+  }
+
+  passportConfig.authenticate('google-link', {
+    scope: ['profile', 'email'],
+    session: false,
+    state: req.query.state
+  })(req, res, next);
+});
+
+/**
+ * GET /api/auth/providers/google/callback
+ * Google redirects here after the user approves the link
+ */
+router.get('/google/callback', (req, res, next) => {
+  const payload = verifyLinkState(req);
+  res.clearCookie(LINK_COOKIE, LINK_COOKIE_OPTIONS);
+  if (!payload) {
+    return res.redirect(securityPageUrl('error=link_expired'));
+  }
+
+  passportConfig.authenticate('google-link', { session: false }, async (err, profile) => {
+    try {
+      if (err || !profile) {
+        if (err) logger.error('Google link OAuth error', { error: err.message });
+        return res.redirect(securityPageUrl('error=google_link_failed'));
+      }
+
+      const user = await User.findById(payload.sub);
+      if (!user) {
+        return res.redirect(securityPageUrl('error=google_link_failed'));
+      }
+      if (user.googleId === profile.googleId) {
+        return res.redirect(securityPageUrl('linked=google'));
+      }
+      if (user.googleId) {
+        return res.redirect(securityPageUrl('error=google_already_linked'));
+      }
+      if (await User.exists({ googleId: profile.googleId })) {
+        return res.redirect(securityPageUrl('error=google_in_use'));
+      }
+
+      user.googleId = profile.googleId;
+      // Avoid null constraint issue with paystackReference
+      if (user.paystackReference === null) {
+        user.paystackReference = undefined;
+      }
+      await user.save();
+
+      logger.info('Google account linked', { userId: user._id, googleEmail: profile.email });
+      notify(user, 'google-linked');
+
+      res.redirect(securityPageUrl('linked=google'));
+    } catch (linkErr) {
+      logger.error('Google link error', { error: linkErr.message, stack: linkErr.stack });
+      res.redirect(securityPageUrl('error=google_link_failed'));
+    }
+  })(req, res, next);
+});
+
+/**
+ * DELETE /api/auth/providers/google
+ * Unlink Google; only allowed while the account has a password
+ */
+router.delete('/google', authMiddleware, async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id);
+    const methods = user.getSignInMethods();
+
+    if (!methods.includes('google')) {
+      return res.status(400).json({ error: 'No Google account is linked' });
+    }
+    if (methods.length === 1) {
+      return res.status(409).json({
+        error: 'Set a password before unlinking Google, or you will not be able to sign in',
+        code: 'LAST_SIGN_IN_METHOD'
+      });
+    }
+
+    user.googleId = undefined;
+    await user.save();
+
+    logger.warn('Google account unlinked', { userId: user._id });
+    notify(user, 'google-unlinked');
+
+    res.json({ success: true, providers: user.getSignInMethods() });
+  } catch (err) {
+    logger.error('Google unlink error', { error: err.message, stack: err.stack });
+    res.status(500).json({ error: 'Failed to unlink Google' });
+  }
+});
+
+/**
+ * POST /api/auth/providers/password
+ * Set a first password on an account that only signs in with Google
+ * Body: { password } (use /forgot-password to change an existing one)
+ */
+router.post('/password', authMiddleware, async (req, res) => {
+  try {
+    const { password } = req.body;
+    if (typeof password !== 'string') {
+      return res.status(400).json({ error: 'Password is required' });
+    }
+
+    const user = await User.findById(req.user._id);
+
+    if (user.passwordHash) {
+      return res.status(409).json({ error: 'This account already has a password' });
+    }
+    if (!isPasswordPolicyValid(password)) {
+      return res.status(400).json({
+        error: PASSWORD_REQUIREMENTS_ERROR,
+        requirements: evaluatePasswordRules(password),
+      });
+    }
+
+    await user.setPassword(password);
+    await user.save();
+
+    logger.info('Password set on OAuth account', { userId: user._id });
+    notify(user, 'password-set');
+
+    res.json({ success: true, providers: user.getSignInMethods() });
+  } catch (err) {
+    logger.error('Set password error', { error: err.message, stack: err.stack });
+    res.status(500).json({ error: 'Failed to set password' });
+  }
+});
+
+export default router;
@@ -1,10 +1,93 @@
 // awareguard-backend/routes/report.js
 import express from 'express';
+import crypto from 'crypto';
+import multer from 'multer';
 import { Report } from '../models/Report.js';
+import {
+  PAYMENT_METHODS,
+  buildReportDetails,
+  parseReportDetails,
+  domainFromUrl,
+  normalizePhone,
+  normalizeAccountNumber
+} from '../utils/reportFields.js';
+import {
+  MAX_EVIDENCE_FILE_SIZE,
+  MAX_EVIDENCE_FILES,
+  ALLOWED_EVIDENCE_TYPES,
+  prepareEvidenceFile
+} from '../utils/evidenceFiles.js';
+import { getEvidenceStorage } from '../utils/evidenceStorage.js';
+import { assignReportToCluster, computeTextSignature } from '../controllers/reportClusterController.js';
+import { createReportTrackingToken, hashToken } from '../utils/tokenUtils.js';
+import { createRateLimiter } from '../utils/rateLimit.js';
 import logger from '../utils/logger.js';
 
 const router = express.Router();
 
+// Submissions are checked before multer reads any upload
+const reportSubmitLimiter = createRateLimiter('reportSubmit');
+const reportLookupLimiter = createRateLimiter('reportLookup');
+
+// ===== EVIDENCE UPLOADS =====
+
+// Files are held in memory so they can be validated before anything is written
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: MAX_EVIDENCE_FILE_SIZE, files: MAX_EVIDENCE_FILES },
+  fileFilter: (req, file, cb) => {
+    if (ALLOWED_EVIDENCE_TYPES.includes(file.mimetype)) return cb(null, true);
+    const err = new Error('Unsupported file type');
+    err.code = 'UNSUPPORTED_FILE_TYPE';
+    cb(err);
+  }
+});
+
+// Accept multipart `attachments` on submission; JSON bodies pass straight through
+function uploadEvidence(req, res, next) {
+  upload.array('attachments', MAX_EVIDENCE_FILES)(req, res, (err) => {
+    if (!err) return next();
+    if (err.code === 'UNSUPPORTED_FILE_TYPE') {
+      return res.status(400).json({ error: 'Only JPEG, PNG, WebP and PDF files can be attached.' });
+    }
+    if (err instanceof multer.MulterError) {
+      const messages = {
+        LIMIT_FILE_SIZE: `Each file must be ${MAX_EVIDENCE_FILE_SIZE / (1024 * 1024)} MB or smaller.`,
+        LIMIT_FILE_COUNT: `You can attach up to ${MAX_EVIDENCE_FILES} files.`,
+        LIMIT_UNEXPECTED_FILE: `Files must be sent in the "attachments" field (up to ${MAX_EVIDENCE_FILES}).`
+      };
+      return res.status(400).json({ error: messages[err.code] || 'Invalid file upload.' });
+    }
+    next(err);
+  });
+}
+
+// Write validated files to storage; removes anything already written if one fails
+async function storeAttachments(reportId, files) {
+  const storage = getEvidenceStorage();
+  const attachments = [];
+
+  try {
+    for (const file of files) {
+      const storageKey = `${reportId}/${crypto.randomBytes(16).toString('hex')}.${file.extension}`;
+      await storage.save(storageKey, file.buffer);
+      attachments.push({
+        storage: storage.name,
+        storageKey,
+        originalName: file.originalName,
+        mimeType: file.mimeType,
+        size: file.size,
+        sha256: file.sha256
+      });
+    }
+  } catch (err) {
+    await Promise.allSettled(attachments.map(a => storage.remove(a.storageKey)));
+    throw err;
+  }
+
+  return attachments;
+}
+
 function sanitizeText(value) {
   return typeof value === 'string' ? value.trim() : '';
 }
@@ -12,51 +95,148 @@ function sanitizeText(value) {
 function normalizeReportPayload(body = {}) {
   const name = sanitizeText(body.name) || 'Anonymous Reporter';
   const email = sanitizeText(body.email).toLowerCase() || 'anonymous@awareguard.local';
+  const errors = [];
 
   const legacyDetails = sanitizeText(body.details);
-  const type = sanitizeText(body.type);
-  const url = sanitizeText(body.url);
-  const description = sanitizeText(body.description);
-  const evidence = sanitizeText(body.evidence);
 
-  let details = legacyDetails;
+  // Structured text fields; legacy clients only send `details`, so parse it as a fallback
+  const fields = {
+    threatType: sanitizeText(body.type || body.threatType),
+    url: sanitizeText(body.url),
+    description: sanitizeText(body.description),
+    evidence: sanitizeText(body.evidence)
+  };
+  if (legacyDetails && !fields.description) {
+    for (const [key, value] of Object.entries(parseReportDetails(legacyDetails))) {
+      if (!fields[key]) fields[key] = value;
+    }
+  }
+
+  if (fields.url) fields.domain = domainFromUrl(fields.url);
+
+  // Optional incident fields
+  if (body.amountLost !== undefined && body.amountLost !== '' && body.amountLost !== null) {
+    const amount = Number(body.amountLost);
+    if (!Number.isFinite(amount) || amount < 0) {
+      errors.push('amountLost must be a non-negative number');
+    } else {
+      fields.amountLost = amount;
+      fields.currency = sanitizeText(body.currency).toUpperCase() || 'NGN';
+    }
+  }
+  if (fields.currency && !/^[A-Z]{3}$/.test(fields.currency)) {
+    errors.push('currency must be a 3-letter ISO code');
+  }
+
+  const paymentMethod = sanitizeText(body.paymentMethod);
+  if (paymentMethod) {
+    if (!PAYMENT_METHODS.includes(paymentMethod)) {
+      errors.push(`paymentMethod must be one of: ${PAYMENT_METHODS.join(', ')}`);
+    } else {
+      fields.paymentMethod = paymentMethod;
+    }
+  }
+
+  const scammerPhone = sanitizeText(body.scammerPhone);
+  if (scammerPhone) {
+    fields.scammerPhone = normalizePhone(scammerPhone);
+    if (!fields.scammerPhone) errors.push('scammerPhone is not a valid phone number');
+  }
+
+  const scammerEmail = sanitizeText(body.scammerEmail).toLowerCase();
+  if (scammerEmail) {
+    if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(scammerEmail)) {
+      errors.push('scammerEmail is not a valid email address');
+    } else {
+      fields.scammerEmail = scammerEmail;
+    }
+  }
 
-  if (!details && description) {
-    const lines = [];
+  const scammerAccountNumber = sanitizeText(String(body.scammerAccountNumber ?? ''));
+  if (scammerAccountNumber) {
+    fields.scammerAccountNumber = normalizeAccountNumber(scammerAccountNumber);
+    if (!fields.scammerAccountNumber) errors.push('scammerAccountNumber must contain 6-20 digits');
+  }
+
+  fields.scammerBankName = sanitizeText(body.scammerBankName);
+  fields.scammerHandle = sanitizeText(body.scammerHandle);
+  fields.platform = sanitizeText(body.platform).toLowerCase();
 
-    if (type) lines.push(`Threat Type: ${type}`);
-    if (url) lines.push(`URL: ${url}`);
-    lines.push(`Description: ${description}`);
-    if (evidence) lines.push(`Evidence: ${evidence}`);
+  if (body.incidentDate) {
+    const incidentDate = new Date(body.incidentDate);
+    if (Number.isNaN(incidentDate.getTime()) || incidentDate > new Date()) {
+      errors.push('incidentDate must be a valid date that is not in the future');
+    } else {
+      fields.incidentDate = incidentDate;
+    }
+  }
 
-    details = lines.join('\n');
+  // Drop empty values so they are absent rather than '' in MongoDB
+  for (const key of Object.keys(fields)) {
+    if (fields[key] === '' || fields[key] === undefined) delete fields[key];
   }
 
-  return { name, email, details };
+  const details = legacyDetails || (fields.description ? buildReportDetails(fields) : '');
+
+  return { name, email, details, fields, errors };
 }
 
 async function submitReport(req, res) {
-  const { name, email, details } = normalizeReportPayload(req.body);
+  const { name, email, details, fields, errors } = normalizeReportPayload(req.body);
 
   if (!details) {
     return res.status(400).json({ error: 'Report details are required.' });
   }
+  if (errors.length > 0) {
+    return res.status(400).json({ error: errors[0], errors });
+  }
 
+  let files;
   try {
-    const report = await Report.create({
+    files = (req.files || []).map(prepareEvidenceFile);
+  } catch (err) {
+    return res.status(400).json({ error: err.message });
+  }
+
+  const tracking = createReportTrackingToken();
+
+  try {
+    const report = new Report({
       name,
       email,
       details,
+      ...fields,
+      textSignature: computeTextSignature(fields.description || details),
+      trackingTokenHash: tracking.hashedToken,
       ipAddress: req.ip,
       userAgent: req.get('user-agent')
     });
 
-    logger.info('New scam report submitted', { reportId: report._id, email });
+    if (files.length > 0) {
+      report.attachments = await storeAttachments(report._id, files);
+    }
+
+    try {
+      await report.save();
+    } catch (err) {
+      const storage = getEvidenceStorage();
+      await Promise.allSettled(report.attachments.map(a => storage.remove(a.storageKey)));
+      throw err;
+    }
+
+    logger.info('New scam report submitted', { reportId: report._id, email, attachments: files.length });
+
+    // Group with related reports in the background (non-blocking)
+    assignReportToCluster(report._id).catch(err =>
+      logger.error('Failed to cluster report', { reportId: report._id, error: err.message })
+    );
 
     res.status(200).json({
       success: true,
       message: 'Report submitted successfully. Our team will review it shortly.',
-      reportId: report._id
+      reportId: report._id,
+      trackingToken: tracking.token,
+      trackingUrl: `${process.env.FRONTEND_URL || 'http://localhost:5173'}/reports/status/${tracking.token}`
     });
   } catch (err) {
     logger.error('Report submission failed', { error: err.message, stack: err.stack });
@@ -64,11 +244,198 @@ async function submitReport(req, res) {
   }
 }
 
+// ===== PUBLIC SCAM LOOKUP =====
+
+// Fields safe to show publicly; reporter identity (name, email, ipAddress, userAgent) is never selected
+const PUBLIC_REPORT_FIELDS = [
+  'threatType', 'url', 'domain', 'description', 'platform', 'incidentDate',
+  'amountLost', 'currency', 'paymentMethod',
+  'scammerPhone', 'scammerEmail', 'scammerHandle', 'scammerAccountNumber', 'scammerBankName',
+  'publishedStoryId', 'createdAt'
+].join(' ');
+
+const MAX_SEARCH_LIMIT = 50;
+
+function toPublicReport(report) {
+  return {
+    id: report._id,
+    threatType: report.threatType || null,
+    platform: report.platform || null,
+    url: report.url || null,
+    domain: report.domain || null,
+    description: report.description || null,
+    amountLost: report.amountLost ?? null,
+    currency: report.currency || null,
+    paymentMethod: report.paymentMethod || null,
+    scammer: {
+      phone: report.scammerPhone || null,
+      email: report.scammerEmail || null,
+      handle: report.scammerHandle || null,
+      accountNumber: report.scammerAccountNumber || null,
+      bankName: report.scammerBankName || null
+    },
+    incidentDate: report.incidentDate || null,
+    reportedAt: report.createdAt,
+    storyId: report.publishedStoryId || null
+  };
+}
+
+/**
+ * GET /api/reports/search
+ * Public lookup across approved reports ("has anyone reported this number?")
+ *
+ * Query (at least one; several are combined with AND):
+ *   - phone: Scammer phone number
+ *   - email: Scammer email address
+ *   - account: Bank account number
+ *   - domain: Domain or URL
+ *   - q: Free text (min 3 characters)
+ *   - page, limit: Pagination (limit max 50)
+ *
+ * Returns:
+ *   - total (number): Matching approved reports
+ *   - firstSeen / lastSeen (date): Earliest / latest incident among matches
+ *   - results (array): Matching incidents without reporter details
+ */
+router.get('/search', reportLookupLimiter, async (req, res) => {
+  const { phone, email, account, domain, q, page = 1, limit = 20 } = req.query;
+
+  const query = { status: 'approved' };
+  const criteria = {};
+
+  if (phone) {
+    criteria.phone = normalizePhone(String(phone));
+    if (!criteria.phone) return res.status(400).json({ error: 'Invalid phone number.' });
+    query.scammerPhone = criteria.phone;
+  }
+  if (email) {
+    criteria.email = String(email).trim().toLowerCase();
+    if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(criteria.email)) {
+      return res.status(400).json({ error: 'Invalid email address.' });
+    }
+    query.scammerEmail = criteria.email;
+  }
+  if (account) {
+    criteria.account = normalizeAccountNumber(String(account));
+    if (!criteria.account) return res.status(400).json({ error: 'Account number must contain 6-20 digits.' });
+    query.scammerAccountNumber = criteria.account;
+  }
+  if (domain) {
+    criteria.domain = domainFromUrl(String(domain));
+    if (!criteria.domain) return res.status(400).json({ error: 'Invalid domain.' });
+    query.domain = criteria.domain;
+  }
+  if (q) {
+    criteria.q = String(q).trim().substring(0, 200);
+    if (criteria.q.length < 3) return res.status(400).json({ error: 'Search text must be at least 3 characters.' });
+    query.$text = { $search: criteria.q };
+  }
+
+  if (Object.keys(criteria).length === 0) {
+    return res.status(400).json({ error: 'Provide at least one of: phone, email, account, domain, q.' });
+  }
+
+  const pageNum = Math.max(1, parseInt(page) || 1);
+  const limitNum = Math.min(MAX_SEARCH_LIMIT, Math.max(1, parseInt(limit) || 20));
+
+  try {
+    const sort = query.$text ? { score: { $meta: 'textScore' }, createdAt: -1 } : { createdAt: -1 };
+
+    const [results, summary] = await Promise.all([
+      Report.find(query)
+        .select(PUBLIC_REPORT_FIELDS)
+        .sort(sort)
+        .skip((pageNum - 1) * limitNum)
+        .limit(limitNum)
+        .lean(),
+      Report.aggregate([
+        { $match: query },
+        {
+          $group: {
+            _id: null,
+            total: { $sum: 1 },
+            firstSeen: { $min: { $ifNull: ['$incidentDate', '$createdAt'] } },
+            lastSeen: { $max: { $ifNull: ['$incidentDate', '$createdAt'] } }
+          }
+        }
+      ])
+    ]);
+
+    const total = summary[0]?.total || 0;
+
+    res.json({
+      query: criteria,
+      total,
+      firstSeen: summary[0]?.firstSeen || null,
+      lastSeen: summary[0]?.lastSeen || null,
+      results: results.map(toPublicReport),
+      pagination: {
+        total,
+        page: pageNum,
+        limit: limitNum,
+        pages: Math.ceil(total / limitNum)
+      }
+    });
+  } catch (err) {
+    logger.error('Report search failed', { error: err.message, stack: err.stack });
+    res.status(500).json({ error: 'Failed to search reports.' });
+  }
+});
+
+// ===== REPORTER STATUS TRACKING =====
+
+/**
+ * GET /api/reports/status/:token
+ * Let a reporter see what happened to their report
+ *
+ * Returns:
+ *   - status (string): pending | approved | rejected
+ *   - rejectionReason (string): Public reason, when rejected
+ *   - story ({ id, title, url }): Published story, when approved
+ */
+router.get('/status/:token', reportLookupLimiter, async (req, res) => {
+  const { token } = req.params;
+  if (!/^[a-f0-9]{64}$/.test(token)) {
+    return res.status(404).json({ error: 'Report not found.' });
+  }
+
+  try {
+    const report = await Report.findOne({ trackingTokenHash: hashToken(token) })
+      .select('status createdAt reviewedAt publicRejectionReason publishedStoryId')
+      .populate('publishedStoryId', 'title')
+      .lean();
+
+    if (!report) {
+      return res.status(404).json({ error: 'Report not found.' });
+    }
+
+    const frontendUrl = process.env.FRONTEND_URL || 'http://localhost:5173';
+    const story = report.status === 'approved' && report.publishedStoryId
+      ? {
+        id: report.publishedStoryId._id,
+        title: report.publishedStoryId.title,
+        url: `${frontendUrl}/stories/${report.publishedStoryId._id}`
+      }
+      : null;
+
+    res.json({
+      status: report.status,
+      submittedAt: report.createdAt,
+      reviewedAt: report.reviewedAt || null,
+      rejectionReason: report.status === 'rejected' ? report.publicRejectionReason || null : null,
+      story
+    });
+  } catch (err) {
+    logger.error('Report status lookup failed', { error: err.message, stack: err.stack });
+    res.status(500).json({ error: 'Failed to fetch report status.' });
+  }
+});
+
 /**
  * POST /api/reports
- * Submit a scam report
+ * Submit a scam report (JSON, or multipart/form-data with up to 5 `attachments`)
  */
-router.post('/', submitReport);
-router.post('/report', submitReport); // Legacy compatibility alias
+router.post('/', reportSubmitLimiter, uploadEvidence, submitReport);
+router.post('/report', reportSubmitLimiter, uploadEvidence, submitReport); // Legacy compatibility alias
 
 export default router;
@@ -1,22 +1,296 @@
 // awareguard-backend/routes/sendMessages.js
 import express from 'express';
-import { chatHelper } from '../utils/OpenAiHelpers.js';
+import crypto from 'crypto';
+import { chatHelper, streamChatHelper } from '../utils/OpenAiHelpers.js';
+import { isProviderAvailable, listAvailableProviders } from '../utils/llmProviders.js';
+import { Conversation } from '../models/Conversation.js';
+import { authMiddleware, optionalAuth } from '../middleware/auth.js';
+import { createRateLimiter } from '../utils/rateLimit.js';
 import logger from '../utils/logger.js';
 
 const router = express.Router();
 
-router.post('/', async (req, res) => {
-  const { prompt } = req.body;
-  if (!prompt) return res.status(400).json({ error: 'Prompt required.' });
+// Keyed by account when signed in (optionalAuth runs first), otherwise by IP
+const askLimiter = createRateLimiter('ask');
+
+// History sent to the model on each turn
+const MAX_HISTORY_MESSAGES = 20;
+const MAX_HISTORY_CHARS = 12000;
+
+const MAX_PROMPT_CHARS = 4000;
+
+// Format of createSessionId(); anything else (e.g. a query operator object) is rejected
+const SESSION_ID_PATTERN = /^[a-f0-9]{48}$/;
+
+function createSessionId() {
+  return crypto.randomBytes(24).toString('hex');
+}
+
+function buildTitle(prompt) {
+  const title = prompt.trim().replace(/\s+/g, ' ');
+  return title.length > 60 ? `${title.substring(0, 57)}...` : title;
+}
+
+// A conversation owned by a user can only be used by that user;
+// anonymous conversations are reachable by anyone holding the session ID
+function canAccess(conversation, user) {
+  if (!conversation.userId) return true;
+  return !!user && conversation.userId.equals(user._id);
+}
+
+// Load the conversation named by sessionId, or start a new one.
+// Returns null when the session does not exist or belongs to someone else.
+async function loadConversation(req, prompt, sessionId) {
+  if (!sessionId) {
+    return new Conversation({
+      sessionId: createSessionId(),
+      userId: req.user?._id || null,
+      title: buildTitle(prompt)
+    });
+  }
+
+  const conversation = await Conversation.findOne({ sessionId });
+  if (!conversation || !canAccess(conversation, req.user)) return null;
+  return conversation;
+}
+
+// Requested provider must exist and be configured; undefined means the default
+function validateProvider(provider) {
+  return provider === undefined || (typeof provider === 'string' && isProviderAvailable(provider));
+}
+
+// Validate the body shared by POST / and POST /stream; returns an error message or null
+function validateAskBody({ prompt, sessionId, provider }) {
+  if (typeof prompt !== 'string' || !prompt.trim()) return 'Prompt required.';
+  if (prompt.length > MAX_PROMPT_CHARS) return `Prompt must be at most ${MAX_PROMPT_CHARS} characters.`;
+  if (sessionId && (typeof sessionId !== 'string' || !SESSION_ID_PATTERN.test(sessionId))) return 'Invalid sessionId.';
+  if (!validateProvider(provider)) return 'Requested AI provider is not available.';
+  return null;
+}
+
+function sendEvent(res, event, data) {
+  res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+}
+
+/**
+ * POST /api/ask
+ * Ask the assistant a question, optionally continuing an existing session
+ *
+ * Body:
+ *   - prompt (string): The user's question (at most 4000 characters)
+ *   - sessionId (string, optional): Conversation to continue
+ *   - provider (string, optional): LLM provider to use (see GET /api/ask/providers)
+ */
+router.post('/', optionalAuth, askLimiter, async (req, res) => {
+  const invalid = validateAskBody(req.body || {});
+  if (invalid) return res.status(400).json({ error: invalid });
+
+  const { sessionId, provider } = req.body;
+  const prompt = req.body.prompt.trim();
 
   try {
-    const message = { role: 'user', content: prompt };
-    const { content } = await chatHelper(message);
-    res.json({ answer: content });
+    const conversation = await loadConversation(req, prompt, sessionId);
+    if (!conversation) {
+      return res.status(404).json({ error: 'Conversation not found.' });
+    }
+
+    conversation.messages.push({ role: 'user', content: prompt });
+
+    const history = conversation.getTrimmedHistory(MAX_HISTORY_MESSAGES, MAX_HISTORY_CHARS);
+    const { content } = await chatHelper(history, { provider });
+
+    conversation.messages.push({ role: 'assistant', content });
+    conversation.lastMessageAt = new Date();
+    await conversation.save();
+
+    res.json({ answer: content, sessionId: conversation.sessionId });
   } catch (err) {
     logger.error('Error processing request', { error: err.message, stack: err.stack });
     res.status(500).json({ error: 'Failed to process request.' });
   }
 });
 
+/**
+ * POST /api/ask/stream
+ * Same as POST /api/ask, but relays the answer as Server-Sent Events
+ *
+ * Events:
+ *   - session: { sessionId }              sent first
+ *   - token:   { content }                each text delta
+ *   - done:    { answer, sessionId }      full answer once the stream completes
+ *   - error:   { error }                  upstream failure mid-stream
+ */
+router.post('/stream', optionalAuth, askLimiter, async (req, res) => {
+  const invalid = validateAskBody(req.body || {});
+  if (invalid) return res.status(400).json({ error: invalid });
+
+  const { sessionId, provider } = req.body;
+  const prompt = req.body.prompt.trim();
+
+  let conversation;
+  try {
+    conversation = await loadConversation(req, prompt, sessionId);
+  } catch (err) {
+    logger.error('Error loading conversation', { error: err.message, stack: err.stack });
+    return res.status(500).json({ error: 'Failed to process request.' });
+  }
+  if (!conversation) {
+    return res.status(404).json({ error: 'Conversation not found.' });
+  }
+
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache, no-transform',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no' // disable proxy buffering (nginx / Render)
+  });
+  res.flushHeaders();
+
+  // Stop the upstream request if the browser goes away
+  const controller = new AbortController();
+  res.on('close', () => {
+    if (!res.writableEnded) controller.abort();
+  });
+
+  sendEvent(res, 'session', { sessionId: conversation.sessionId });
+
+  conversation.messages.push({ role: 'user', content: prompt });
+  const history = conversation.getTrimmedHistory(MAX_HISTORY_MESSAGES, MAX_HISTORY_CHARS);
+
+  try {
+    const { content, aborted } = await streamChatHelper(history, {
+      provider,
+      signal: controller.signal,
+      onToken: (token) => sendEvent(res, 'token', { content: token })
+    });
+
+    if (aborted) {
+      logger.warn('Client disconnected during stream', {
+        sessionId: conversation.sessionId,
+        partialLength: content.length
+      });
+    }
+
+    // Persist whatever was generated, even if the client left early
+    if (content) {
+      conversation.messages.push({ role: 'assistant', content });
+      conversation.lastMessageAt = new Date();
+      await conversation.save();
+    }
+
+    logger.info('Streamed answer completed', {
+      sessionId: conversation.sessionId,
+      aborted,
+      answerLength: content.length
+    });
+
+    if (!aborted) {
+      sendEvent(res, 'done', { answer: content || 'No reply from AI.', sessionId: conversation.sessionId });
+      res.end();
+    }
+  } catch (err) {
+    logger.error('Error streaming response', { error: err.message, stack: err.stack });
+    if (!res.writableEnded) {
+      sendEvent(res, 'error', { error: 'Failed to process request.' });
+      res.end();
+    }
+  }
+});
+
+/**
+ * GET /api/ask/providers
+ * List the LLM providers currently configured on this server
+ */
+router.get('/providers', (req, res) => {
+  res.json({ providers: listAvailableProviders() });
+});
+
+/**
+ * GET /api/ask/conversations
+ * List the authenticated user's conversations (most recent first)
+ */
+router.get('/conversations', authMiddleware, async (req, res) => {
+  try {
+    const { page = 1, limit = 20 } = req.query;
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+    const query = { userId: req.user._id };
+
+    const [conversations, total] = await Promise.all([
+      Conversation.find(query)
+        .select('sessionId title lastMessageAt createdAt')
+        .sort({ lastMessageAt: -1 })
+        .skip(skip)
+        .limit(parseInt(limit))
+        .lean(),
+      Conversation.countDocuments(query)
+    ]);
+
+    res.json({
+      conversations: conversations.map(c => ({
+        sessionId: c.sessionId,
+        title: c.title,
+        lastMessageAt: c.lastMessageAt,
+        createdAt: c.createdAt
+      })),
+      pagination: {
+        total,
+        page: parseInt(page),
+        limit: parseInt(limit),
+        pages: Math.ceil(total / parseInt(limit))
+      }
+    });
+  } catch (err) {
+    logger.error('Fetch conversations error', { error: err.message, stack: err.stack });
+    res.status(500).json({ error: 'Failed to fetch conversations.' });
+  }
+});
+
+/**
+ * GET /api/ask/conversations/:sessionId
+ * Resume a conversation: returns its full message history
+ */
+router.get('/conversations/:sessionId', optionalAuth, async (req, res) => {
+  try {
+    const conversation = await Conversation.findOne({ sessionId: req.params.sessionId });
+    if (!conversation || !canAccess(conversation, req.user)) {
+      return res.status(404).json({ error: 'Conversation not found.' });
+    }
+
+    res.json({
+      sessionId: conversation.sessionId,
+      title: conversation.title,
+      messages: conversation.messages,
+      lastMessageAt: conversation.lastMessageAt,
+      createdAt: conversation.createdAt
+    });
+  } catch (err) {
+    logger.error('Fetch conversation error', { error: err.message, stack: err.stack });
+    res.status(500).json({ error: 'Failed to fetch conversation.' });
+  }
+});
+
+/**
+ * DELETE /api/ask/conversations/:sessionId
+ * Delete one of the authenticated user's conversations
+ */
+router.delete('/conversations/:sessionId', authMiddleware, async (req, res) => {
+  try {
+    const conversation = await Conversation.findOneAndDelete({
+      sessionId: req.params.sessionId,
+      userId: req.user._id
+    });
+
+    if (!conversation) {
+      return res.status(404).json({ error: 'Conversation not found.' });
+    }
+
+    logger.info('Conversation deleted', { sessionId: conversation.sessionId, userId: req.user._id });
+
+    res.json({ success: true, message: 'Conversation deleted successfully' });
+  } catch (err) {
+    logger.error('Delete conversation error', { error: err.message, stack: err.stack });
+    res.status(500).json({ error: 'Failed to delete conversation.' });
+  }
+});
+
 export default router;
@@ -0,0 +1,77 @@
+// awareguard-backend/routes/sessions.js
+import express from 'express';
+import { authMiddleware } from '../middleware/auth.js';
+import { User } from '../models/User.js';
+import { listSessions, revokeSession } from '../utils/sessions.js';
+import logger from '../utils/logger.js';
+
+const router = express.Router();
+
+router.use(authMiddleware);
+
+/**
+ * GET /api/auth/sessions
+ * List the signed-in user's active sessions (devices)
+ */
+router.get('/', async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id).select('refreshTokens');
+    res.json({ sessions: listSessions(user, req.sessionId) });
+  } catch (err) {
+    logger.error('List sessions error', { error: err.message, stack: err.stack });
+    res.status(500).json({ error: 'Failed to fetch sessions' });
+  }
+});
+
+/**
+ * POST /api/auth/sessions/revoke-all
+ * Sign out everywhere
+ * Body: { keepCurrent } (true keeps the session making this request)
+ */
+router.post('/revoke-all', async (req, res) => {
+  try {
+    const keepCurrent = req.body?.keepCurrent === true && req.sessionId;
+    const user = await User.findById(req.user._id).select('refreshTokens tokenVersion');
+
+    const before = user.refreshTokens.length;
+    if (keepCurrent) {
+      // Access tokens of the other sessions stop working once their session is gone
+      user.refreshTokens = user.refreshTokens.filter(t => t.familyId === req.sessionId);
+    } else {
+      user.refreshTokens = [];
+      user.revokeAccessTokens();
+    }
+    await user.save();
+
+    logger.warn('All sessions revoked', { userId: user._id, revoked: before - user.refreshTokens.length, keepCurrent: !!keepCurrent });
+
+    res.json({ success: true, revoked: before - user.refreshTokens.length });
+  } catch (err) {
+    logger.error('Revoke all sessions error', { error: err.message, stack: err.stack });
+    res.status(500).json({ error: 'Failed to sign out of all sessions' });
+  }
+});
+
+/**
+ * DELETE /api/auth/sessions/:id
+ * Revoke one session (signs that device out at its next refresh)
+ */
+router.delete('/:id', async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id).select('refreshTokens');
+
+    if (!revokeSession(user, req.params.id)) {
+      return res.status(404).json({ error: 'Session not found' });
+    }
+    await user.save();
+
+    logger.info('Session revoked', { userId: user._id, sessionId: req.params.id });
+
+    res.json({ success: true });
+  } catch (err) {
+    logger.error('Revoke session error', { error: err.message, stack: err.stack });
+    res.status(500).json({ error: 'Failed to revoke session' });
+  }
+});
+
+export default router;
@@ -1,10 +1,14 @@
 import express from "express";
 import { Story } from "../models/Story.js";
+import { optionalAuth, requireVerifiedEmail } from "../middleware/auth.js";
+import { createRateLimiter } from "../utils/rateLimit.js";
 
 const router = express.Router();
 
+const commentLimiter = createRateLimiter("storyComment");
+
 // POST /api/stories/submit  → create story
-router.post("/submit", async (req, res) => {
+router.post("/submit", optionalAuth, requireVerifiedEmail("stories"), async (req, res) => {
   try {
     const { name, title, category, content } = req.body;
 
@@ -14,6 +18,7 @@ router.post("/submit", async (req, res) => {
 
     const story = await Story.create({
       name,
+      userId: req.user?._id || null,
       title,
       category,
       content,
@@ -60,7 +65,7 @@ router.post("/:id/like", async (req, res) => {
 });
 
 // POST /api/stories/:id/comment  → add comment
-router.post("/:id/comment", async (req, res) => {
+router.post("/:id/comment", commentLimiter, async (req, res) => {
   try {
     const { id } = req.params;
     const { text, name } = req.body;
@@ -0,0 +1,183 @@
+// awareguard-backend/routes/team.js
+import express from 'express';
+import mongoose from 'mongoose';
+import { authMiddleware } from '../middleware/auth.js';
+import { User } from '../models/User.js';
+import { createRateLimiter } from '../utils/rateLimit.js';
+import {
+  getTeam,
+  findTeamAccess,
+  inviteTeamMember,
+  revokeTeamInvite,
+  listTeamInvitesFor,
+  acceptTeamInvite,
+  removeTeamMember,
+  leaveTeam
+} from '../utils/subscriptions.js';
+import logger from '../utils/logger.js';
+
+/**
+ * Team plans (plans with more than one seat): the subscriber invites members
+ * by email and members accept from their own account. Billing stays with
+ * the subscriber; see TEAM PLANS in utils/subscriptions.js.
+ */
+
+const router = express.Router();
+
+const inviteLimiter = createRateLimiter('teamInvite');
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+const INVITE_ERRORS = {
+  not_team_plan: [403, 'Your subscription is not a team plan'],
+  self: [400, 'You already have a seat as the subscriber'],
+  already_member: [409, 'That account is already on your team'],
+  already_invited: [409, 'That email address already has an open invitation'],
+  no_seats: [409, 'Every seat on your plan is taken. Remove a member or an invitation first.']
+};
+
+const ACCEPT_ERRORS = {
+  already_in_team: [409, 'You already have a seat on a team. Leave it before joining another.'],
+  not_found: [404, 'Invitation not found or expired'],
+  not_team_plan: [410, 'This team plan is no longer active']
+};
+
+router.use(authMiddleware);
+
+// The seat a member holds, from findTeamAccess (null once the owner's access ends)
+function toMembership(access) {
+  return {
+    active: !!access,
+    ownerName: access?.owner.name || null,
+    plan: access ? { code: access.plan.code, name: access.plan.name } : null
+  };
+}
+
+/**
+ * GET /api/team
+ * The team the user owns, the team they have a seat on, and invitations addressed to them
+ */
+router.get('/', async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id);
+    const [team, access, invites] = await Promise.all([getTeam(user), findTeamAccess(user), listTeamInvitesFor(user)]);
+
+    res.json({
+      team,
+      membership: user.teamOwnerId ? toMembership(access) : null,
+      invites
+    });
+  } catch (err) {
+    logger.error('Fetch team error', { error: err.message, stack: err.stack });
+    res.status(500).json({ error: 'Failed to fetch team' });
+  }
+});
+
+/**
+ * POST /api/team/invites
+ * Invite an email address to a seat on the user's team plan
+ * Body: { email }
+ */
+router.post('/invites', inviteLimiter, async (req, res) => {
+  try {
+    const email = typeof req.body?.email === 'string' ? req.body.email.trim().toLowerCase() : '';
+    if (!EMAIL_PATTERN.test(email)) {
+      return res.status(400).json({ error: 'A valid email address is required' });
+    }
+
+    const user = await User.findById(req.user._id);
+    const result = await inviteTeamMember(user, email);
+    if (!result.ok) {
+      const [status, error] = INVITE_ERRORS[result.reason];
+      return res.status(status).json({ error, code: result.reason.toUpperCase() });
+    }
+
+    res.status(201).json({
+      success: true,
+      invite: { id: result.invite._id, email: result.invite.email, expiresAt: result.invite.expiresAt },
+      team: await getTeam(user)
+    });
+  } catch (err) {
+    logger.error('Team invite error', { error: err.message, stack: err.stack });
+    res.status(500).json({ error: 'Failed to send invitation' });
+  }
+});
+
+/**
+ * DELETE /api/team/invites/:id
+ * Withdraw an invitation, freeing its seat
+ */
+router.delete('/invites/:id', async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id) || !(await revokeTeamInvite(req.user, req.params.id))) {
+      return res.status(404).json({ error: 'Invitation not found' });
+    }
+    res.json({ success: true });
+  } catch (err) {
+    logger.error('Revoke team invite error', { error: err.message, stack: err.stack });
+    res.status(500).json({ error: 'Failed to withdraw invitation' });
+  }
+});
+
+/**
+ * POST /api/team/invites/:id/accept
+ * Take the seat an invitation addressed to the user's verified email holds
+ */
+router.post('/invites/:id/accept', async (req, res) => {
+  try {
+    // The invitation is for an email address; only its verified owner may use it
+    if (!req.user.emailVerified) {
+      return res.status(403).json({ error: 'Please verify your email address first', code: 'EMAIL_NOT_VERIFIED' });
+    }
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(404).json({ error: ACCEPT_ERRORS.not_found[1] });
+    }
+
+    const user = await User.findById(req.user._id);
+    const result = await acceptTeamInvite(user, req.params.id);
+    if (!result.ok) {
+      const [status, error] = ACCEPT_ERRORS[result.reason];
+      return res.status(status).json({ error, code: result.reason.toUpperCase() });
+    }
+
+    res.json({ success: true, membership: toMembership(await findTeamAccess({ teamOwnerId: result.ownerId })) });
+  } catch (err) {
+    logger.error('Accept team invite error', { error: err.message, stack: err.stack });
+    res.status(500).json({ error: 'Failed to accept invitation' });
+  }
+});
+
+/**
+ * DELETE /api/team/members/:userId
+ * Remove a member from the user's team, freeing their seat
+ */
+router.delete('/members/:userId', async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.userId) || !(await removeTeamMember(req.user, req.params.userId))) {
+      return res.status(404).json({ error: 'Member not found' });
+    }
+    res.json({ success: true });
+  } catch (err) {
+    logger.error('Remove team member error', { error: err.message, stack: err.stack });
+    res.status(500).json({ error: 'Failed to remove member' });
+  }
+});
+
+/**
+ * POST /api/team/leave
+ * Give up the user's seat on someone else's team plan
+ */
+router.post('/leave', async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id);
+    if (!(await leaveTeam(user))) {
+      return res.status(400).json({ error: 'You are not on a team' });
+    }
+    res.json({ success: true });
+  } catch (err) {
+    logger.error('Leave team error', { error: err.message, stack: err.stack });
+    res.status(500).json({ error: 'Failed to leave team' });
+  }
+});
+
+export default router;
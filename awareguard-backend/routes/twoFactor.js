@@ -0,0 +1,189 @@
+// awareguard-backend/routes/twoFactor.js
+import express from 'express';
+import { authMiddleware } from '../middleware/auth.js';
+import { User } from '../models/User.js';
+import { generateTotpSecret, buildOtpauthUri, verifyTotp, generateBackupCodes, normalizeBackupCode } from '../utils/totp.js';
+import { hashToken } from '../utils/tokenUtils.js';
+import { getSetting } from '../utils/appSettings.js';
+import { createRateLimiter, getLoginLockout, recordLoginFailure, clearLoginFailures, sendLockedOut } from '../utils/rateLimit.js';
+import logger from '../utils/logger.js';
+
+const router = express.Router();
+
+const SECRET_FIELDS = '+twoFactor.secret +twoFactor.pendingSecret +twoFactor.backupCodes +twoFactor.lastUsedStep';
+
+router.use(authMiddleware);
+
+// Routes below that check a code are rate limited and share the account's
+// lockout with POST /api/auth/signin/2fa, so a stolen access token can't be
+// used to guess codes
+const twoFactorLimiter = createRateLimiter('twoFactor');
+const lockKey = (user) => `2fa:${user._id}`;
+
+// Returns plain codes for the user and stores only their hashes
+function issueBackupCodes(user) {
+  const codes = generateBackupCodes();
+  user.twoFactor.backupCodes = codes.map(code => hashToken(normalizeBackupCode(code)));
+  return codes;
+}
+
+async function isRequiredForUser(user) {
+  const requiredRoles = await getSetting('twoFactor.requiredRoles', []);
+  return (user.roles || []).some(role => requiredRoles.includes(role));
+}
+
+/**
+ * GET /api/auth/2fa/status
+ * Whether 2FA is enabled, required for the user's role, and how many backup codes remain
+ */
+router.get('/status', async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id).select('+twoFactor.backupCodes');
+
+    res.json({
+      enabled: user.twoFactor.enabled,
+      enabledAt: user.twoFactor.enabledAt,
+      required: await isRequiredForUser(user),
+      backupCodesRemaining: user.twoFactor.enabled ? user.twoFactor.backupCodes.length : 0
+    });
+  } catch (err) {
+    logger.error('2FA status error', { error: err.message, stack: err.stack });
+    res.status(500).json({ error: 'Failed to fetch two-factor status' });
+  }
+});
+
+/**
+ * POST /api/auth/2fa/setup
+ * Start enrollment: returns a new secret and otpauth:// URI (render it as a QR code)
+ */
+router.post('/setup', async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id).select(SECRET_FIELDS);
+
+    if (user.twoFactor.enabled) {
+      return res.status(400).json({ error: 'Two-factor authentication is already enabled' });
+    }
+
+    const secret = generateTotpSecret();
+    user.twoFactor.pendingSecret = secret;
+    await user.save();
+
+    res.json({ secret, otpauthUri: buildOtpauthUri(secret, user.email) });
+  } catch (err) {
+    logger.error('2FA setup error', { error: err.message, stack: err.stack });
+    res.status(500).json({ error: 'Failed to start two-factor setup' });
+  }
+});
+
+/**
+ * POST /api/auth/2fa/confirm
+ * Finish enrollment with the first code from the authenticator app
+ * Body: { code }
+ * Returns the backup codes; they are shown only once.
+ */
+router.post('/confirm', twoFactorLimiter, async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id).select(SECRET_FIELDS);
+
+    const retryAfter = await getLoginLockout(lockKey(user));
+    if (retryAfter) return sendLockedOut(res, retryAfter);
+
+    if (user.twoFactor.enabled) {
+      return res.status(400).json({ error: 'Two-factor authentication is already enabled' });
+    }
+    if (!user.twoFactor.pendingSecret) {
+      return res.status(400).json({ error: 'Start two-factor setup first' });
+    }
+
+    const step = verifyTotp(user.twoFactor.pendingSecret, req.body.code);
+    if (step === null) {
+      await recordLoginFailure(lockKey(user));
+      return res.status(400).json({ error: 'Invalid verification code' });
+    }
+    await clearLoginFailures(lockKey(user));
+
+    user.twoFactor.secret = user.twoFactor.pendingSecret;
+    user.twoFactor.pendingSecret = null;
+    user.twoFactor.lastUsedStep = step;
+    user.twoFactor.enabled = true;
+    user.twoFactor.enabledAt = new Date();
+    const backupCodes = issueBackupCodes(user);
+    await user.save();
+
+    logger.info('2FA enabled', { userId: user._id });
+
+    res.json({ success: true, backupCodes });
+  } catch (err) {
+    logger.error('2FA confirm error', { error: err.message, stack: err.stack });
+    res.status(500).json({ error: 'Failed to enable two-factor authentication' });
+  }
+});
+
+/**
+ * POST /api/auth/2fa/backup-codes
+ * Replace all backup codes
+ * Body: { code } (current authenticator code)
+ */
+router.post('/backup-codes', twoFactorLimiter, async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id).select(SECRET_FIELDS);
+
+    const retryAfter = await getLoginLockout(lockKey(user));
+    if (retryAfter) return sendLockedOut(res, retryAfter);
+
+    if (!user.consumeSecondFactor({ code: req.body.code })) {
+      await recordLoginFailure(lockKey(user));
+      return res.status(400).json({ error: 'Invalid verification code' });
+    }
+    await clearLoginFailures(lockKey(user));
+
+    const backupCodes = issueBackupCodes(user);
+    await user.save();
+
+    logger.info('2FA backup codes regenerated', { userId: user._id });
+
+    res.json({ success: true, backupCodes });
+  } catch (err) {
+    logger.error('2FA backup code error', { error: err.message, stack: err.stack });
+    res.status(500).json({ error: 'Failed to regenerate backup codes' });
+  }
+});
+
+/**
+ * POST /api/auth/2fa/disable
+ * Turn 2FA off
+ * Body: { code } or { backupCode }
+ */
+router.post('/disable', twoFactorLimiter, async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id).select(SECRET_FIELDS);
+
+    if (!user.twoFactor.enabled) {
+      return res.status(400).json({ error: 'Two-factor authentication is not enabled' });
+    }
+    if (await isRequiredForUser(user)) {
+      return res.status(403).json({ error: 'Two-factor authentication is required for your role' });
+    }
+
+    const retryAfter = await getLoginLockout(lockKey(user));
+    if (retryAfter) return sendLockedOut(res, retryAfter);
+
+    if (!user.consumeSecondFactor({ code: req.body.code, backupCode: req.body.backupCode })) {
+      await recordLoginFailure(lockKey(user));
+      return res.status(400).json({ error: 'Invalid verification code' });
+    }
+    await clearLoginFailures(lockKey(user));
+
+    user.twoFactor = { enabled: false, secret: null, pendingSecret: null, backupCodes: [], lastUsedStep: -1, enabledAt: null };
+    await user.save();
+
+    logger.warn('2FA disabled', { userId: user._id });
+
+    res.json({ success: true });
+  } catch (err) {
+    logger.error('2FA disable error', { error: err.message, stack: err.stack });
+    res.status(500).json({ error: 'Failed to disable two-factor authentication' });
+  }
+});
+
+export default router;
@@ -0,0 +1,45 @@
+// awareguard-backend/scripts/dbMaintenance.js
+/**
+ * Run a database maintenance task against MONGO_URI.
+ *
+ * Usage:
+ *   npm run db:maintenance -- fix-paystack-index
+ *
+ * Available tasks are listed in utils/dbMaintenance.js. Admins can also trigger
+ * them through POST /api/admin/maintenance/:task (requires maintenance:run).
+ */
+import mongoose from "mongoose";
+import { config } from "dotenv";
+import { MAINTENANCE_TASKS } from "../utils/dbMaintenance.js";
+import { recordAudit } from "../utils/auditLog.js";
+import logger from "../utils/logger.js";
+
+config();
+
+const taskName = process.argv[2];
+
+async function run() {
+  const task = MAINTENANCE_TASKS[taskName];
+  if (!task) {
+    throw new Error(`Usage: dbMaintenance.js <${Object.keys(MAINTENANCE_TASKS).join("|")}>`);
+  }
+
+  await mongoose.connect(process.env.MONGO_URI, { dbName: "awareguard" });
+  logger.info("Maintenance task started", { task: taskName });
+
+  const result = await task();
+  await recordAudit(null, {
+    action: "maintenance.run",
+    targetType: "Database",
+    targetId: taskName,
+    metadata: { ...result, source: "cli" }
+  });
+  logger.info("Maintenance task finished", { task: taskName, result });
+}
+
+run()
+  .catch((err) => {
+    logger.error("Maintenance task failed", { task: taskName, error: err.message, stack: err.stack });
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
@@ -0,0 +1,62 @@
+// awareguard-backend/scripts/grantRole.js
+/**
+ * Grant or revoke a staff role from the command line.
+ * Needed to bootstrap the first admin (the admin API requires roles:manage).
+ * Existing admins (legacy `role` field, ADMIN_EMAIL) are carried over by
+ * `npm run migrate:roles`.
+ *
+ * Usage:
+ *   npm run roles:grant -- admin@example.com admin
+ *   npm run roles:grant -- moderator@example.com moderator --revoke
+ */
+import mongoose from "mongoose";
+import { config } from "dotenv";
+import { User } from "../models/User.js";
+import { ROLE_NAMES } from "../config/roles.js";
+import { recordAudit } from "../utils/auditLog.js";
+import logger from "../utils/logger.js";
+
+config();
+
+const args = process.argv.slice(2);
+const revoke = args.includes("--revoke");
+const [email, role] = args.filter((arg) => !arg.startsWith("--"));
+
+async function run() {
+  if (!email || !ROLE_NAMES.includes(role)) {
+    throw new Error(`Usage: grantRole.js <email> <${ROLE_NAMES.join("|")}> [--revoke]`);
+  }
+
+  await mongoose.connect(process.env.MONGO_URI, { dbName: "awareguard" });
+
+  const previous = await User.findOne({ email: email.toLowerCase() }).select("roles").lean();
+  if (!previous) throw new Error(`No user with email ${email}`);
+
+  const user = await User.findOneAndUpdate(
+    { _id: previous._id },
+    {
+      ...(revoke ? { $pull: { roles: role } } : { $addToSet: { roles: role } }),
+      $inc: { tokenVersion: 1 }
+    },
+    { new: true }
+  );
+
+  // No request, so the entry has no actor: it was run from the command line
+  await recordAudit(null, {
+    action: revoke ? "role.revoke" : "role.grant",
+    targetType: "User",
+    targetId: user._id,
+    before: { roles: previous.roles },
+    after: { roles: user.roles },
+    metadata: { email: user.email, role, source: "cli" }
+  });
+
+  logger.info(revoke ? "Role revoked" : "Role granted", { userId: user._id, email: user.email, roles: user.roles });
+}
+
+run()
+  .catch((err) => {
+    logger.error("Role update failed", { error: err.message });
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
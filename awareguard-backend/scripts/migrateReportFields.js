@@ -0,0 +1,61 @@
+// awareguard-backend/scripts/migrateReportFields.js
+/**
+ * One-off migration: parse legacy Report.details strings
+ * ("Threat Type: ...\nURL: ...\nDescription: ...\nEvidence: ...")
+ * into the structured Report fields.
+ *
+ * Usage:
+ *   npm run migrate:report-fields              # apply
+ *   npm run migrate:report-fields -- --dry-run # report what would change
+ *
+ * Safe to re-run: only reports without a `description` field are touched.
+ */
+import mongoose from "mongoose";
+import { config } from "dotenv";
+import { Report } from "../models/Report.js";
+import { parseReportDetails, domainFromUrl } from "../utils/reportFields.js";
+import logger from "../utils/logger.js";
+
+config();
+
+const dryRun = process.argv.includes("--dry-run");
+
+async function run() {
+  await mongoose.connect(process.env.MONGO_URI, { dbName: "awareguard" });
+  logger.info("Report field migration started", { dryRun });
+
+  const cursor = Report.find({ description: { $exists: false } })
+    .select("details")
+    .lean()
+    .cursor();
+
+  let scanned = 0;
+  let updated = 0;
+
+  for await (const report of cursor) {
+    scanned += 1;
+    const fields = parseReportDetails(report.details);
+    if (fields.url) {
+      const domain = domainFromUrl(fields.url);
+      if (domain) fields.domain = domain;
+    }
+
+    if (Object.keys(fields).length === 0) continue;
+
+    if (dryRun) {
+      logger.info("Would update report", { reportId: report._id, fields: Object.keys(fields) });
+    } else {
+      await Report.updateOne({ _id: report._id }, { $set: fields });
+    }
+    updated += 1;
+  }
+
+  logger.info("Report field migration finished", { scanned, updated, dryRun });
+}
+
+run()
+  .catch((err) => {
+    logger.error("Report field migration failed", { error: err.message, stack: err.stack });
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
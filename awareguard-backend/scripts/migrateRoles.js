@@ -0,0 +1,82 @@
+// awareguard-backend/scripts/migrateRoles.js
+/**
+ * One-off migration: copy the legacy single `role` field (e.g. role: 'admin')
+ * into `roles`, and grant admin to the account configured as ADMIN_EMAIL, which
+ * used to be the only way to be an admin. Run once when deploying roles so
+ * existing admins keep access.
+ *
+ * Usage:
+ *   npm run migrate:roles              # apply
+ *   npm run migrate:roles -- --dry-run # report what would change
+ *
+ * Safe to re-run: migrated users no longer have a `role` field, and granting
+ * a role the user already holds changes nothing.
+ */
+import mongoose from "mongoose";
+import { config } from "dotenv";
+import { User } from "../models/User.js";
+import { ROLE_NAMES } from "../config/roles.js";
+import { recordAudit } from "../utils/auditLog.js";
+import logger from "../utils/logger.js";
+
+config();
+
+const dryRun = process.argv.includes("--dry-run");
+
+async function grant(user, role, source) {
+  if (user.roles?.includes(role)) return false;
+
+  if (dryRun) {
+    logger.info("Would grant role", { userId: user._id, email: user.email, role, source });
+    return true;
+  }
+
+  // Bumping tokenVersion makes the user's next token carry the new role
+  await User.updateOne({ _id: user._id }, { $addToSet: { roles: role }, $inc: { tokenVersion: 1 } });
+  await recordAudit(null, {
+    action: "role.grant",
+    targetType: "User",
+    targetId: user._id,
+    before: { roles: user.roles || [] },
+    after: { roles: [...(user.roles || []), role] },
+    metadata: { email: user.email, role, source }
+  });
+  return true;
+}
+
+async function run() {
+  await mongoose.connect(process.env.MONGO_URI, { dbName: "awareguard" });
+  logger.info("Role migration started", { dryRun });
+
+  // `role` is no longer in the schema, so read it from the raw collection
+  const legacyUsers = await User.collection
+    .find({ role: { $in: ROLE_NAMES } }, { projection: { email: 1, role: 1, roles: 1 } })
+    .toArray();
+
+  let granted = 0;
+  for (const user of legacyUsers) {
+    if (await grant(user, user.role, "legacy-role")) granted += 1;
+    if (!dryRun) {
+      await User.collection.updateOne({ _id: user._id }, { $unset: { role: "" } });
+    }
+  }
+
+  const adminEmail = process.env.ADMIN_EMAIL?.trim().toLowerCase();
+  if (adminEmail) {
+    const admin = await User.findOne({ email: adminEmail }).select("email roles").lean();
+    if (!admin) {
+      logger.warn("ADMIN_EMAIL account not found", { email: adminEmail });
+    } else if (await grant(admin, "admin", "admin-email")) {
+      granted += 1;
+    }
+  }
+
+  logger.info("Role migration finished", { legacyUsers: legacyUsers.length, granted, dryRun });
+}
+
+run()
+  .catch((err) => {
+    logger.error("Role migration failed", { error: err.message, stack: err.stack });
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
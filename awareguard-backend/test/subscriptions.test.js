@@ -0,0 +1,100 @@
+// awareguard-backend/test/subscriptions.test.js
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+// emailService (imported by subscriptions.js) needs a Resend key at load time; nothing is sent
+process.env.RESEND_API_KEY ||= 're_test';
+const {
+    SUBSCRIPTION_GRACE_DAYS,
+    computeExpiry,
+    subscriptionAccessEndsAt,
+    hasSubscriptionAccess,
+    isTeamPlan
+} = await import('../utils/subscriptions.js');
+
+const DAY = 24 * 60 * 60 * 1000;
+const plan = (interval, intervalCount = 1) => ({ code: 'test', interval, intervalCount });
+const expiry = (p, from) => computeExpiry(p, new Date(from)).toISOString();
+
+test('computeExpiry adds days and weeks', () => {
+    assert.equal(expiry(plan('day', 3), '2025-03-30T12:00:00.000Z'), '2025-04-02T12:00:00.000Z');
+    assert.equal(expiry(plan('week'), '2025-12-29T08:30:00.000Z'), '2026-01-05T08:30:00.000Z');
+});
+
+test('computeExpiry keeps the day of the month', () => {
+    assert.equal(expiry(plan('month'), '2025-01-15T10:00:00.000Z'), '2025-02-15T10:00:00.000Z');
+    assert.equal(expiry(plan('month'), '2025-12-15T10:00:00.000Z'), '2026-01-15T10:00:00.000Z');
+    assert.equal(expiry(plan('year'), '2025-06-01T00:00:00.000Z'), '2026-06-01T00:00:00.000Z');
+});
+
+test('computeExpiry ends month-end periods on the last day of shorter months', () => {
+    assert.equal(expiry(plan('month'), '2025-01-31T10:00:00.000Z'), '2025-02-28T10:00:00.000Z');
+    assert.equal(expiry(plan('month'), '2024-01-31T10:00:00.000Z'), '2024-02-29T10:00:00.000Z');
+    assert.equal(expiry(plan('month'), '2025-03-31T23:59:59.000Z'), '2025-04-30T23:59:59.000Z');
+    assert.equal(expiry(plan('month', 2), '2025-12-31T00:00:00.000Z'), '2026-02-28T00:00:00.000Z');
+    assert.equal(expiry(plan('month', 3), '2025-11-30T10:00:00.000Z'), '2026-02-28T10:00:00.000Z');
+    assert.equal(expiry(plan('year'), '2024-02-29T00:00:00.000Z'), '2025-02-28T00:00:00.000Z');
+});
+
+test('computeExpiry defaults intervalCount to 1 and rejects unknown intervals', () => {
+    assert.equal(expiry({ interval: 'month' }, '2025-05-10T00:00:00.000Z'), '2025-06-10T00:00:00.000Z');
+    assert.throws(() => computeExpiry(plan('fortnight'), new Date()), /Unknown plan interval/);
+});
+
+const EXPIRES_AT = new Date('2025-06-30T12:00:00.000Z');
+
+test('subscriptionAccessEndsAt is null without an expiry', () => {
+    assert.equal(subscriptionAccessEndsAt({ isPremium: true }), null);
+    assert.equal(subscriptionAccessEndsAt({ isPremium: true, subscriptionExpiresAt: null, billing: { autoRenew: true } }), null);
+});
+
+test('subscriptionAccessEndsAt ends at expiry when the subscription will not renew', () => {
+    assert.deepEqual(subscriptionAccessEndsAt({ subscriptionExpiresAt: EXPIRES_AT }), EXPIRES_AT);
+    assert.deepEqual(subscriptionAccessEndsAt({ subscriptionExpiresAt: EXPIRES_AT, billing: { autoRenew: false } }), EXPIRES_AT);
+});
+
+test('subscriptionAccessEndsAt allows the grace period while a renewal is due', () => {
+    const endsAt = subscriptionAccessEndsAt({ subscriptionExpiresAt: EXPIRES_AT, billing: { autoRenew: true } });
+    assert.equal(endsAt - EXPIRES_AT, SUBSCRIPTION_GRACE_DAYS * DAY);
+});
+
+test('subscriptionAccessEndsAt uses graceEndsAt once a renewal has failed', () => {
+    const graceEndsAt = new Date(EXPIRES_AT.getTime() + DAY);
+
+    // Past due: graceEndsAt replaces the implicit grace, whether or not renewal is still on
+    for (const autoRenew of [true, false]) {
+        const user = { subscriptionExpiresAt: EXPIRES_AT, billing: { status: 'past_due', autoRenew, graceEndsAt } };
+        assert.deepEqual(subscriptionAccessEndsAt(user), graceEndsAt);
+    }
+
+    // A grace period that ended before the paid period never cuts it short
+    const early = new Date(EXPIRES_AT.getTime() - DAY);
+    assert.deepEqual(subscriptionAccessEndsAt({ subscriptionExpiresAt: EXPIRES_AT, billing: { graceEndsAt: early } }), EXPIRES_AT);
+
+    // Lean documents hold strings after JSON round trips
+    assert.deepEqual(
+        subscriptionAccessEndsAt({ subscriptionExpiresAt: EXPIRES_AT.toISOString(), billing: { graceEndsAt: graceEndsAt.toISOString() } }),
+        graceEndsAt
+    );
+});
+
+test('hasSubscriptionAccess lasts until subscriptionAccessEndsAt', (t) => {
+    const user = { isPremium: true, subscriptionExpiresAt: EXPIRES_AT, billing: { autoRenew: true } };
+    const graceEnd = EXPIRES_AT.getTime() + SUBSCRIPTION_GRACE_DAYS * DAY;
+
+    t.mock.timers.enable({ apis: ['Date'], now: EXPIRES_AT.getTime() + DAY });
+    assert.equal(hasSubscriptionAccess(user), true);
+    assert.equal(hasSubscriptionAccess({ ...user, billing: { autoRenew: false } }), false);
+    assert.equal(hasSubscriptionAccess({ ...user, isPremium: false }), false);
+
+    t.mock.timers.setTime(graceEnd);
+    assert.equal(hasSubscriptionAccess(user), false);
+    assert.equal(hasSubscriptionAccess({ isPremium: true, subscriptionExpiresAt: null }), true);
+});
+
+test('isTeamPlan needs more than one seat', () => {
+    assert.equal(isTeamPlan({ ...plan('month'), seats: 5 }), true);
+    assert.equal(isTeamPlan({ ...plan('month'), seats: 1 }), false);
+    assert.equal(isTeamPlan(plan('month')), false);
+    assert.equal(isTeamPlan(null), false);
+});
@@ -0,0 +1,66 @@
+// awareguard-backend/test/totp.test.js
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { currentTimeStep, generateTotp, generateTotpSecret, verifyTotp } from '../utils/totp.js';
+
+// RFC 6238 appendix B, SHA-1: the ASCII secret "12345678901234567890" in base32.
+// The RFC lists 8-digit codes; ours are their last 6 digits.
+const RFC_SECRET = 'GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ';
+const RFC_VECTORS = [
+    [59, '94287082'],
+    [1111111109, '07081804'],
+    [1111111111, '14050471'],
+    [1234567890, '89005924'],
+    [2000000000, '69279037'],
+    [20000000000, '65353130']
+];
+
+test('generateTotp matches the RFC 6238 test vectors', () => {
+    for (const [seconds, code] of RFC_VECTORS) {
+        assert.equal(generateTotp(RFC_SECRET, currentTimeStep(seconds * 1000)), code.slice(-6), `T = ${seconds}`);
+    }
+});
+
+test('generateTotp accepts lowercase and padded secrets', () => {
+    const step = currentTimeStep(59 * 1000);
+    assert.equal(generateTotp(`${RFC_SECRET.toLowerCase()}====`, step), '287082');
+});
+
+test('generateTotpSecret returns a 160-bit base32 secret', () => {
+    const secret = generateTotpSecret();
+    assert.match(secret, /^[A-Z2-7]{32}$/);
+    assert.notEqual(secret, generateTotpSecret());
+});
+
+// verifyTotp reads the clock: pin it to T = 1111111111 (step 37037037, code 050471)
+const NOW = 1111111111 * 1000;
+const NOW_STEP = currentTimeStep(NOW);
+
+test('verifyTotp accepts the current step and one step either side', (t) => {
+    t.mock.timers.enable({ apis: ['Date'], now: NOW });
+
+    assert.equal(verifyTotp(RFC_SECRET, '050471'), NOW_STEP);
+    for (const step of [NOW_STEP - 1, NOW_STEP + 1]) {
+        assert.equal(verifyTotp(RFC_SECRET, generateTotp(RFC_SECRET, step)), step);
+    }
+    for (const step of [NOW_STEP - 2, NOW_STEP + 2]) {
+        assert.equal(verifyTotp(RFC_SECRET, generateTotp(RFC_SECRET, step)), null);
+    }
+});
+
+test('verifyTotp rejects codes at or before the last used step', (t) => {
+    t.mock.timers.enable({ apis: ['Date'], now: NOW });
+
+    assert.equal(verifyTotp(RFC_SECRET, '050471', NOW_STEP), null);
+    assert.equal(verifyTotp(RFC_SECRET, '050471', NOW_STEP + 1), null);
+    assert.equal(verifyTotp(RFC_SECRET, '050471', NOW_STEP - 1), NOW_STEP);
+});
+
+test('verifyTotp ignores spaces and rejects malformed codes', (t) => {
+    t.mock.timers.enable({ apis: ['Date'], now: NOW });
+
+    assert.equal(verifyTotp(RFC_SECRET, '050 471'), NOW_STEP);
+    for (const bad of ['', null, undefined, '50471', '0050471', 'abcdef', '14050471']) {
+        assert.equal(verifyTotp(RFC_SECRET, bad), null);
+    }
+});
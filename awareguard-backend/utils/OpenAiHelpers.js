@@ -1,35 +1,78 @@
 // awareguard-backend/utils/OpenAiHelpers.js
-import axios from 'axios';
 import 'dotenv/config';
+import { getLLMConfig, getProvider } from './llmProviders.js';
 
-const OPENROUTER_KEY = process.env.OPENROUTER_API_KEY;
-export async function chatHelper(message, model = 'openai/gpt-4o') {
-  const url = 'https://openrouter.ai/api/v1/chat/completions';
-  try {
-    const res = await axios.post(
-      url,
-      {
-        model,
-        messages: [
-          { role: 'system', content: 'You are AwareGuard AI, a professional and user-friendly scam awareness assistant dedicated solely to educating users on scams and digital safety; provide detailed, accurate answers related to scam prevention, and if asked any question beyond your scope, politely respond that you are designed only for scam awareness and cannot assist with that topic, while also temporarily storing previous responses during a session to maintain conversational context and provide relevant, coherent answers to follow-up questions.' },
-          message
-        ],
-        stream: false,
-        max_tokens: 800,
-        temperature: 0.7
-      },
-      {
-        headers: {
-          Authorization: `Bearer ${OPENROUTER_KEY}`,
-          'Content-Type': 'application/json'
-        }
-      }
-    );
+const SYSTEM_PROMPT = 'You are AwareGuard AI, a professional and user-friendly scam awareness assistant dedicated solely to educating users on scams and digital safety; provide detailed, accurate answers related to scam prevention, and if asked any question beyond your scope, politely respond that you are designed only for scam awareness and cannot assist with that topic, while also temporarily storing previous responses during a session to maintain conversational context and provide relevant, coherent answers to follow-up questions.';
+
+// Accepts a model name (legacy signature) or an options object
+function resolveRequest(messages, options) {
+  const overrides = typeof options === 'string' ? { model: options } : (options || {});
+  const config = getLLMConfig(overrides);
+  const provider = getProvider(config.provider);
+  if (!provider) {
+    throw new Error(`Unknown LLM provider: ${config.provider}`);
+  }
 
-    const content = res.data.choices?.[0]?.message?.content;
+  const history = Array.isArray(messages) ? messages : [messages];
+  return {
+    provider,
+    request: {
+      messages: [
+        { role: 'system', content: overrides.systemPrompt || SYSTEM_PROMPT },
+        ...history
+      ],
+      model: config.model,
+      temperature: config.temperature,
+      maxTokens: config.maxTokens
+    }
+  };
+}
+
+/**
+ * Send a chat completion request
+ * @param {Object|Object[]} messages - A single { role, content } message or the conversation history
+ * @param {string|Object} [options] - Model name, or { provider, model, temperature, maxTokens, systemPrompt }
+ * @returns {Promise<{content: string}>}
+ */
+export async function chatHelper(messages, options) {
+  const { provider, request } = resolveRequest(messages, options);
+  try {
+    const content = await provider.complete(request);
     return { content: content || 'No reply from AI.' };
   } catch (e) {
-    console.error('OpenRouter Error:', e.response?.data || e.message);
-    throw new Error('AI failed to respond via OpenRouter.');
+    console.error(`LLM Error (${provider.name}):`, e.response?.data || e.message);
+    throw new Error(`AI failed to respond via ${provider.name}.`);
+  }
+}
+
+/**
+ * Stream a chat completion, calling onToken for every content delta
+ * @param {Object|Object[]} messages - A single { role, content } message or the conversation history
+ * @param {Object} options
+ * @param {Function} options.onToken - Called with each text delta as it arrives
+ * @param {AbortSignal} [options.signal] - Aborts the upstream request (e.g. client disconnected)
+ * @param {string} [options.provider] - Provider name (defaults to LLM_PROVIDER)
+ * @param {string} [options.model] - Model identifier (defaults to the provider's configured model)
+ * @returns {Promise<{content: string, aborted: boolean}>} Full answer assembled from the stream
+ */
+export async function streamChatHelper(messages, { onToken, signal, ...overrides } = {}) {
+  const { provider, request } = resolveRequest(messages, overrides);
+  let content = '';
+
+  try {
+    await provider.stream(request, {
+      signal,
+      onToken: (token) => {
+        content += token;
+        onToken?.(token);
+      }
+    });
+    return { content, aborted: false };
+  } catch (e) {
+    if (signal?.aborted) {
+      return { content, aborted: true };
+    }
+    console.error(`LLM Stream Error (${provider.name}):`, e.message);
+    throw new Error(`AI failed to respond via ${provider.name}.`);
   }
 }
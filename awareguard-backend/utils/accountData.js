@@ -0,0 +1,199 @@
+// awareguard-backend/utils/accountData.js
+import { User } from '../models/User.js';
+import { UserProgress } from '../models/UserProgress.js';
+import { Progress } from '../models/Progress.js';
+import { PaymentTransaction } from '../models/PaymentTransaction.js';
+import { Lead } from '../models/Lead.js';
+import { Report } from '../models/Report.js';
+import { Story } from '../models/Story.js';
+import { Conversation } from '../models/Conversation.js';
+import { LoginThrottle } from '../models/LoginThrottle.js';
+import { TeamInvite } from '../models/TeamInvite.js';
+import { listSessions } from './sessions.js';
+import { stopRecurringBilling } from './subscriptions.js';
+import logger from './logger.js';
+
+/**
+ * Personal data export and account anonymization
+ *
+ * Reports are linked to an account only through the reporter email, so they
+ * are included (and anonymized) only once the account has verified that email;
+ * otherwise anyone could sign up with someone else's address and collect
+ * their reports.
+ *
+ * Deleted accounts are not removed: the User document is stripped down to a
+ * tombstone so payments, stories and audit entries that reference it still
+ * resolve.
+ */
+
+export const ACCOUNT_DELETION_GRACE_DAYS = parseInt(process.env.ACCOUNT_DELETION_GRACE_DAYS, 10) || 30;
+
+const EXPORT_FORMAT_VERSION = 1;
+
+// Reports are matched by the reporter email, and only once that email is proven
+function ownReportsQuery(user) {
+    return user.emailVerified ? { email: user.email } : null;
+}
+
+async function findOwnStoryIds(user) {
+    const reportsQuery = ownReportsQuery(user);
+    const [authored, published] = await Promise.all([
+        Story.find({ userId: user._id }).distinct('_id'),
+        reportsQuery ? Report.find({ ...reportsQuery, publishedStoryId: { $ne: null } }).distinct('publishedStoryId') : []
+    ]);
+    return [...authored, ...published];
+}
+
+/**
+ * Collect everything stored about a user
+ * @param {Object} user - User document
+ * @returns {Promise<Object>} JSON-serialisable bundle
+ */
+export async function buildAccountExport(user) {
+    const reportsQuery = ownReportsQuery(user);
+
+    const [progress, payments, leads, conversations, reports, storyIds] = await Promise.all([
+        UserProgress.findOne({ userId: user._id }).lean(),
+        // paystackData holds card authorization codes, which are secrets
+        PaymentTransaction.find({ userId: user._id }).select('-paystackData').sort({ createdAt: -1 }).lean(),
+        Lead.find({ userId: user._id }).lean(),
+        Conversation.find({ userId: user._id }).sort({ lastMessageAt: -1 }).lean(),
+        reportsQuery ? Report.find(reportsQuery).sort({ createdAt: -1 }).lean() : [],
+        findOwnStoryIds(user)
+    ]);
+    const stories = await Story.find({ _id: { $in: storyIds } }).sort({ createdAt: -1 }).lean();
+
+    const {
+        passwordHash, passwordResetToken, passwordResetExpires,
+        emailVerificationToken, emailVerificationExpires,
+        refreshTokens, tokenVersion, twoFactor, __v,
+        ...account
+    } = user.toObject();
+
+    return {
+        format: EXPORT_FORMAT_VERSION,
+        exportedAt: new Date(),
+        account: {
+            ...account,
+            hasPassword: !!passwordHash,
+            twoFactorEnabled: !!twoFactor?.enabled,
+            sessions: listSessions(user)
+        },
+        learningProgress: progress,
+        payments,
+        leads,
+        conversations,
+        reports: reports.map(({ ipAddress, userAgent, ...report }) => report),
+        reportsNote: reportsQuery ? undefined : 'Verify your email address to include reports submitted under it.',
+        stories
+    };
+}
+
+/**
+ * Anonymize an account and everything linked to it. Safe to re-run.
+ * Community content (reports, stories) is kept without the person's details;
+ * private data (progress, conversations, leads) is deleted; payment records
+ * are kept for accounting, without Paystack customer details. Renewals stop.
+ * @param {Object} user - User document (before anonymization)
+ * @returns {Promise<Object>} Counts of affected documents
+ */
+export async function anonymizeAccount(user) {
+    const userId = user._id;
+    const placeholderEmail = `deleted-${userId}@deleted.invalid`;
+    const reportsQuery = ownReportsQuery(user);
+    const storyIds = await findOwnStoryIds(user);
+
+    // Before anything else, so a deleted account is never charged again
+    await stopRecurringBilling(userId);
+
+    const [reports, stories, progress, legacyProgress, conversations, leads, payments] = await Promise.all([
+        reportsQuery
+            ? Report.updateMany(reportsQuery, {
+                $set: { name: 'Anonymous', email: placeholderEmail },
+                $unset: { ipAddress: 1, userAgent: 1, trackingTokenHash: 1 }
+            })
+            : { modifiedCount: 0 },
+        Story.updateMany({ _id: { $in: storyIds } }, { $set: { name: 'Anonymous' } }),
+        UserProgress.deleteMany({ userId }),
+        Progress.deleteMany({ userId }),
+        Conversation.deleteMany({ userId }),
+        Lead.deleteMany({ userId }),
+        PaymentTransaction.updateMany({ userId }, { $unset: { 'paystackData.customer': 1, 'paystackData.authorization': 1 } })
+    ]);
+    await LoginThrottle.deleteMany({ key: { $in: [`password:${user.email}`, `2fa:${userId}`] } });
+
+    // Members of the account's team lose their seats; open invitations from or to it go
+    await Promise.all([
+        User.updateMany({ teamOwnerId: userId }, { $set: { teamOwnerId: null } }),
+        TeamInvite.deleteMany({ $or: [{ ownerId: userId }, { email: user.email }] })
+    ]);
+
+    await User.updateOne(
+        { _id: userId },
+        {
+            $set: {
+                name: 'Deleted user',
+                email: placeholderEmail,
+                emailVerified: false,
+                roles: [],
+                isPremium: false,
+                subscriptionPlan: 'none',
+                subscriptionExpiresAt: null,
+                teamOwnerId: null,
+                paymentHistory: [],
+                quizHistory: [],
+                completedModules: [],
+                badges: [],
+                refreshTokens: [],
+                twoFactor: { enabled: false, secret: null, pendingSecret: null, backupCodes: [], lastUsedStep: -1, enabledAt: null },
+                deletionScheduledFor: null,
+                deletedAt: new Date()
+            },
+            $unset: {
+                passwordHash: 1,
+                googleId: 1,
+                paystackReference: 1,
+                billing: 1,
+                passwordResetToken: 1,
+                passwordResetExpires: 1,
+                emailVerificationToken: 1,
+                emailVerificationExpires: 1
+            },
+            // Signs the account out everywhere
+            $inc: { tokenVersion: 1 }
+        }
+    );
+
+    const result = {
+        reports: reports.modifiedCount,
+        stories: stories.modifiedCount,
+        progress: progress.deletedCount + legacyProgress.deletedCount,
+        conversations: conversations.deletedCount,
+        leads: leads.deletedCount,
+        payments: payments.modifiedCount
+    };
+    logger.warn('Account anonymized', { userId, ...result });
+    return result;
+}
+
+/**
+ * Anonymize every account whose deletion grace period has ended
+ * @returns {Promise<Object>} { anonymized, failed }
+ */
+export async function processDueAccountDeletions() {
+    const due = await User.find({ deletionScheduledFor: { $lte: new Date() }, deletedAt: null });
+
+    let anonymized = 0;
+    let failed = 0;
+    for (const user of due) {
+        try {
+            await anonymizeAccount(user);
+            anonymized++;
+        } catch (err) {
+            failed++;
+            logger.error('Account anonymization failed', { userId: user._id, error: err.message, stack: err.stack });
+        }
+    }
+
+    return { anonymized, failed };
+}
@@ -0,0 +1,46 @@
+// awareguard-backend/utils/appSettings.js
+import { AppSetting } from '../models/AppSetting.js';
+
+/**
+ * Cached access to admin-editable settings
+ *
+ * Settings are read on hot paths (e.g. every admin request), so values are
+ * cached per process for a short time. A change made on one instance is
+ * picked up by the others within CACHE_TTL_MS.
+ */
+
+const CACHE_TTL_MS = 30 * 1000;
+const cache = new Map();
+
+/**
+ * Read a setting
+ * @param {string} key
+ * @param {*} fallback - Returned when the setting has never been saved
+ * @returns {Promise<*>}
+ */
+export async function getSetting(key, fallback = null) {
+    const cached = cache.get(key);
+    if (cached && cached.expiresAt > Date.now()) return cached.value ?? fallback;
+
+    const doc = await AppSetting.findOne({ key }).lean();
+    const value = doc ? doc.value : null;
+    cache.set(key, { value, expiresAt: Date.now() + CACHE_TTL_MS });
+    return value ?? fallback;
+}
+
+/**
+ * Save a setting
+ * @param {string} key
+ * @param {*} value
+ * @param {ObjectId} [updatedBy] - Admin making the change
+ * @returns {Promise<*>} Previous value (null if unset)
+ */
+export async function setSetting(key, value, updatedBy = null) {
+    const previous = await AppSetting.findOneAndUpdate(
+        { key },
+        { value, updatedBy },
+        { upsert: true, new: false }
+    ).lean();
+    cache.set(key, { value, expiresAt: Date.now() + CACHE_TTL_MS });
+    return previous ? previous.value : null;
+}
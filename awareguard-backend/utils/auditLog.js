@@ -0,0 +1,51 @@
+// awareguard-backend/utils/auditLog.js
+import { AuditLog } from '../models/AuditLog.js';
+import logger from './logger.js';
+
+const sameValue = (a, b) => JSON.stringify(a ?? null) === JSON.stringify(b ?? null);
+
+/**
+ * Reduce two snapshots to the fields that actually changed
+ * @param {Object|null} before - Values before the change
+ * @param {Object|null} after - Values after the change
+ * @returns {Object} { before, after } containing only changed fields
+ */
+export function diffFields(before, after) {
+    if (!before || !after) return { before: before || null, after: after || null };
+
+    const changedBefore = {};
+    const changedAfter = {};
+    for (const key of new Set([...Object.keys(before), ...Object.keys(after)])) {
+        if (!sameValue(before[key], after[key])) {
+            changedBefore[key] = before[key] ?? null;
+            changedAfter[key] = after[key] ?? null;
+        }
+    }
+    return { before: changedBefore, after: changedAfter };
+}
+
+/**
+ * Append an entry to the audit log. Never throws: a failed audit write is
+ * logged loudly but must not undo an action that already succeeded.
+ * @param {Object} req - Express request (actor, IP and user agent are taken from it)
+ * @param {Object} entry - { action, targetType, targetId, before, after, metadata }
+ */
+export async function recordAudit(req, { action, targetType, targetId = null, before = null, after = null, metadata = null }) {
+    try {
+        const changes = diffFields(before, after);
+        await AuditLog.create({
+            actorId: req?.user?._id || null,
+            actorEmail: req?.user?.email || null,
+            action,
+            targetType,
+            targetId: targetId ? String(targetId) : null,
+            before: changes.before,
+            after: changes.after,
+            metadata,
+            ipAddress: req?.ip || null,
+            userAgent: req?.get?.('user-agent') || null
+        });
+    } catch (err) {
+        logger.error('Failed to write audit log entry', { action, targetType, targetId, error: err.message });
+    }
+}
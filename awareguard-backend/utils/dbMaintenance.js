@@ -0,0 +1,59 @@
+// awareguard-backend/utils/dbMaintenance.js
+import mongoose from 'mongoose';
+import { processDueAccountDeletions } from './accountData.js';
+import { seedDefaultPlans, processSubscriptionRenewals } from './subscriptions.js';
+import logger from './logger.js';
+
+/**
+ * Database maintenance tasks
+ *
+ * Shared by the CLI (scripts/dbMaintenance.js) and the admin API
+ * (POST /api/admin/maintenance/:task). Every task must be safe to re-run.
+ */
+
+/**
+ * Replace any non-sparse paystackReference index on users with a sparse unique one.
+ * Older deployments created the index without `sparse`, so a second user with no
+ * reference (e.g. every OAuth signup) hit a duplicate key error on null.
+ * @returns {Promise<Object>} { droppedIndexes, newIndex }
+ */
+export async function fixPaystackReferenceIndex() {
+    const usersCollection = mongoose.connection.db.collection('users');
+
+    const existingIndexes = await usersCollection.indexes();
+    const paystackIndexes = existingIndexes.filter(idx => idx.name && idx.name.includes('paystackReference'));
+
+    const droppedIndexes = [];
+    for (const idx of paystackIndexes) {
+        if (idx.sparse && idx.unique && idx.name === 'paystackReference_sparse_1') continue;
+        try {
+            await usersCollection.dropIndex(idx.name);
+            droppedIndexes.push(idx.name);
+            logger.info('Dropped index', { indexName: idx.name });
+        } catch (err) {
+            logger.warn('Could not drop index', { indexName: idx.name, error: err.message });
+        }
+    }
+
+    await usersCollection.createIndex(
+        { paystackReference: 1 },
+        {
+            unique: true,
+            sparse: true, // Allows multiple null values
+            name: 'paystackReference_sparse_1'
+        }
+    );
+
+    const newIndex = (await usersCollection.indexes()).find(idx => idx.name === 'paystackReference_sparse_1');
+    return { droppedIndexes, newIndex };
+}
+
+export const MAINTENANCE_TASKS = {
+    'fix-paystack-index': fixPaystackReferenceIndex,
+    // Anonymize accounts whose deletion grace period has ended (see utils/accountData.js)
+    'process-account-deletions': processDueAccountDeletions,
+    // Create the default monthly/annual plans when the catalog is empty
+    'seed-plans': seedDefaultPlans,
+    // Renewal reminders, card charges and retries, and expiry after the grace period
+    'process-subscription-renewals': processSubscriptionRenewals
+};
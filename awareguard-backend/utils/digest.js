@@ -0,0 +1,58 @@
+// awareguard-backend/utils/digest.js
+import { User } from '../models/User.js';
+import { Story } from '../models/Story.js';
+import { sendWeeklyDigestEmail } from './emailService.js';
+
+/**
+ * Weekly digest email: the reader's learning progress and the community
+ * scam stories approved that week. Goes to verified accounts that haven't
+ * turned it off (User.emailPreferences.digest), at most once every 7 days.
+ */
+
+const DIGEST_INTERVAL_MS = 7 * 24 * 60 * 60 * 1000;
+const DIGEST_STORY_COUNT = 3;
+
+/**
+ * Send the digest to everyone due one. Safe to re-run: each user is claimed
+ * (lastDigestSentAt) before their email goes out.
+ * @returns {Promise<Object>} { sent, failed }
+ */
+export async function sendWeeklyDigests() {
+    const now = new Date();
+    const since = new Date(now.getTime() - DIGEST_INTERVAL_MS);
+
+    const storyFilter = { isApproved: true, createdAt: { $gte: since } };
+    const [stories, storyCount] = await Promise.all([
+        Story.find(storyFilter).sort({ likesCount: -1, createdAt: -1 }).limit(DIGEST_STORY_COUNT).select('title category').lean(),
+        Story.countDocuments(storyFilter)
+    ]);
+
+    const due = {
+        emailVerified: true,
+        deletedAt: null,
+        'emailPreferences.digest': { $ne: false },
+        $or: [{ lastDigestSentAt: null }, { lastDigestSentAt: { $lte: since } }]
+    };
+
+    let sent = 0;
+    let failed = 0;
+    const cursor = User.find(due).select('email name totalXP level streak completedModules lastActivity').cursor();
+    for await (const user of cursor) {
+        const claimed = await User.updateOne({ ...due, _id: user._id }, { $set: { lastDigestSentAt: now } });
+        if (!claimed.modifiedCount) continue;
+
+        const result = await sendWeeklyDigestEmail(user.email, user.name, {
+            totalXP: user.totalXP,
+            level: user.level,
+            streak: user.streak,
+            modulesCompleted: user.completedModules.length,
+            activeThisWeek: !!user.lastActivity && user.lastActivity >= since,
+            stories,
+            storyCount
+        });
+        if (result) sent++;
+        else failed++;
+    }
+
+    return { sent, failed };
+}
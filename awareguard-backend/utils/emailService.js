@@ -140,6 +140,104 @@ export async function sendPasswordResetEmail(email, resetToken, userName = 'User
   }
 }
 
+/**
+ * Send email address verification link
+ * @param {string} email - User's email address
+ * @param {string} verificationToken - Email verification token
+ * @param {string} userName - User's name
+ */
+export async function sendVerificationEmail(email, verificationToken, userName = 'User') {
+  const frontendUrl = process.env.FRONTEND_URL || 'http://localhost:5173';
+  const verifyUrl = `${frontendUrl}/verify-email/${verificationToken}`;
+
+  try {
+    const { data, error } = await resend.emails.send({
+      from: 'AwareGuard <noreply@awareguard.me>',
+      to: email,
+      subject: 'Verify Your Email - AwareGuard',
+      html: `
+        <!DOCTYPE html>
+        <html>
+        <head>
+          <meta charset="utf-8">
+          <meta name="viewport" content="width=device-width, initial-scale=1.0">
+          <style>
+            body {
+              font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, 'Helvetica Neue', Arial, sans-serif;
+              line-height: 1.6;
+              color: #333;
+              max-width: 600px;
+              margin: 0 auto;
+              padding: 20px;
+            }
+            .container {
+              background: linear-gradient(135deg, #667eea 0%, #764ba2 100%);
+              border-radius: 10px;
+              padding: 40px;
+              color: white;
+            }
+            .content {
+              background: white;
+              border-radius: 8px;
+              padding: 30px;
+              margin-top: 20px;
+              color: #333;
+            }
+            .button {
+              display: inline-block;
+              background: linear-gradient(135deg, #667eea 0%, #764ba2 100%);
+              color: white;
+              padding: 14px 28px;
+              text-decoration: none;
+              border-radius: 6px;
+              font-weight: 600;
+              margin: 20px 0;
+            }
+          </style>
+        </head>
+        <body>
+          <div class="container">
+            <h1 style="margin: 0; font-size: 28px;">📧 Confirm Your Email</h1>
+            <p style="margin: 10px 0 0 0; opacity: 0.9;">AwareGuard Security Platform</p>
+          </div>
+
+          <div class="content">
+            <p>Hi <strong>${escapeHtml(userName)}</strong>,</p>
+
+            <p>Please confirm that this is your email address so we can keep your AwareGuard account secure and reach you about your reports and subscription.</p>
+
+            <div style="text-align: center;">
+              <a href="${verifyUrl}" class="button">Verify My Email</a>
+            </div>
+
+            <p>This link expires in 24 hours. If the button doesn't work, copy and paste this link into your browser:</p>
+            <p style="word-break: break-all; color: #667eea; font-size: 14px;">${verifyUrl}</p>
+
+            <hr style="border: none; border-top: 1px solid #e5e7eb; margin: 30px 0;">
+
+            <p style="font-size: 14px; color: #666;">
+              <strong>Didn't create an account?</strong><br>
+              Someone may have entered your email address by mistake. You can safely ignore this email.
+            </p>
+          </div>
+        </body>
+        </html>
+      `
+    });
+
+    if (error) {
+      console.error('❌ Resend error:', error);
+      throw new Error(`Failed to send email: ${error.message}`);
+    }
+
+    console.log('✅ Verification email sent:', data);
+    return data;
+  } catch (error) {
+    console.error('❌ Error sending verification email:', error);
+    throw error;
+  }
+}
+
 /**
  * Send password reset confirmation email
  * @param {string} email - User's email address
@@ -491,3 +589,567 @@ export async function sendContactNotification(contactData) {
     throw error;
   }
 }
+
+/**
+ * Send report review outcome to the reporter
+ * @param {string} email - Reporter's email address
+ * @param {string} userName - Reporter's name
+ * @param {Object} outcome - Review outcome
+ * @param {string} outcome.status - 'approved' or 'rejected'
+ * @param {string} [outcome.reason] - Public rejection reason
+ * @param {string} [outcome.storyTitle] - Published story title (approved)
+ * @param {string} [outcome.storyUrl] - Published story link (approved)
+ */
+export async function sendReportStatusEmail(email, userName = 'there', outcome = {}) {
+  const approved = outcome.status === 'approved';
+  const safeName = escapeHtml(userName);
+  const safeReason = escapeHtml(outcome.reason);
+  const safeStoryTitle = escapeHtml(outcome.storyTitle);
+  const safeStoryUrl = escapeHtml(outcome.storyUrl);
+
+  try {
+    const { data, error } = await resend.emails.send({
+      from: 'AwareGuard <noreply@awareguard.me>',
+      to: email,
+      subject: approved
+        ? 'Your scam report has been published - AwareGuard'
+        : 'Update on your scam report - AwareGuard',
+      html: `
+        <!DOCTYPE html>
+        <html>
+        <head>
+          <meta charset="utf-8">
+          <style>
+            body {
+              font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
+              line-height: 1.6;
+              color: #333;
+              max-width: 600px;
+              margin: 0 auto;
+              padding: 20px;
+            }
+            .container {
+              background: ${approved ? 'linear-gradient(135deg, #10b981 0%, #059669 100%)' : 'linear-gradient(135deg, #667eea 0%, #764ba2 100%)'};
+              border-radius: 10px;
+              padding: 40px;
+              color: white;
+            }
+            .content {
+              background: white;
+              border-radius: 8px;
+              padding: 30px;
+              margin-top: 20px;
+              color: #333;
+            }
+            .button {
+              display: inline-block;
+              background: linear-gradient(135deg, #10b981 0%, #059669 100%);
+              color: white;
+              padding: 14px 28px;
+              text-decoration: none;
+              border-radius: 6px;
+              font-weight: 600;
+              margin: 20px 0;
+            }
+          </style>
+        </head>
+        <body>
+          <div class="container">
+            <h1 style="margin: 0; font-size: 28px;">${approved ? '✅ Your Report Was Published' : '📋 Your Report Was Reviewed'}</h1>
+            <p style="margin: 10px 0 0 0; opacity: 0.9;">AwareGuard Community Protection</p>
+          </div>
+
+          <div class="content">
+            <p>Hi <strong>${safeName}</strong>,</p>
+
+            ${approved ? `
+            <p>Thank you for reporting this scam. Our moderators reviewed your report and published it so others can recognise and avoid it.</p>
+
+            ${safeStoryUrl ? `
+            <div style="text-align: center;">
+              <a href="${safeStoryUrl}" class="button">Read "${safeStoryTitle}"</a>
+            </div>
+            ` : ''}
+            ` : `
+            <p>Thank you for taking the time to report a suspected scam. After review, our moderators decided not to publish this report.</p>
+
+            ${safeReason ? `
+            <p style="background: #f9fafb; border-left: 4px solid #667eea; padding: 12px; border-radius: 4px;">
+              <strong>Reason:</strong> ${safeReason}
+            </p>
+            ` : ''}
+
+            <p>Your report still helps us spot patterns, so please keep reporting anything suspicious.</p>
+            `}
+
+            <hr style="border: none; border-top: 1px solid #e5e7eb; margin: 30px 0;">
+
+            <p style="font-size: 14px; color: #666;">
+              If you lost money, contact your bank immediately and report the incident to the police.
+            </p>
+          </div>
+        </body>
+        </html>
+      `
+    });
+
+    if (error) {
+      console.error('❌ Resend error:', error);
+      // Don't throw - status notification is not critical
+      return null;
+    }
+
+    console.log('✅ Report status email sent:', data);
+    return data;
+  } catch (error) {
+    console.error('❌ Error sending report status email:', error);
+    // Don't throw - status notification is not critical
+    return null;
+  }
+}
+
+const SIGN_IN_METHOD_CHANGES = {
+  'google-linked': {
+    subject: 'Google sign-in added to your account - AwareGuard',
+    heading: '🔗 Google Sign-In Added',
+    text: 'A Google account was linked to your AwareGuard account. You can now sign in with Google.'
+  },
+  'google-unlinked': {
+    subject: 'Google sign-in removed from your account - AwareGuard',
+    heading: '🔓 Google Sign-In Removed',
+    text: 'The Google account linked to your AwareGuard account was removed. You can no longer sign in with Google.'
+  },
+  'password-set': {
+    subject: 'Password added to your account - AwareGuard',
+    heading: '🔑 Password Added',
+    text: 'A password was set on your AwareGuard account. You can now sign in with your email address and password.'
+  }
+};
+
+/**
+ * Notify the user that a sign-in method was added or removed
+ * @param {string} email - User's email address
+ * @param {string} userName - User's name
+ * @param {string} change - 'google-linked' | 'google-unlinked' | 'password-set'
+ */
+export async function sendSignInMethodChangedEmail(email, userName = 'User', change) {
+  const content = SIGN_IN_METHOD_CHANGES[change];
+  if (!content) throw new Error(`Unknown sign-in method change: ${change}`);
+
+  try {
+    const { data, error } = await resend.emails.send({
+      from: 'AwareGuard <noreply@awareguard.me>',
+      to: email,
+      subject: content.subject,
+      html: `
+        <!DOCTYPE html>
+        <html>
+        <head>
+          <meta charset="utf-8">
+          <style>
+            body {
+              font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
+              line-height: 1.6;
+              color: #333;
+              max-width: 600px;
+              margin: 0 auto;
+              padding: 20px;
+            }
+            .container {
+              background: linear-gradient(135deg, #667eea 0%, #764ba2 100%);
+              border-radius: 10px;
+              padding: 40px;
+              color: white;
+            }
+            .content {
+              background: white;
+              border-radius: 8px;
+              padding: 30px;
+              margin-top: 20px;
+              color: #333;
+            }
+          </style>
+        </head>
+        <body>
+          <div class="container">
+            <h1 style="margin: 0; font-size: 28px;">${content.heading}</h1>
+            <p style="margin: 10px 0 0 0; opacity: 0.9;">AwareGuard Security Platform</p>
+          </div>
+
+          <div class="content">
+            <p>Hi <strong>${escapeHtml(userName)}</strong>,</p>
+
+            <p>${content.text}</p>
+
+            <hr style="border: none; border-top: 1px solid #e5e7eb; margin: 30px 0;">
+
+            <p style="font-size: 14px; color: #666;">
+              <strong>Didn't make this change?</strong><br>
+              Reset your password right away and contact our support team at <a href="mailto:support@awareguard.com">support@awareguard.com</a>
+            </p>
+          </div>
+        </body>
+        </html>
+      `
+    });
+
+    if (error) {
+      console.error('❌ Resend error:', error);
+      // Don't throw - the change itself already succeeded
+      return null;
+    }
+
+    console.log('✅ Sign-in method email sent:', data);
+    return data;
+  } catch (error) {
+    console.error('❌ Error sending sign-in method email:', error);
+    return null;
+  }
+}
+
+/**
+ * Confirm a self-service account deletion request
+ * @param {string} email - User's email address
+ * @param {string} userName - User's name
+ * @param {Date} scheduledFor - When the account will be anonymized
+ */
+export async function sendAccountDeletionScheduledEmail(email, userName = 'User', scheduledFor) {
+  const frontendUrl = process.env.FRONTEND_URL || 'http://localhost:5173';
+  const deletionDate = new Date(scheduledFor).toDateString();
+
+  try {
+    const { data, error } = await resend.emails.send({
+      from: 'AwareGuard <noreply@awareguard.me>',
+      to: email,
+      subject: 'Your account is scheduled for deletion - AwareGuard',
+      html: `
+        <!DOCTYPE html>
+        <html>
+        <head>
+          <meta charset="utf-8">
+          <style>
+            body {
+              font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
+              line-height: 1.6;
+              color: #333;
+              max-width: 600px;
+              margin: 0 auto;
+              padding: 20px;
+            }
+            .container {
+              background: linear-gradient(135deg, #667eea 0%, #764ba2 100%);
+              border-radius: 10px;
+              padding: 40px;
+              color: white;
+            }
+            .content {
+              background: white;
+              border-radius: 8px;
+              padding: 30px;
+              margin-top: 20px;
+              color: #333;
+            }
+            .button {
+              display: inline-block;
+              background: linear-gradient(135deg, #667eea 0%, #764ba2 100%);
+              color: white;
+              padding: 14px 28px;
+              text-decoration: none;
+              border-radius: 6px;
+              font-weight: 600;
+              margin: 20px 0;
+            }
+          </style>
+        </head>
+        <body>
+          <div class="container">
+            <h1 style="margin: 0; font-size: 28px;">🗑️ Account Deletion Scheduled</h1>
+            <p style="margin: 10px 0 0 0; opacity: 0.9;">AwareGuard Security Platform</p>
+          </div>
+
+          <div class="content">
+            <p>Hi <strong>${escapeHtml(userName)}</strong>,</p>
+
+            <p>We received a request to delete your AwareGuard account. Your account and personal data will be permanently removed on <strong>${deletionDate}</strong>.</p>
+
+            <p>Changed your mind? Sign in before then and cancel the deletion from your account settings.</p>
+
+            <div style="text-align: center;">
+              <a href="${frontendUrl}/signin" class="button">Sign In to Cancel</a>
+            </div>
+
+            <hr style="border: none; border-top: 1px solid #e5e7eb; margin: 30px 0;">
+
+            <p style="font-size: 14px; color: #666;">
+              <strong>Didn't request this?</strong><br>
+              Sign in, cancel the deletion and change your password, then contact our support team at <a href="mailto:support@awareguard.com">support@awareguard.com</a>
+            </p>
+          </div>
+        </body>
+        </html>
+      `
+    });
+
+    if (error) {
+      console.error('❌ Resend error:', error);
+      // Don't throw - the deletion is already scheduled
+      return null;
+    }
+
+    console.log('✅ Account deletion email sent:', data);
+    return data;
+  } catch (error) {
+    console.error('❌ Error sending account deletion email:', error);
+    return null;
+  }
+}
+
+const SUBSCRIPTION_NOTICES = {
+  'renewal-upcoming': {
+    subject: 'Your AwareGuard Premium renews soon',
+    heading: '🔁 Upcoming Renewal',
+    text: (d) => `Your ${d.planName} subscription renews on <strong>${d.date}</strong>. We'll charge ${d.amount} to your saved card${d.card ? ` ending in ${d.card}` : ''}.`,
+    action: 'Manage Subscription'
+  },
+  'expiry-upcoming': {
+    subject: 'Your AwareGuard Premium is ending soon',
+    heading: '⏳ Premium Ending Soon',
+    text: (d) => `Your ${d.planName} subscription ends on <strong>${d.date}</strong> and will not renew automatically. Renew now to keep your premium modules.`,
+    action: 'Renew Subscription'
+  },
+  'renewal-failed': {
+    subject: 'We couldn\'t renew your AwareGuard Premium',
+    heading: '⚠️ Payment Failed',
+    text: (d) => d.retrying
+      ? `We couldn't charge ${d.amount} for your ${d.planName} subscription. We'll try again automatically; you keep premium access until <strong>${d.date}</strong>. Update your payment method to avoid losing access.`
+      : `We couldn't charge ${d.amount} for your ${d.planName} subscription and won't retry. You keep premium access until <strong>${d.date}</strong>; renew before then to avoid losing it.`,
+    action: 'Update Payment Method'
+  },
+  'cancelled': {
+    subject: 'Your AwareGuard Premium subscription was cancelled',
+    heading: '👋 Subscription Cancelled',
+    text: (d) => `Your ${d.planName} subscription has been cancelled and won't renew. You keep premium access until <strong>${d.date}</strong>. Changed your mind? Resume it any time before then.`,
+    action: 'Resume Subscription'
+  },
+  'expired': {
+    subject: 'Your AwareGuard Premium has ended',
+    heading: '📭 Premium Ended',
+    text: (d) => `Your ${d.planName} subscription has ended. Your learning progress is saved; subscribe again any time to unlock premium modules.`,
+    action: 'View Plans'
+  },
+  'team-invite': {
+    subject: 'You\'re invited to AwareGuard Premium',
+    heading: '🤝 Team Invitation',
+    text: (d) => `${d.ownerName} has invited you to a seat on their ${d.planName} team plan. Sign in with this email address (or create an account with it) and accept the invitation from your billing page within ${d.days} days.`,
+    action: 'View Invitation'
+  }
+};
+
+/**
+ * Subscription billing notices: reminders before the period ends, failed renewals, cancellation, expiry and team invitations
+ * @param {string} email - User's email address
+ * @param {string} userName - User's name
+ * @param {string} kind - 'renewal-upcoming' | 'expiry-upcoming' | 'renewal-failed' | 'cancelled' | 'expired' | 'team-invite'
+ * @param {Object} details - { planName, date, amount, card, retrying, ownerName, days }
+ */
+export async function sendSubscriptionEmail(email, userName = 'User', kind, details = {}) {
+  const content = SUBSCRIPTION_NOTICES[kind];
+  if (!content) throw new Error(`Unknown subscription notice: ${kind}`);
+
+  const frontendUrl = process.env.FRONTEND_URL || 'http://localhost:5173';
+  const safeDetails = Object.fromEntries(Object.entries(details).map(([key, value]) => [key, typeof value === 'string' ? escapeHtml(value) : value]));
+
+  try {
+    const { data, error } = await resend.emails.send({
+      from: 'AwareGuard <noreply@awareguard.me>',
+      to: email,
+      subject: content.subject,
+      html: `
+        <!DOCTYPE html>
+        <html>
+        <head>
+          <meta charset="utf-8">
+          <style>
+            body {
+              font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
+              line-height: 1.6;
+              color: #333;
+              max-width: 600px;
+              margin: 0 auto;
+              padding: 20px;
+            }
+            .container {
+              background: linear-gradient(135deg, #667eea 0%, #764ba2 100%);
+              border-radius: 10px;
+              padding: 40px;
+              color: white;
+            }
+            .content {
+              background: white;
+              border-radius: 8px;
+              padding: 30px;
+              margin-top: 20px;
+              color: #333;
+            }
+            .button {
+              display: inline-block;
+              background: linear-gradient(135deg, #667eea 0%, #764ba2 100%);
+              color: white;
+              padding: 14px 28px;
+              text-decoration: none;
+              border-radius: 6px;
+              font-weight: 600;
+              margin: 20px 0;
+            }
+          </style>
+        </head>
+        <body>
+          <div class="container">
+            <h1 style="margin: 0; font-size: 28px;">${content.heading}</h1>
+            <p style="margin: 10px 0 0 0; opacity: 0.9;">AwareGuard Security Platform</p>
+          </div>
+
+          <div class="content">
+            <p>Hi <strong>${escapeHtml(userName)}</strong>,</p>
+
+            <p>${content.text(safeDetails)}</p>
+
+            <div style="text-align: center;">
+              <a href="${frontendUrl}/account/billing" class="button">${content.action}</a>
+            </div>
+
+            <hr style="border: none; border-top: 1px solid #e5e7eb; margin: 30px 0;">
+
+            <p style="font-size: 14px; color: #666;">
+              Questions about billing? Contact our support team at <a href="mailto:support@awareguard.com">support@awareguard.com</a>
+            </p>
+          </div>
+        </body>
+        </html>
+      `
+    });
+
+    if (error) {
+      console.error('❌ Resend error:', error);
+      // Don't throw - billing has already been updated
+      return null;
+    }
+
+    console.log('✅ Subscription email sent:', data);
+    return data;
+  } catch (error) {
+    console.error('❌ Error sending subscription email:', error);
+    return null;
+  }
+}
+
+/**
+ * Weekly digest: learning progress and the week's community stories
+ * @param {string} email - User's email address
+ * @param {string} userName - User's name
+ * @param {Object} digest - { totalXP, level, streak, modulesCompleted, activeThisWeek, stories, storyCount }
+ */
+export async function sendWeeklyDigestEmail(email, userName = 'User', digest) {
+  const frontendUrl = process.env.FRONTEND_URL || 'http://localhost:5173';
+
+  const storyItems = digest.stories
+    .map(story => `<li><strong>${escapeHtml(story.title)}</strong> <span style="color: #666;">(${escapeHtml(story.category)})</span></li>`)
+    .join('');
+
+  try {
+    const { data, error } = await resend.emails.send({
+      from: 'AwareGuard <noreply@awareguard.me>',
+      to: email,
+      subject: 'Your week on AwareGuard',
+      html: `
+        <!DOCTYPE html>
+        <html>
+        <head>
+          <meta charset="utf-8">
+          <style>
+            body {
+              font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
+              line-height: 1.6;
+              color: #333;
+              max-width: 600px;
+              margin: 0 auto;
+              padding: 20px;
+            }
+            .container {
+              background: linear-gradient(135deg, #667eea 0%, #764ba2 100%);
+              border-radius: 10px;
+              padding: 40px;
+              color: white;
+            }
+            .content {
+              background: white;
+              border-radius: 8px;
+              padding: 30px;
+              margin-top: 20px;
+              color: #333;
+            }
+            .button {
+              display: inline-block;
+              background: linear-gradient(135deg, #667eea 0%, #764ba2 100%);
+              color: white;
+              padding: 14px 28px;
+              text-decoration: none;
+              border-radius: 6px;
+              font-weight: 600;
+              margin: 20px 0;
+            }
+          </style>
+        </head>
+        <body>
+          <div class="container">
+            <h1 style="margin: 0; font-size: 28px;">📬 Your Week on AwareGuard</h1>
+            <p style="margin: 10px 0 0 0; opacity: 0.9;">AwareGuard Security Platform</p>
+          </div>
+
+          <div class="content">
+            <p>Hi <strong>${escapeHtml(userName)}</strong>,</p>
+
+            <p>${digest.activeThisWeek
+              ? 'Nice work staying sharp this week. Here is where you stand:'
+              : 'Scammers never take a week off. Here is where you left off:'}</p>
+
+            <ul>
+              <li>⭐ Level ${digest.level} · ${digest.totalXP} XP</li>
+              <li>🔥 ${digest.streak}-day learning streak</li>
+              <li>📚 ${digest.modulesCompleted} module${digest.modulesCompleted === 1 ? '' : 's'} completed</li>
+            </ul>
+
+            ${digest.storyCount ? `
+            <p><strong>${digest.storyCount} new scam stor${digest.storyCount === 1 ? 'y was' : 'ies were'} shared by the community this week</strong>, including:</p>
+            <ul>${storyItems}</ul>
+            ` : ''}
+
+            <div style="text-align: center;">
+              <a href="${frontendUrl}/learn" class="button">Continue Learning</a>
+            </div>
+
+            <hr style="border: none; border-top: 1px solid #e5e7eb; margin: 30px 0;">
+
+            <p style="font-size: 14px; color: #666;">
+              You're receiving this weekly digest because you have an AwareGuard account.
+              You can turn it off in your <a href="${frontendUrl}/account/settings">account settings</a>.
+            </p>
+          </div>
+        </body>
+        </html>
+      `
+    });
+
+    if (error) {
+      console.error('❌ Resend error:', error);
+      // Don't throw - one failed digest shouldn't stop the rest
+      return null;
+    }
+
+    console.log('✅ Weekly digest sent:', data);
+    return data;
+  } catch (error) {
+    console.error('❌ Error sending weekly digest:', error);
+    return null;
+  }
+}
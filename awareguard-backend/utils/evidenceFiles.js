@@ -0,0 +1,162 @@
+// awareguard-backend/utils/evidenceFiles.js
+import crypto from 'crypto';
+
+/**
+ * Evidence file validation and metadata stripping
+ *
+ * Allowed types are identified by their magic bytes, never by the client-supplied
+ * MIME type or extension. Images have EXIF/XMP/text metadata removed (GPS position,
+ * device serials) without re-encoding the pixels.
+ */
+
+export const MAX_EVIDENCE_FILE_SIZE = 5 * 1024 * 1024; // 5 MB per file
+export const MAX_EVIDENCE_FILES = 5;
+
+const FILE_TYPES = {
+    'image/jpeg': { extension: 'jpg', matches: (b) => b.length > 3 && b[0] === 0xff && b[1] === 0xd8 && b[2] === 0xff },
+    'image/png': { extension: 'png', matches: (b) => b.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a])) },
+    'image/webp': { extension: 'webp', matches: (b) => b.toString('ascii', 0, 4) === 'RIFF' && b.toString('ascii', 8, 12) === 'WEBP' },
+    'application/pdf': { extension: 'pdf', matches: (b) => b.toString('ascii', 0, 5) === '%PDF-' }
+};
+
+export const ALLOWED_EVIDENCE_TYPES = Object.keys(FILE_TYPES);
+
+/**
+ * Detect a supported file type from its leading bytes
+ * @param {Buffer} buffer - File contents
+ * @returns {string|null} MIME type, or null if unsupported
+ */
+export function detectFileType(buffer) {
+    return ALLOWED_EVIDENCE_TYPES.find(type => FILE_TYPES[type].matches(buffer)) || null;
+}
+
+export function extensionFor(mimeType) {
+    return FILE_TYPES[mimeType]?.extension || 'bin';
+}
+
+// ===== METADATA STRIPPING =====
+
+// JPEG: drop APP1 (EXIF/XMP), APP2-APP15 except ICC (APP2 "ICC_PROFILE") and COM segments
+function stripJpeg(buffer) {
+    const parts = [buffer.subarray(0, 2)];
+    let offset = 2;
+
+    while (offset + 4 <= buffer.length) {
+        if (buffer[offset] !== 0xff) break;
+        const marker = buffer[offset + 1];
+
+        // Start of scan: the rest is image data
+        if (marker === 0xda) {
+            parts.push(buffer.subarray(offset));
+            return Buffer.concat(parts);
+        }
+
+        const length = buffer.readUInt16BE(offset + 2);
+        const segmentEnd = offset + 2 + length;
+        if (segmentEnd > buffer.length) break;
+
+        const isAppSegment = marker >= 0xe1 && marker <= 0xef;
+        const isIccProfile = marker === 0xe2 && buffer.toString('ascii', offset + 4, offset + 15) === 'ICC_PROFILE';
+        const isComment = marker === 0xfe;
+
+        if (!(isAppSegment && !isIccProfile) && !isComment) {
+            parts.push(buffer.subarray(offset, segmentEnd));
+        }
+        offset = segmentEnd;
+    }
+
+    throw new Error('Malformed JPEG');
+}
+
+// PNG: drop eXIf and textual chunks
+function stripPng(buffer) {
+    const dropped = ['eXIf', 'tEXt', 'iTXt', 'zTXt', 'tIME'];
+    const parts = [buffer.subarray(0, 8)];
+    let offset = 8;
+
+    while (offset + 12 <= buffer.length) {
+        const length = buffer.readUInt32BE(offset);
+        const type = buffer.toString('ascii', offset + 4, offset + 8);
+        const chunkEnd = offset + 12 + length;
+        if (chunkEnd > buffer.length) break;
+
+        if (!dropped.includes(type)) parts.push(buffer.subarray(offset, chunkEnd));
+        offset = chunkEnd;
+
+        if (type === 'IEND') return Buffer.concat(parts);
+    }
+
+    throw new Error('Malformed PNG');
+}
+
+// WebP: drop EXIF and XMP chunks, clear the matching VP8X flags
+function stripWebp(buffer) {
+    const chunks = [];
+    let offset = 12;
+
+    while (offset + 8 <= buffer.length) {
+        const type = buffer.toString('ascii', offset, offset + 4);
+        const size = buffer.readUInt32LE(offset + 4);
+        const chunkEnd = offset + 8 + size + (size % 2); // chunks are padded to even length
+        if (chunkEnd > buffer.length) throw new Error('Malformed WebP');
+
+        if (type !== 'EXIF' && type !== 'XMP ') {
+            const chunk = Buffer.from(buffer.subarray(offset, chunkEnd));
+            if (type === 'VP8X') chunk[8] &= ~0x0c; // EXIF (0x08) and XMP (0x04) flags
+            chunks.push(chunk);
+        }
+        offset = chunkEnd;
+    }
+
+    const body = Buffer.concat(chunks);
+    const header = Buffer.alloc(12);
+    header.write('RIFF', 0, 'ascii');
+    header.writeUInt32LE(body.length + 4, 4);
+    header.write('WEBP', 8, 'ascii');
+    return Buffer.concat([header, body]);
+}
+
+/**
+ * Remove identifying metadata from an image (PDFs are returned unchanged)
+ * @param {Buffer} buffer - File contents
+ * @param {string} mimeType - Detected MIME type
+ * @returns {Buffer}
+ */
+export function stripMetadata(buffer, mimeType) {
+    if (mimeType === 'image/jpeg') return stripJpeg(buffer);
+    if (mimeType === 'image/png') return stripPng(buffer);
+    if (mimeType === 'image/webp') return stripWebp(buffer);
+    return buffer;
+}
+
+/**
+ * Validate an uploaded file and prepare it for storage
+ * @param {Object} file - Multer memory-storage file { buffer, originalname, mimetype, size }
+ * @returns {Object} { buffer, mimeType, extension, originalName, size, sha256 }
+ * @throws {Error} with a user-facing message when the file is rejected
+ */
+export function prepareEvidenceFile(file) {
+    const mimeType = detectFileType(file.buffer);
+    if (!mimeType) {
+        throw new Error(`"${file.originalname}" is not a supported file type (JPEG, PNG, WebP or PDF)`);
+    }
+    if (file.mimetype !== mimeType) {
+        throw new Error(`"${file.originalname}" content does not match its declared type`);
+    }
+
+    let buffer;
+    try {
+        buffer = stripMetadata(file.buffer, mimeType);
+    } catch {
+        throw new Error(`"${file.originalname}" could not be processed`);
+    }
+
+    return {
+        buffer,
+        mimeType,
+        extension: extensionFor(mimeType),
+        originalName: file.originalname.replace(/[^\w.\- ]/g, '_').substring(0, 120),
+        size: buffer.length,
+        sha256: crypto.createHash('sha256').update(buffer).digest('hex')
+    };
+}
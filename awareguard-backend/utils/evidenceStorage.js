@@ -0,0 +1,79 @@
+// awareguard-backend/utils/evidenceStorage.js
+import fs from 'fs';
+import path from 'path';
+import 'dotenv/config';
+
+/**
+ * Pluggable storage for report evidence files
+ *
+ * A backend implements:
+ *   save(key, buffer)      -> Promise<void>
+ *   createReadStream(key)  -> Promise<Readable>
+ *   remove(key)            -> Promise<void>
+ *
+ * Environment:
+ *   EVIDENCE_STORAGE       Backend name (default: local)
+ *   EVIDENCE_STORAGE_DIR   Root directory for the local backend (default: ./uploads/evidence)
+ */
+
+function createLocalDiskStorage(rootDir) {
+    const root = path.resolve(rootDir);
+
+    // Keys are generated server-side, but never let one escape the root directory
+    const resolveKey = (key) => {
+        const fullPath = path.resolve(root, key);
+        if (!fullPath.startsWith(root + path.sep)) {
+            throw new Error('Invalid storage key');
+        }
+        return fullPath;
+    };
+
+    return {
+        name: 'local',
+
+        async save(key, buffer) {
+            const fullPath = resolveKey(key);
+            await fs.promises.mkdir(path.dirname(fullPath), { recursive: true });
+            await fs.promises.writeFile(fullPath, buffer, { flag: 'wx' });
+        },
+
+        async createReadStream(key) {
+            const fullPath = resolveKey(key);
+            await fs.promises.access(fullPath, fs.constants.R_OK);
+            return fs.createReadStream(fullPath);
+        },
+
+        async remove(key) {
+            await fs.promises.rm(resolveKey(key), { force: true });
+        }
+    };
+}
+
+const backends = {
+    local: () => createLocalDiskStorage(process.env.EVIDENCE_STORAGE_DIR || './uploads/evidence')
+};
+
+const instances = {};
+
+/**
+ * Get a storage backend by name
+ * @param {string} [name] - Backend name (defaults to EVIDENCE_STORAGE or 'local')
+ * @returns {Object} Storage backend
+ */
+export function getEvidenceStorage(name = process.env.EVIDENCE_STORAGE || 'local') {
+    if (!backends[name]) {
+        throw new Error(`Unknown evidence storage backend: ${name}`);
+    }
+    instances[name] ||= backends[name]();
+    return instances[name];
+}
+
+/**
+ * Register an additional storage backend (e.g. S3) at startup
+ * @param {string} name - Backend name stored on each attachment
+ * @param {Function} factory - Returns an object implementing save/createReadStream/remove
+ */
+export function registerEvidenceStorage(name, factory) {
+    backends[name] = factory;
+    delete instances[name];
+}
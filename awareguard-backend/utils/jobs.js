@@ -0,0 +1,96 @@
+// awareguard-backend/utils/jobs.js
+import { User } from '../models/User.js';
+import { processSubscriptionRenewals } from './subscriptions.js';
+import { processDueAccountDeletions } from './accountData.js';
+import { sendWeeklyDigests } from './digest.js';
+
+/**
+ * Background jobs, run by utils/scheduler.js
+ *
+ * everyMs: time from the end of one run to the start of the next
+ * timeoutMs: how long a run may hold the lock before another instance may take over
+ *
+ * Every job must be safe to re-run and to run late (after downtime).
+ */
+
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+const DAY = 24 * HOUR;
+
+/**
+ * Remove expired sessions and clear expired password-reset and
+ * email-verification tokens
+ * @returns {Promise<Object>} Counts of users updated
+ */
+export async function cleanupExpiredTokens() {
+    const now = new Date();
+
+    const [sessions, passwordResets, verifications] = await Promise.all([
+        User.updateMany(
+            { 'refreshTokens.expiresAt': { $lte: now } },
+            { $pull: { refreshTokens: { expiresAt: { $lte: now } } } }
+        ),
+        User.updateMany(
+            { passwordResetExpires: { $lte: now } },
+            { $set: { passwordResetToken: null, passwordResetExpires: null } }
+        ),
+        User.updateMany(
+            { emailVerificationExpires: { $lte: now } },
+            { $set: { emailVerificationToken: null, emailVerificationExpires: null } }
+        )
+    ]);
+
+    return {
+        sessions: sessions.modifiedCount,
+        passwordResets: passwordResets.modifiedCount,
+        verifications: verifications.modifiedCount
+    };
+}
+
+/**
+ * Reset the streak of everyone who missed a day. Same rule as
+ * User.updateStreak: the streak survives while the last activity is less
+ * than two days old.
+ * @returns {Promise<Object>} { reset }
+ */
+export async function decayStreaks() {
+    const result = await User.updateMany(
+        { streak: { $gt: 0 }, lastActivity: { $lte: new Date(Date.now() - 2 * DAY) } },
+        { $set: { streak: 0 } }
+    );
+    return { reset: result.modifiedCount };
+}
+
+export const JOBS = {
+    'subscription-renewals': {
+        description: 'Renewal reminders, card charges and retries; ends subscriptions after the grace period',
+        everyMs: HOUR,
+        timeoutMs: 30 * MINUTE,
+        run: processSubscriptionRenewals
+    },
+    'account-deletions': {
+        description: 'Anonymize accounts whose deletion grace period has ended',
+        everyMs: 6 * HOUR,
+        timeoutMs: 30 * MINUTE,
+        run: processDueAccountDeletions
+    },
+    'token-cleanup': {
+        description: 'Remove expired sessions, password-reset and verification tokens',
+        everyMs: 6 * HOUR,
+        timeoutMs: 10 * MINUTE,
+        run: cleanupExpiredTokens
+    },
+    'streak-decay': {
+        description: 'Reset learning streaks of users who missed a day',
+        everyMs: HOUR,
+        timeoutMs: 10 * MINUTE,
+        run: decayStreaks
+    },
+    'weekly-digest': {
+        // Daily, so new users and missed runs are picked up; each user gets one a week
+        description: 'Weekly progress and community stories email',
+        everyMs: DAY,
+        timeoutMs: 2 * HOUR,
+        run: sendWeeklyDigests
+    }
+};
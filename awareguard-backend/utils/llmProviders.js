@@ -0,0 +1,204 @@
+// awareguard-backend/utils/llmProviders.js
+import axios from 'axios';
+import 'dotenv/config';
+
+/**
+ * LLM provider registry
+ *
+ * Providers:
+ *   - openrouter: OpenRouter hosted models (needs OPENROUTER_API_KEY)
+ *   - openai-compatible: any OpenAI-style /chat/completions server,
+ *     e.g. Ollama (http://localhost:11434/v1) or llama.cpp (http://localhost:8080/v1)
+ *   - stub: deterministic offline replies for tests and local development
+ *
+ * Environment:
+ *   LLM_PROVIDER              Default provider (default: openrouter)
+ *   LLM_TEMPERATURE           Sampling temperature (default: 0.7)
+ *   LLM_MAX_TOKENS            Max completion tokens (default: 800)
+ *   OPENROUTER_MODEL          Default: openai/gpt-4o
+ *   OPENAI_COMPAT_BASE_URL    e.g. http://localhost:11434/v1
+ *   OPENAI_COMPAT_API_KEY     Optional, most local servers ignore it
+ *   OPENAI_COMPAT_MODEL       e.g. llama3.1
+ */
+
+function numberFromEnv(value, fallback) {
+  const parsed = parseFloat(value);
+  return Number.isFinite(parsed) ? parsed : fallback;
+}
+
+/**
+ * Resolve generation settings from environment, with per-call overrides
+ * @param {Object} overrides - { provider, model, temperature, maxTokens }
+ * @returns {Object} { provider, model, temperature, maxTokens }
+ */
+export function getLLMConfig(overrides = {}) {
+  const provider = overrides.provider || process.env.LLM_PROVIDER || 'openrouter';
+  return {
+    provider,
+    model: overrides.model || getProvider(provider)?.defaultModel(),
+    temperature: overrides.temperature ?? numberFromEnv(process.env.LLM_TEMPERATURE, 0.7),
+    maxTokens: overrides.maxTokens ?? numberFromEnv(process.env.LLM_MAX_TOKENS, 800)
+  };
+}
+
+// ===== OPENAI-COMPATIBLE HTTP PROVIDERS =====
+
+// Parse an OpenAI-style SSE body, calling onToken for every content delta
+async function readCompletionStream(body, onToken) {
+  let content = '';
+  let buffer = '';
+  // Streaming decoder: a multibyte character can be split across two network chunks
+  const decoder = new TextDecoder();
+
+  for await (const chunk of body) {
+    buffer += decoder.decode(chunk, { stream: true });
+
+    // SSE events are newline-delimited; keep any partial line for the next chunk
+    const lines = buffer.split('\n');
+    buffer = lines.pop();
+
+    for (const rawLine of lines) {
+      const line = rawLine.trim();
+      if (!line.startsWith('data:')) continue; // skip comments / keep-alives
+
+      const data = line.slice(5).trim();
+      if (data === '[DONE]') return content;
+
+      let parsed;
+      try {
+        parsed = JSON.parse(data);
+      } catch {
+        continue;
+      }
+
+      if (parsed.error) {
+        throw new Error(parsed.error.message || 'Upstream stream error');
+      }
+
+      const delta = parsed.choices?.[0]?.delta?.content;
+      if (delta) {
+        content += delta;
+        onToken?.(delta);
+      }
+    }
+  }
+
+  return content;
+}
+
+function createOpenAICompatibleProvider({ name, baseUrl, apiKey, defaultModel, isConfigured }) {
+  const endpoint = () => `${baseUrl().replace(/\/+$/, '')}/chat/completions`;
+  const headers = () => ({
+    'Content-Type': 'application/json',
+    ...(apiKey() ? { Authorization: `Bearer ${apiKey()}` } : {})
+  });
+
+  return {
+    name,
+    defaultModel,
+    isConfigured: isConfigured || (() => !!baseUrl()),
+
+    async complete({ messages, model, temperature, maxTokens }) {
+      const res = await axios.post(
+        endpoint(),
+        { model, messages, stream: false, max_tokens: maxTokens, temperature },
+        { headers: headers() }
+      );
+      return res.data.choices?.[0]?.message?.content || '';
+    },
+
+    async stream({ messages, model, temperature, maxTokens }, { onToken, signal } = {}) {
+      const res = await axios.post(
+        endpoint(),
+        { model, messages, stream: true, max_tokens: maxTokens, temperature },
+        { headers: headers(), responseType: 'stream', signal }
+      );
+      return readCompletionStream(res.data, onToken);
+    }
+  };
+}
+
+// ===== STUB PROVIDER =====
+
+// Deterministic reply derived from the last user message; no network access
+function stubReply(messages) {
+  const lastUser = [...messages].reverse().find(m => m.role === 'user');
+  const question = (lastUser?.content || '').trim().replace(/\s+/g, ' ');
+  const turns = messages.filter(m => m.role === 'user').length;
+  return `[stub] AwareGuard AI (turn ${turns}) received: "${question.substring(0, 200)}". Never share OTPs, PINs or passwords, and verify unexpected requests through an official channel.`;
+}
+
+const stubProvider = {
+  name: 'stub',
+  defaultModel: () => 'stub-1',
+  isConfigured: () => true,
+
+  async complete({ messages }) {
+    return stubReply(messages);
+  },
+
+  async stream({ messages }, { onToken, signal } = {}) {
+    const words = stubReply(messages).split(/(?<= )/);
+    let content = '';
+    for (const word of words) {
+      if (signal?.aborted) {
+        const err = new Error('Stream aborted');
+        err.name = 'AbortError';
+        throw err;
+      }
+      content += word;
+      onToken?.(word);
+    }
+    return content;
+  }
+};
+
+// ===== REGISTRY =====
+
+const providers = {
+  openrouter: createOpenAICompatibleProvider({
+    name: 'openrouter',
+    baseUrl: () => 'https://openrouter.ai/api/v1',
+    apiKey: () => process.env.OPENROUTER_API_KEY,
+    defaultModel: () => process.env.OPENROUTER_MODEL || 'openai/gpt-4o',
+    // Hosted endpoint is always reachable; usable only with a key
+    isConfigured: () => !!process.env.OPENROUTER_API_KEY
+  }),
+  'openai-compatible': createOpenAICompatibleProvider({
+    name: 'openai-compatible',
+    baseUrl: () => process.env.OPENAI_COMPAT_BASE_URL,
+    apiKey: () => process.env.OPENAI_COMPAT_API_KEY,
+    defaultModel: () => process.env.OPENAI_COMPAT_MODEL || 'llama3.1'
+  }),
+  stub: stubProvider
+};
+
+/**
+ * Look up a provider by name
+ * @param {string} name - Provider name
+ * @returns {Object|null} Provider, or null if unknown
+ */
+export function getProvider(name) {
+  // Own keys only: names come from request bodies, so 'constructor' etc. must not resolve
+  return Object.hasOwn(providers, name) ? providers[name] : null;
+}
+
+/**
+ * Check that a provider exists and has the configuration it needs
+ * @param {string} name - Provider name
+ * @returns {boolean}
+ */
+export function isProviderAvailable(name) {
+  return !!getProvider(name)?.isConfigured();
+}
+
+/**
+ * List providers that can currently serve requests
+ * @returns {Array<{name: string, model: string, isDefault: boolean}>}
+ */
+export function listAvailableProviders() {
+  const defaultProvider = getLLMConfig().provider;
+  return Object.values(providers)
+    .filter(p => p.isConfigured())
+    .map(p => ({ name: p.name, model: p.defaultModel(), isDefault: p.name === defaultProvider }));
+}
@@ -0,0 +1,23 @@
+// awareguard-backend/utils/passwordPolicy.js
+
+export const PASSWORD_REQUIREMENTS_ERROR =
+    "Password must be at least 8 characters and include an uppercase letter, a number, and a symbol";
+
+/**
+ * Check each password rule separately so the frontend can show which one failed
+ * @param {string} password
+ * @returns {Object} { minLength, uppercase, number, symbol }
+ */
+export function evaluatePasswordRules(password = "") {
+    return {
+        minLength: password.length >= 8,
+        uppercase: /[A-Z]/.test(password),
+        number: /[0-9]/.test(password),
+        symbol: /[^A-Za-z0-9\s]/.test(password),
+    };
+}
+
+export function isPasswordPolicyValid(password = "") {
+    const rules = evaluatePasswordRules(password);
+    return Object.values(rules).every(Boolean);
+}
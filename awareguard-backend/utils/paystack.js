@@ -0,0 +1,31 @@
+// awareguard-backend/utils/paystack.js
+import crypto from 'crypto';
+
+/**
+ * Paystack API client shared by checkout (routes/payments.js) and
+ * renewals (utils/subscriptions.js)
+ */
+
+const PAYSTACK_API = 'https://api.paystack.co';
+
+/**
+ * Call the Paystack API
+ * @param {string} path - e.g. '/transaction/verify/AG-...'
+ * @param {Object} [options] - fetch options
+ * @returns {Promise<Object>} Paystack response body ({ status, message, data })
+ */
+export async function paystackRequest(path, options = {}) {
+    const response = await fetch(`${PAYSTACK_API}${path}`, {
+        ...options,
+        headers: {
+            Authorization: `Bearer ${process.env.PAYSTACK_SECRET_KEY}`,
+            'Content-Type': 'application/json'
+        }
+    });
+    return response.json();
+}
+
+// Every PaymentTransaction we create gets one of these; Paystack-generated references never start with AG-
+export function newPaymentReference() {
+    return `AG-${crypto.randomBytes(12).toString('hex')}`;
+}
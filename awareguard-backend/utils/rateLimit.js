@@ -0,0 +1,186 @@
+// awareguard-backend/utils/rateLimit.js
+import rateLimit, { MemoryStore, ipKeyGenerator } from 'express-rate-limit';
+import { RateLimitCounter } from '../models/RateLimitCounter.js';
+import { LoginThrottle } from '../models/LoginThrottle.js';
+import logger from './logger.js';
+
+/**
+ * Shared rate limiting
+ *
+ * Counters live in MongoDB by default so limits hold across restarts and
+ * across instances. Set RATE_LIMIT_STORE=memory for local development
+ * (per-process counters, nothing written to the database).
+ *
+ * Routes pick a named policy: createRateLimiter('signin'). Each policy
+ * decides what a client is (IP, email in the body, or signed-in user).
+ */
+
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+
+export const RATE_LIMIT_POLICIES = {
+    signin: { windowMs: 15 * MINUTE, max: 20, keyBy: 'ip', message: 'Too many sign-in attempts. Please try again later.' },
+    signup: { windowMs: HOUR, max: 10, keyBy: 'ip', message: 'Too many accounts created from this IP. Please try again later.' },
+    twoFactor: { windowMs: 15 * MINUTE, max: 10, keyBy: 'ip', message: 'Too many verification attempts. Please try again later.' },
+    passwordResetByEmail: { windowMs: HOUR, max: 3, keyBy: 'email', message: 'Too many password reset attempts. Please try again later.' },
+    passwordResetByIp: { windowMs: HOUR, max: 10, keyBy: 'ip', message: 'Too many password reset attempts. Please try again later.' },
+    resendVerification: { windowMs: HOUR, max: 3, keyBy: 'user', message: 'Too many verification emails requested. Please try again later.' },
+    ask: { windowMs: 10 * MINUTE, max: 30, keyBy: 'user', message: 'Too many messages. Please wait a few minutes and try again.' },
+    analyze: { windowMs: 10 * MINUTE, max: 30, keyBy: 'ip', message: 'Too many analysis requests. Please wait a few minutes and try again.' },
+    checkUrl: { windowMs: 10 * MINUTE, max: 60, keyBy: 'ip', message: 'Too many URL checks. Please wait a few minutes and try again.' },
+    reportSubmit: { windowMs: HOUR, max: 10, keyBy: 'ip', message: 'Too many reports submitted. Please try again later.' },
+    reportLookup: { windowMs: MINUTE, max: 60, keyBy: 'ip', message: 'Too many requests. Please slow down.' },
+    storyComment: { windowMs: 10 * MINUTE, max: 10, keyBy: 'ip', message: 'Too many comments. Please wait a few minutes and try again.' },
+    accountExport: { windowMs: HOUR, max: 3, keyBy: 'user', message: 'Too many data exports requested. Please try again later.' },
+    paymentInitialize: { windowMs: HOUR, max: 10, keyBy: 'user', message: 'Too many checkout attempts. Please try again later.' },
+    teamInvite: { windowMs: HOUR, max: 20, keyBy: 'user', message: 'Too many invitations sent. Please try again later.' },
+    contact: { windowMs: HOUR, max: 5, keyBy: 'ip', message: 'Too many contact submissions from this IP. Please try again later.' },
+};
+
+/**
+ * express-rate-limit store backed by the RateLimitCounter collection.
+ * One document per client and policy, incremented atomically; MongoDB's TTL
+ * monitor removes it once the window has passed.
+ */
+export class MongoRateLimitStore {
+    constructor(prefix) {
+        this.prefix = `${prefix}:`;
+    }
+
+    init(options) {
+        this.windowMs = options.windowMs;
+    }
+
+    async get(key) {
+        const doc = await RateLimitCounter.findOne({ key: this.prefix + key, resetAt: { $gt: new Date() } }).lean();
+        return doc ? { totalHits: doc.count, resetTime: doc.resetAt } : undefined;
+    }
+
+    async increment(key) {
+        const now = new Date();
+        const windowOpen = { $gt: ['$resetAt', now] };
+
+        // Pipeline update so "start a new window or add to the current one"
+        // is a single atomic operation, even with several instances
+        const doc = await RateLimitCounter.findOneAndUpdate(
+            { key: this.prefix + key },
+            [{
+                $set: {
+                    count: { $cond: [windowOpen, { $add: ['$count', 1] }, 1] },
+                    resetAt: { $cond: [windowOpen, '$resetAt', new Date(now.getTime() + this.windowMs)] }
+                }
+            }],
+            { upsert: true, new: true, updatePipeline: true }
+        ).lean();
+
+        return { totalHits: doc.count, resetTime: doc.resetAt };
+    }
+
+    async decrement(key) {
+        await RateLimitCounter.updateOne({ key: this.prefix + key, count: { $gt: 0 } }, { $inc: { count: -1 } });
+    }
+
+    async resetKey(key) {
+        await RateLimitCounter.deleteOne({ key: this.prefix + key });
+    }
+}
+
+function createStore(name) {
+    return process.env.RATE_LIMIT_STORE === 'memory' ? new MemoryStore() : new MongoRateLimitStore(name);
+}
+
+const ipKey = (req) => `ip:${ipKeyGenerator(req.ip)}`;
+
+// Requests without the expected identity fall back to the client IP
+const KEY_GENERATORS = {
+    ip: ipKey,
+    email: (req) => {
+        const email = typeof req.body?.email === 'string' ? req.body.email.trim().toLowerCase() : '';
+        return email ? `email:${email}` : ipKey(req);
+    },
+    user: (req) => (req.user ? `user:${req.user._id}` : ipKey(req)),
+};
+
+/**
+ * Build middleware for a named policy
+ * @param {string} name - Key of RATE_LIMIT_POLICIES
+ * @param {Object} [overrides] - Policy fields to change for this route
+ * @returns {Function} Express middleware
+ */
+export function createRateLimiter(name, overrides = {}) {
+    const policy = { ...RATE_LIMIT_POLICIES[name], ...overrides };
+    if (!policy.windowMs || !policy.max) {
+        throw new Error(`Unknown rate limit policy: ${name}`);
+    }
+
+    const keyGenerator = typeof policy.keyBy === 'function' ? policy.keyBy : KEY_GENERATORS[policy.keyBy];
+
+    return rateLimit({
+        windowMs: policy.windowMs,
+        limit: policy.max,
+        keyGenerator,
+        store: createStore(name),
+        standardHeaders: true,
+        legacyHeaders: false,
+        // A database outage should not take the API down with it
+        passOnStoreError: true,
+        handler: (req, res, next, options) => {
+            logger.warn('Rate limit exceeded', { policy: name, key: keyGenerator(req), path: req.originalUrl });
+            res.status(options.statusCode).json({ error: policy.message });
+        },
+    });
+}
+
+// ===== LOGIN LOCKOUT =====
+
+// After LOCKOUT_THRESHOLD consecutive failures the account key is locked for
+// 1 minute, doubling with every further failure up to 1 hour. A success, or a
+// day without failures, starts the count again.
+const LOCKOUT_THRESHOLD = 5;
+const LOCKOUT_BASE_MS = MINUTE;
+const LOCKOUT_MAX_MS = HOUR;
+
+/**
+ * Seconds until a locked key may try again
+ * @param {string} key - e.g. "password:user@example.com" or "2fa:<userId>"
+ * @returns {Promise<number>} 0 when not locked
+ */
+export async function getLoginLockout(key) {
+    const throttle = await LoginThrottle.findOne({ key, lockedUntil: { $gt: new Date() } }).lean();
+    return throttle ? Math.ceil((throttle.lockedUntil - Date.now()) / 1000) : 0;
+}
+
+/**
+ * Count a failed attempt and lock the key once it crosses the threshold
+ * @param {string} key
+ * @returns {Promise<number>} Seconds the key is now locked for (0 if not locked)
+ */
+export async function recordLoginFailure(key) {
+    const throttle = await LoginThrottle.findOneAndUpdate(
+        { key },
+        { $inc: { failures: 1 }, $set: { lastFailureAt: new Date() } },
+        { upsert: true, new: true }
+    ).lean();
+
+    if (throttle.failures < LOCKOUT_THRESHOLD) return 0;
+
+    const lockMs = Math.min(LOCKOUT_BASE_MS * 2 ** (throttle.failures - LOCKOUT_THRESHOLD), LOCKOUT_MAX_MS);
+    await LoginThrottle.updateOne({ key }, { $set: { lockedUntil: new Date(Date.now() + lockMs) } });
+
+    logger.warn('Login locked after repeated failures', { key, failures: throttle.failures, lockSeconds: lockMs / 1000 });
+    return Math.ceil(lockMs / 1000);
+}
+
+export async function clearLoginFailures(key) {
+    await LoginThrottle.deleteOne({ key });
+}
+
+// Response while a key is locked (see getLoginLockout)
+export function sendLockedOut(res, retryAfter) {
+    res.set('Retry-After', String(retryAfter));
+    return res.status(429).json({
+        error: `Too many failed attempts. Please try again in ${Math.ceil(retryAfter / 60)} minute(s).`,
+        code: 'LOGIN_LOCKED',
+        retryAfter
+    });
+}
@@ -0,0 +1,95 @@
+// awareguard-backend/utils/reportFields.js
+import { parseUrl, getRegistrableDomain } from './urlChecker.js';
+
+// Labels used in the human-readable `details` summary, keyed by schema field
+const DETAIL_LABELS = {
+    threatType: 'Threat Type',
+    url: 'URL',
+    description: 'Description',
+    evidence: 'Evidence'
+};
+
+export const PAYMENT_METHODS = ['bank_transfer', 'card', 'mobile_money', 'crypto', 'gift_card', 'cash', 'other'];
+
+/**
+ * Normalise a phone number to +<country><number> so the same number always matches
+ * Local numbers starting with 0 get DEFAULT_PHONE_COUNTRY_CODE (default 234, Nigeria).
+ * @param {string} value - Phone number as typed
+ * @returns {string} Normalised number, or '' when it has too few digits
+ */
+export function normalizePhone(value) {
+    if (typeof value !== 'string') return '';
+    let digits = value.replace(/[^\d+]/g, '');
+    const hasPlus = digits.startsWith('+');
+    digits = digits.replace(/\+/g, '');
+    if (digits.startsWith('00')) digits = digits.slice(2);
+    else if (!hasPlus && digits.startsWith('0')) {
+        digits = (process.env.DEFAULT_PHONE_COUNTRY_CODE || '234') + digits.slice(1);
+    }
+    return digits.length >= 7 && digits.length <= 15 ? `+${digits}` : '';
+}
+
+/**
+ * Normalise a bank account number to digits only
+ * @param {string} value - Account number as typed
+ * @returns {string} Digits, or '' when the length is implausible
+ */
+export function normalizeAccountNumber(value) {
+    if (typeof value !== 'string' && typeof value !== 'number') return '';
+    const digits = String(value).replace(/\D/g, '');
+    return digits.length >= 6 && digits.length <= 20 ? digits : '';
+}
+
+/**
+ * Registrable domain for a reported URL, or '' when it can't be parsed
+ * @param {string} url - Reported URL
+ * @returns {string}
+ */
+export function domainFromUrl(url) {
+    const parsed = parseUrl(url);
+    return parsed ? getRegistrableDomain(parsed.hostname) : '';
+}
+
+/**
+ * Build the readable `details` summary stored alongside the structured fields
+ * @param {Object} fields - { threatType, url, description, evidence }
+ * @returns {string}
+ */
+export function buildReportDetails(fields) {
+    return Object.entries(DETAIL_LABELS)
+        .filter(([key]) => fields[key])
+        .map(([key, label]) => `${label}: ${fields[key]}`)
+        .join('\n');
+}
+
+/**
+ * Parse a legacy `details` string back into structured fields
+ * Lines without a known "Label:" prefix continue the previous field;
+ * free-form text with no labels becomes the description.
+ * @param {string} details - Stored details text
+ * @returns {Object} { threatType, url, description, evidence } (only fields found)
+ */
+export function parseReportDetails(details = '') {
+    const labelToKey = Object.fromEntries(Object.entries(DETAIL_LABELS).map(([key, label]) => [label.toLowerCase(), key]));
+    const fields = {};
+    let currentKey = null;
+
+    for (const line of details.split(/\r?\n/)) {
+        const match = line.match(/^\s*(Threat Type|URL|Description|Evidence)\s*:\s?(.*)$/i);
+        if (match) {
+            currentKey = labelToKey[match[1].toLowerCase()];
+            fields[currentKey] = match[2];
+        } else if (currentKey) {
+            fields[currentKey] += `\n${line}`;
+        } else {
+            fields.description = fields.description ? `${fields.description}\n${line}` : line;
+        }
+    }
+
+    for (const key of Object.keys(fields)) {
+        fields[key] = fields[key].trim();
+        if (!fields[key]) delete fields[key];
+    }
+
+    return fields;
+}
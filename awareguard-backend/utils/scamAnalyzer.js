@@ -0,0 +1,307 @@
+// awareguard-backend/utils/scamAnalyzer.js
+import { chatHelper } from './OpenAiHelpers.js';
+import { getLLMConfig, isProviderAvailable } from './llmProviders.js';
+import { inspectUrlStructure } from './urlChecker.js';
+import logger from './logger.js';
+
+// ===== RED FLAG RULES =====
+// Each rule contributes its weight to the risk score (capped at 100) when any pattern matches.
+
+const RED_FLAG_RULES = [
+    {
+        id: 'urgency',
+        label: 'Urgency or pressure',
+        description: 'Pushes you to act immediately or threatens consequences.',
+        weight: 15,
+        patterns: [
+            /\burgent(ly)?\b/i,
+            /\bimmediately\b/i,
+            /\bact now\b/i,
+            /\bwithin (24|48|12|2|1) ?(hours?|hrs?|minutes?|mins?)\b/i,
+            /\b(last|final) (warning|notice|chance)\b/i,
+            /\b(account|card|line|sim|bvn|nin).{0,30}\b(suspended|blocked|deactivated|restricted|closed)\b/i,
+            /\bexpires? (today|soon|in)\b/i
+        ]
+    },
+    {
+        id: 'payment_request',
+        label: 'Request for payment',
+        description: 'Asks you to send money, pay a fee or buy gift cards.',
+        weight: 20,
+        patterns: [
+            /\b(send|transfer|pay|deposit)\b.{0,40}\b(money|fee|funds|naira|ngn|₦|\$|usd|amount)\b/i,
+            /\b(processing|registration|clearance|activation|delivery|release|customs) fee\b/i,
+            /\bgift ?cards?\b/i,
+            /\b(bitcoin|btc|usdt|crypto(currency)?) (wallet|address|payment)\b/i,
+            /\baccount (number|no\.?)\b.{0,20}\d{10}\b/i,
+            /\bwestern union\b|\bmoneygram\b/i
+        ]
+    },
+    {
+        id: 'credential_request',
+        label: 'Request for credentials or codes',
+        description: 'Asks for an OTP, PIN, password, BVN or card details. Legitimate organisations never ask for these.',
+        weight: 25,
+        patterns: [
+            /\b(otp|one[- ]time (password|pin|code)|verification code)\b/i,
+            /\b(pin|password|passcode|cvv|bvn|nin)\b.{0,30}\b(send|share|confirm|provide|reply|enter)\b/i,
+            /\b(send|share|confirm|provide|reply with|enter)\b.{0,30}\b(pin|password|passcode|cvv|bvn|nin|card details)\b/i
+        ]
+    },
+    {
+        id: 'off_platform_contact',
+        label: 'Moves the conversation off-platform',
+        description: 'Asks you to continue on WhatsApp, Telegram or a personal number instead of official channels.',
+        weight: 10,
+        patterns: [
+            /\b(whatsapp|telegram|signal)\b.{0,30}\b(me|us|number|chat|link|group)\b/i,
+            /\bwa\.me\/|\bt\.me\//i,
+            /\b(text|call|message|contact) (me|us) (on|via|at)\b/i,
+            /\bchat\.whatsapp\.com\b/i
+        ]
+    },
+    {
+        id: 'too_good_to_be_true',
+        label: 'Too good to be true',
+        description: 'Promises prizes, guaranteed returns or easy money.',
+        weight: 15,
+        patterns: [
+            /\b(you('ve| have)? won|winner|congratulations)\b/i,
+            /\b(lottery|jackpot|promo|giveaway|prize)\b/i,
+            /\bguaranteed (returns?|profit|income)\b/i,
+            /\b(double|triple) your (money|investment)\b/i,
+            /\b\d{2,3}% (returns?|profit|roi|interest)\b/i,
+            /\bearn .{0,20}(daily|per day|weekly) (from|at) home\b/i
+        ]
+    },
+    {
+        id: 'impersonation',
+        label: 'Claims to be an official organisation',
+        description: 'Claims to be a bank, government agency, courier or well-known company.',
+        weight: 10,
+        patterns: [
+            /\b(cbn|central bank|efcc|firs|nimc|ncc|customs|interpol|fbi|irs|police)\b/i,
+            /\b(gtbank|gtb|access bank|zenith|first bank|uba|opay|palmpay|moniepoint|kuda)\b/i,
+            /\b(dhl|fedex|ups|usps|royal mail)\b/i,
+            /\b(paypal|apple|microsoft|amazon|netflix|meta|facebook|instagram|google)\b.{0,30}\b(support|security|team|account)\b/i
+        ]
+    },
+    {
+        id: 'secrecy',
+        label: 'Asks you to keep it secret',
+        description: 'Tells you not to tell anyone or contact your bank.',
+        weight: 10,
+        patterns: [
+            /\b(don'?t|do not) (tell|inform|share this with) (anyone|your bank|family)\b/i,
+            /\bkeep (this|it) (secret|confidential|private)\b/i
+        ]
+    }
+];
+
+// URLs (with or without scheme) found in the message
+const URL_PATTERN = /\b((?:https?:\/\/|www\.)[^\s<>"']+|[a-z0-9-]+(?:\.[a-z0-9-]+)*\.(?:com|net|org|ng|xyz|top|info|click|link|live|io|co|me|site|online|app)(?:\/[^\s<>"']*)?)/gi;
+
+// ===== SCAM CATEGORIES =====
+
+const CATEGORY_RULES = [
+    { id: 'phishing', label: 'Phishing / account takeover', patterns: [/\b(verify|confirm|update|login|log in|sign in)\b.{0,30}\b(account|details|identity)\b/i, /\b(otp|pin|password|bvn)\b/i] },
+    { id: 'bank_impersonation', label: 'Bank or agency impersonation', patterns: [/\b(bank|cbn|efcc|bvn|atm card|debit card)\b/i] },
+    { id: 'lottery_prize', label: 'Lottery / prize scam', patterns: [/\b(won|winner|lottery|jackpot|prize|promo|giveaway)\b/i] },
+    { id: 'job_offer', label: 'Fake job offer', patterns: [/\b(job|vacancy|hiring|recruit(ment|er)?|salary|work from home|interview)\b/i] },
+    { id: 'investment', label: 'Investment / crypto scam', patterns: [/\b(invest(ment)?|crypto|bitcoin|forex|trading|roi|returns?)\b/i] },
+    { id: 'delivery', label: 'Fake delivery / customs notice', patterns: [/\b(parcel|package|delivery|shipment|customs|courier|dhl|fedex)\b/i] },
+    { id: 'romance', label: 'Romance scam', patterns: [/\b(my love|darling|sweetheart|dear|relationship|marry)\b/i] },
+    { id: 'tech_support', label: 'Tech support scam', patterns: [/\b(virus|infected|hacked|tech support|microsoft support|remote access|anydesk|teamviewer)\b/i] }
+];
+
+// ===== RECOMMENDED ACTIONS =====
+
+const BASE_ACTIONS = [
+    'Do not reply, click links or call numbers in the message.',
+    'Verify the claim independently using contact details from the official website or the back of your card.'
+];
+
+const LOW_RISK_ACTIONS = [
+    'No common scam indicators were found, but stay cautious with unexpected requests for money or personal details.'
+];
+
+const FLAG_ACTIONS = {
+    credential_request: 'Never share OTPs, PINs, passwords or BVN — no bank or agency will ask for them.',
+    payment_request: 'Do not send money or buy gift cards. If you already paid, contact your bank immediately to try to reverse it.',
+    spoofed_link: 'Do not open the link. If you already entered details on it, change your password and enable two-factor authentication.',
+    off_platform_contact: 'Stay on official channels; scammers move you to WhatsApp or Telegram to avoid moderation.',
+    impersonation: 'Contact the organisation directly through its verified channels to confirm.'
+};
+
+function riskLevelFor(score) {
+    if (score >= 60) return 'high';
+    if (score >= 30) return 'medium';
+    return 'low';
+}
+
+function clampScore(score) {
+    return Math.max(0, Math.min(100, Math.round(score)));
+}
+
+// ===== HEURISTICS =====
+
+function extractUrls(text) {
+    return [...new Set((text.match(URL_PATTERN) || []).map(u => u.replace(/[).,;!?]+$/, '')))];
+}
+
+function inspectLinks(urls) {
+    return urls
+        .map(url => inspectUrlStructure(url))
+        .filter(result => result.hostname && result.signals.length > 0)
+        .map(result => ({ url: result.url, host: result.hostname, reasons: result.signals.map(s => s.description) }));
+}
+
+/**
+ * Run local heuristic rules over a message
+ * @param {string} text - Message text
+ * @returns {Object} { riskScore, category, redFlags, urls }
+ */
+export function analyzeHeuristics(text) {
+    const redFlags = [];
+    let score = 0;
+
+    for (const rule of RED_FLAG_RULES) {
+        const matches = rule.patterns
+            .map(pattern => text.match(pattern)?.[0])
+            .filter(Boolean);
+
+        if (matches.length > 0) {
+            redFlags.push({
+                id: rule.id,
+                label: rule.label,
+                description: rule.description,
+                evidence: [...new Set(matches)].slice(0, 3)
+            });
+            // Extra matches for the same rule add a little, but never double the weight
+            score += rule.weight + Math.min(matches.length - 1, 2) * (rule.weight / 4);
+        }
+    }
+
+    const urls = extractUrls(text);
+    const linkFindings = inspectLinks(urls);
+    if (linkFindings.length > 0) {
+        redFlags.push({
+            id: 'spoofed_link',
+            label: 'Suspicious link',
+            description: 'Contains links that disguise or misrepresent their destination.',
+            evidence: linkFindings.map(f => `${f.host}: ${f.reasons.join(', ')}`).slice(0, 3)
+        });
+        score += 20;
+    } else if (urls.length > 0) {
+        score += 5;
+    }
+
+    // Pick the category with the most pattern hits
+    let category = { id: 'unknown', label: 'Unclassified' };
+    let bestHits = 0;
+    for (const rule of CATEGORY_RULES) {
+        const hits = rule.patterns.filter(pattern => pattern.test(text)).length;
+        if (hits > bestHits) {
+            bestHits = hits;
+            category = { id: rule.id, label: rule.label };
+        }
+    }
+
+    return { riskScore: clampScore(score), category, redFlags, urls };
+}
+
+// ===== OPTIONAL LLM PASS =====
+
+const ANALYZER_PROMPT = 'You are AwareGuard AI, a scam analyst. Assess the user-supplied message for fraud. Reply with ONLY a JSON object, no prose, with keys: "riskScore" (integer 0-100), "category" (one of: ' +
+    CATEGORY_RULES.map(c => c.id).join(', ') +
+    ', legitimate, unknown), "redFlags" (array of short strings), "summary" (one or two sentences for a non-technical user), "recommendedActions" (array of short strings).';
+
+function parseJsonReply(content) {
+    const match = content.match(/\{[\s\S]*\}/);
+    if (!match) return null;
+    try {
+        return JSON.parse(match[0]);
+    } catch {
+        return null;
+    }
+}
+
+async function analyzeWithAI(text, channel, provider) {
+    const { content } = await chatHelper(
+        { role: 'user', content: `Channel: ${channel}\nMessage:\n"""\n${text}\n"""` },
+        { provider, systemPrompt: ANALYZER_PROMPT, temperature: 0 }
+    );
+
+    const parsed = parseJsonReply(content);
+    if (!parsed || !Number.isFinite(Number(parsed.riskScore))) {
+        throw new Error('AI returned an unparseable verdict');
+    }
+
+    return {
+        riskScore: clampScore(Number(parsed.riskScore)),
+        category: typeof parsed.category === 'string' ? parsed.category : 'unknown',
+        redFlags: Array.isArray(parsed.redFlags) ? parsed.redFlags.filter(f => typeof f === 'string').slice(0, 10) : [],
+        summary: typeof parsed.summary === 'string' ? parsed.summary : '',
+        recommendedActions: Array.isArray(parsed.recommendedActions)
+            ? parsed.recommendedActions.filter(a => typeof a === 'string').slice(0, 5)
+            : []
+    };
+}
+
+/**
+ * Analyze a suspicious message
+ * Heuristics always run; the LLM pass runs only when requested and a provider is configured.
+ * @param {string} text - Message text
+ * @param {Object} options
+ * @param {string} [options.channel] - sms | email | whatsapp | other
+ * @param {boolean} [options.useAI] - Set false to skip the LLM pass
+ * @param {string} [options.provider] - LLM provider override
+ * @returns {Promise<Object>} Structured verdict
+ */
+export async function analyzeMessage(text, { channel = 'other', useAI = true, provider } = {}) {
+    const heuristics = analyzeHeuristics(text);
+    const aiProvider = provider || getLLMConfig().provider;
+
+    let ai = { used: false };
+    if (useAI && isProviderAvailable(aiProvider)) {
+        try {
+            ai = { used: true, provider: aiProvider, ...(await analyzeWithAI(text, channel, aiProvider)) };
+        } catch (err) {
+            logger.warn('AI analysis failed, using heuristics only', { error: err.message, provider: aiProvider });
+            ai = { used: false, error: 'AI analysis unavailable' };
+        }
+    }
+
+    // Blend scores: heuristics are the floor when they found concrete red flags
+    let riskScore = heuristics.riskScore;
+    let category = heuristics.category;
+    if (ai.used) {
+        riskScore = clampScore(Math.max(heuristics.riskScore, (heuristics.riskScore + ai.riskScore) / 2));
+        const aiCategory = CATEGORY_RULES.find(c => c.id === ai.category);
+        if (category.id === 'unknown' && aiCategory) {
+            category = { id: aiCategory.id, label: aiCategory.label };
+        }
+    }
+
+    const recommendedActions = [
+        ...(riskLevelFor(riskScore) === 'low' ? LOW_RISK_ACTIONS : BASE_ACTIONS),
+        ...heuristics.redFlags.map(f => FLAG_ACTIONS[f.id]).filter(Boolean),
+        ...(ai.used ? ai.recommendedActions : [])
+    ];
+
+    return {
+        riskScore,
+        riskLevel: riskLevelFor(riskScore),
+        category,
+        redFlags: heuristics.redFlags,
+        links: heuristics.urls,
+        recommendedActions: [...new Set(recommendedActions)],
+        summary: ai.used && ai.summary ? ai.summary : null,
+        analysis: {
+            heuristics: { riskScore: heuristics.riskScore },
+            ai: ai.used
+                ? { used: true, provider: ai.provider, riskScore: ai.riskScore, category: ai.category, redFlags: ai.redFlags }
+                : { used: false, ...(ai.error ? { error: ai.error } : {}) }
+        }
+    };
+}
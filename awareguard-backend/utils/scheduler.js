@@ -0,0 +1,214 @@
+// awareguard-backend/utils/scheduler.js
+import os from 'os';
+import crypto from 'crypto';
+import mongoose from 'mongoose';
+import { ScheduledJob } from '../models/ScheduledJob.js';
+import { JOBS } from './jobs.js';
+import logger from './logger.js';
+
+/**
+ * Background job scheduler
+ *
+ * Every instance runs the same timer. A job's ScheduledJob document doubles
+ * as its lock, so each run happens on exactly one instance however many are
+ * deployed. Schedules are fixed intervals counted from the end of the last
+ * run; nextRunAt is stored, so restarts neither skip nor repeat runs.
+ *
+ * Set SCHEDULER_ENABLED=false to keep an instance from running jobs on
+ * schedule (manual runs from the admin API still work).
+ */
+
+const TICK_MS = 60 * 1000;
+
+// Identifies this process in lockedBy
+const INSTANCE_ID = `${os.hostname()}:${process.pid}:${crypto.randomBytes(3).toString('hex')}`;
+
+let timer = null;
+let ticking = false;
+const knownJobs = new Set();
+
+// Create the job's document on first use (first run is due straight away)
+async function ensureJobDocument(name) {
+    if (knownJobs.has(name)) return;
+    try {
+        await ScheduledJob.updateOne({ name }, { $setOnInsert: { name, nextRunAt: new Date() } }, { upsert: true });
+    } catch (err) {
+        // Another instance inserted it at the same moment
+        if (err.code !== 11000) throw err;
+    }
+    knownJobs.add(name);
+}
+
+// Own keys only: job names come from URLs, so 'constructor' etc. must not resolve
+export function isKnownJob(name) {
+    return Object.hasOwn(JOBS, name);
+}
+
+// Take the job's lock; null when another run holds it (or, on schedule, it isn't due)
+async function lockJob(name, job, trigger) {
+    await ensureJobDocument(name);
+
+    const now = new Date();
+    return ScheduledJob.findOneAndUpdate(
+        {
+            name,
+            $or: [{ lockedUntil: null }, { lockedUntil: { $lte: now } }],
+            ...(trigger === 'schedule' && { nextRunAt: { $lte: now } })
+        },
+        {
+            $set: {
+                lockedBy: INSTANCE_ID,
+                lockedUntil: new Date(now.getTime() + job.timeoutMs),
+                lastStartedAt: now,
+                lastStatus: 'running',
+                lastTrigger: trigger
+            }
+        },
+        { new: true }
+    );
+}
+
+// Run a locked job, then record the outcome and release the lock
+async function executeJob(name, job, trigger, startedAt) {
+    logger.info('Job started', { job: name, trigger });
+
+    let outcome;
+    try {
+        outcome = { status: 'success', result: (await job.run()) ?? null, error: null };
+    } catch (err) {
+        outcome = { status: 'failed', result: null, error: err.message };
+        logger.error('Job failed', { job: name, trigger, error: err.message, stack: err.stack });
+    }
+
+    const finishedAt = new Date();
+    const durationMs = finishedAt - startedAt;
+
+    // Only this run's lock: once it expired, a newer run (even on this instance) may hold it
+    const released = await ScheduledJob.updateOne(
+        { name, lockedBy: INSTANCE_ID, lastStartedAt: startedAt },
+        {
+            $set: {
+                lockedBy: null,
+                lockedUntil: null,
+                lastFinishedAt: finishedAt,
+                lastDurationMs: durationMs,
+                lastStatus: outcome.status,
+                lastResult: outcome.result,
+                lastError: outcome.error,
+                nextRunAt: new Date(finishedAt.getTime() + job.everyMs)
+            },
+            $inc: { runCount: 1, failureCount: outcome.status === 'failed' ? 1 : 0 }
+        }
+    );
+    if (!released.modifiedCount) {
+        logger.warn('Job outlived its lock', { job: name, durationMs, timeoutMs: job.timeoutMs });
+    } else if (outcome.status === 'success') {
+        logger.info('Job finished', { job: name, trigger, durationMs, result: outcome.result });
+    }
+
+    return { job: name, ...outcome, durationMs };
+}
+
+/**
+ * Run a job on this instance and wait for it, unless another run holds its lock
+ * @param {string} name - Key of JOBS
+ * @param {Object} [options]
+ * @param {string} [options.trigger] - 'schedule' runs only when due; 'manual' runs now
+ * @returns {Promise<Object|null>} { job, status, result, error, durationMs }, or null when the job is already running or not due
+ */
+export async function runJob(name, { trigger = 'manual' } = {}) {
+    if (!isKnownJob(name)) throw new Error(`Unknown job: ${name}`);
+    const job = JOBS[name];
+
+    const locked = await lockJob(name, job, trigger);
+    if (!locked) return null;
+
+    return executeJob(name, job, trigger, locked.lastStartedAt);
+}
+
+/**
+ * Start a job now without waiting for it to finish (jobs can outlast an HTTP
+ * request); its outcome is recorded on the job, see listJobs()
+ * @param {string} name - Key of JOBS
+ * @returns {Promise<Object|null>} { job, startedAt }, or null when the job is already running
+ */
+export async function startJob(name) {
+    if (!isKnownJob(name)) throw new Error(`Unknown job: ${name}`);
+    const job = JOBS[name];
+
+    const locked = await lockJob(name, job, 'manual');
+    if (!locked) return null;
+
+    // executeJob records failures itself; this only catches losing the database mid-run
+    executeJob(name, job, 'manual', locked.lastStartedAt).catch(err =>
+        logger.error('Job bookkeeping failed', { job: name, error: err.message, stack: err.stack })
+    );
+    return { job: name, startedAt: locked.lastStartedAt };
+}
+
+// Runs due jobs one after another; a tick still running skips the next one
+async function tick() {
+    if (ticking || mongoose.connection.readyState !== 1) return;
+    ticking = true;
+    try {
+        for (const name of Object.keys(JOBS)) {
+            try {
+                await runJob(name, { trigger: 'schedule' });
+            } catch (err) {
+                logger.error('Scheduler error', { job: name, error: err.message, stack: err.stack });
+            }
+        }
+    } finally {
+        ticking = false;
+    }
+}
+
+export function startScheduler() {
+    if (process.env.SCHEDULER_ENABLED === 'false') {
+        logger.info('Scheduler disabled (SCHEDULER_ENABLED=false)');
+        return;
+    }
+    if (timer) return;
+
+    timer = setInterval(tick, TICK_MS);
+    // Scripts that import the app can still exit
+    timer.unref();
+    logger.info('Scheduler started', { instance: INSTANCE_ID, jobs: Object.keys(JOBS) });
+}
+
+export function stopScheduler() {
+    clearInterval(timer);
+    timer = null;
+}
+
+/**
+ * Every job with its schedule and last run, for the admin API
+ * @returns {Promise<Object[]>}
+ */
+export async function listJobs() {
+    const docs = await ScheduledJob.find({ name: { $in: Object.keys(JOBS) } }).lean();
+    const byName = new Map(docs.map(doc => [doc.name, doc]));
+    const now = new Date();
+
+    return Object.entries(JOBS).map(([name, job]) => {
+        const doc = byName.get(name) || {};
+        return {
+            name,
+            description: job.description,
+            everyMs: job.everyMs,
+            timeoutMs: job.timeoutMs,
+            running: doc.lockedUntil > now,
+            runningOn: doc.lockedUntil > now ? doc.lockedBy : null,
+            nextRunAt: doc.nextRunAt || null,
+            lastStartedAt: doc.lastStartedAt || null,
+            lastFinishedAt: doc.lastFinishedAt || null,
+            lastDurationMs: doc.lastDurationMs ?? null,
+            lastStatus: doc.lastStatus || null,
+            lastTrigger: doc.lastTrigger || null,
+            lastResult: doc.lastResult ?? null,
+            lastError: doc.lastError || null,
+            runCount: doc.runCount || 0,
+            failureCount: doc.failureCount || 0
+        };
+    });
+}
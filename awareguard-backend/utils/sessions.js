@@ -0,0 +1,158 @@
+// awareguard-backend/utils/sessions.js
+import crypto from 'crypto';
+
+/**
+ * Refresh-token sessions stored on User.refreshTokens
+ *
+ * Each sign-in starts a session (a token "family"). Rotating the refresh
+ * token keeps the family but replaces the hash; the replaced hashes are kept
+ * so that presenting one again is recognised as reuse (the token was copied)
+ * and only that family is revoked.
+ */
+
+export const REFRESH_TOKEN_TTL_MS = 30 * 24 * 60 * 60 * 1000; // 30 days
+const MAX_SESSIONS = 20;
+const MAX_PREVIOUS_HASHES = 5;
+
+// Two tabs refreshing at the same moment both present the same token; the
+// slower one must not be treated as theft
+export const REUSE_GRACE_MS = 10 * 1000;
+
+export function createRefreshToken() {
+    return crypto.randomBytes(32).toString('hex');
+}
+
+export function hashRefreshToken(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+/**
+ * Human-readable device label from a user agent, e.g. "Chrome on Windows"
+ * @param {string} userAgent
+ * @returns {string}
+ */
+export function describeDevice(userAgent = '') {
+    const ua = userAgent || '';
+    const browser =
+        /Edg\//.test(ua) ? 'Edge' :
+        /OPR\/|Opera/.test(ua) ? 'Opera' :
+        /Firefox\//.test(ua) ? 'Firefox' :
+        /Chrome\//.test(ua) ? 'Chrome' :
+        /Safari\//.test(ua) ? 'Safari' :
+        null;
+    const os =
+        /iPhone|iPad|iPod/.test(ua) ? 'iOS' :
+        /Android/.test(ua) ? 'Android' :
+        /Windows/.test(ua) ? 'Windows' :
+        /Mac OS X|Macintosh/.test(ua) ? 'macOS' :
+        /Linux/.test(ua) ? 'Linux' :
+        null;
+
+    if (browser && os) return `${browser} on ${os}`;
+    return browser || os || 'Unknown device';
+}
+
+// Drop expired sessions and keep at most MAX_SESSIONS (least recently used go first)
+function pruneSessions(user) {
+    const now = new Date();
+    user.refreshTokens = user.refreshTokens
+        .filter(t => t.expiresAt > now)
+        .sort((a, b) => (b.lastUsedAt || b.createdAt) - (a.lastUsedAt || a.createdAt))
+        .slice(0, MAX_SESSIONS);
+}
+
+/**
+ * Start a new session on the user (caller must save)
+ * @param {Object} user - User document
+ * @param {Object} req - Express request (device info)
+ * @returns {Object} { refreshToken, sessionId }
+ */
+export function startSession(user, req) {
+    const refreshToken = createRefreshToken();
+    const sessionId = crypto.randomBytes(16).toString('hex');
+    const userAgent = (req.get('user-agent') || '').substring(0, 300);
+
+    pruneSessions(user);
+    user.refreshTokens.push({
+        tokenHash: hashRefreshToken(refreshToken),
+        familyId: sessionId,
+        expiresAt: new Date(Date.now() + REFRESH_TOKEN_TTL_MS),
+        lastUsedAt: new Date(),
+        userAgent,
+        device: describeDevice(userAgent),
+        ipAddress: req.ip
+    });
+
+    return { refreshToken, sessionId };
+}
+
+/**
+ * Find the session a presented refresh token belongs to
+ * @param {Object} user - User document
+ * @param {string} tokenHash - Hash of the presented token
+ * @returns {Object} { session, reused } — reused is true when the hash was already rotated out
+ */
+export function findSession(user, tokenHash) {
+    const current = user.refreshTokens.find(t => t.tokenHash === tokenHash);
+    if (current) return { session: current, reused: false };
+
+    const rotated = user.refreshTokens.find(t => t.previousTokenHashes?.includes(tokenHash));
+    return { session: rotated || null, reused: !!rotated };
+}
+
+/**
+ * Replace a session's refresh token (caller must save)
+ * @param {Object} session - Entry from user.refreshTokens
+ * @param {Object} req - Express request (device info)
+ * @returns {string} New refresh token
+ */
+export function rotateSession(session, req) {
+    const refreshToken = createRefreshToken();
+
+    // Sessions created before device tracking have no family yet
+    session.familyId ||= crypto.randomBytes(16).toString('hex');
+    session.previousTokenHashes = [session.tokenHash, ...(session.previousTokenHashes || [])].slice(0, MAX_PREVIOUS_HASHES);
+    session.tokenHash = hashRefreshToken(refreshToken);
+    session.rotatedAt = new Date();
+    session.lastUsedAt = new Date();
+    session.expiresAt = new Date(Date.now() + REFRESH_TOKEN_TTL_MS);
+    session.ipAddress = req.ip;
+
+    return refreshToken;
+}
+
+// Older entries have no familyId; fall back to the subdocument id
+const sessionIdOf = (entry) => entry.familyId || String(entry._id);
+
+/**
+ * Remove one session (caller must save)
+ * @returns {boolean} Whether a session was removed
+ */
+export function revokeSession(user, sessionId) {
+    const before = user.refreshTokens.length;
+    user.refreshTokens = user.refreshTokens.filter(t => sessionIdOf(t) !== sessionId);
+    return user.refreshTokens.length < before;
+}
+
+/**
+ * Public view of the user's active sessions
+ * @param {Object} user - User document
+ * @param {string} [currentSessionId] - Session of the requesting access token
+ * @returns {Object[]}
+ */
+export function listSessions(user, currentSessionId = null) {
+    const now = new Date();
+    return user.refreshTokens
+        .filter(t => t.expiresAt > now)
+        .sort((a, b) => (b.lastUsedAt || b.createdAt) - (a.lastUsedAt || a.createdAt))
+        .map(t => ({
+            id: sessionIdOf(t),
+            device: t.device || describeDevice(t.userAgent),
+            userAgent: t.userAgent || null,
+            ipAddress: t.ipAddress || null,
+            createdAt: t.createdAt,
+            lastUsedAt: t.lastUsedAt || t.createdAt,
+            expiresAt: t.expiresAt,
+            current: !!currentSessionId && sessionIdOf(t) === currentSessionId
+        }));
+}
@@ -0,0 +1,945 @@
+// awareguard-backend/utils/subscriptions.js
+import { Plan } from '../models/Plan.js';
+import { User } from '../models/User.js';
+import { PaymentTransaction } from '../models/PaymentTransaction.js';
+import { TeamInvite } from '../models/TeamInvite.js';
+import { paystackRequest, newPaymentReference } from './paystack.js';
+import { sendSubscriptionEmail } from './emailService.js';
+import logger from './logger.js';
+
+/**
+ * Subscription service
+ *
+ * Prices, billing periods and features come from the Plan catalog; routes
+ * never hard-code plan names or amounts. User.subscriptionPlan and
+ * PaymentTransaction.plan hold a Plan code.
+ *
+ * Subscriptions renew one of two ways (User.billing.renewedBy):
+ * - 'app': processSubscriptionRenewals charges the card authorization saved
+ *   from the last payment when the period ends, retrying failed charges
+ * - 'paystack': the plan has a paystackPlanCode, Paystack charges on its own
+ *   schedule and the webhook handlers below keep the user in sync
+ * Either way a failed renewal leaves the user premium until billing.graceEndsAt.
+ *
+ * Plans with more than one seat are team plans: the subscriber invites
+ * members, who get the plan while the subscriber has access (TEAM PLANS below).
+ */
+
+export const DEFAULT_CURRENCY = 'NGN';
+
+const DAY = 24 * 60 * 60 * 1000;
+
+// Access kept after a renewal fails, while retries run
+export const SUBSCRIPTION_GRACE_DAYS = parseInt(process.env.SUBSCRIPTION_GRACE_DAYS, 10) || 3;
+
+// Charges per renewal, the first one included, before giving up
+export const RENEWAL_MAX_ATTEMPTS = parseInt(process.env.RENEWAL_MAX_ATTEMPTS, 10) || 3;
+const RENEWAL_RETRY_HOURS = parseInt(process.env.RENEWAL_RETRY_HOURS, 10) || 24;
+
+// Days before the period ends to send the renewal (or expiry) reminder
+const RENEWAL_REMINDER_DAYS = parseInt(process.env.RENEWAL_REMINDER_DAYS, 10) || 3;
+
+// Seeded into an empty catalog so checkout works on a fresh database
+const DEFAULT_PLANS = [
+    {
+        code: 'monthly',
+        name: 'Premium Monthly',
+        interval: 'month',
+        intervalCount: 1,
+        prices: [{ currency: 'NGN', amount: 500000 }], // ₦5,000
+        features: ['premium-modules'],
+        sortOrder: 10
+    },
+    {
+        code: 'annual',
+        name: 'Premium Annual',
+        interval: 'year',
+        intervalCount: 1,
+        prices: [{ currency: 'NGN', amount: 5000000 }], // ₦50,000
+        features: ['premium-modules'],
+        sortOrder: 20
+    }
+];
+
+/**
+ * Create the default plans when the catalog is empty (safe to re-run)
+ * @returns {Promise<Object>} { created }
+ */
+export async function seedDefaultPlans() {
+    if (await Plan.estimatedDocumentCount() > 0) return { created: 0 };
+
+    await Plan.insertMany(DEFAULT_PLANS);
+    logger.info('Default plans created', { plans: DEFAULT_PLANS.map(p => p.code) });
+    return { created: DEFAULT_PLANS.length };
+}
+
+export function listActivePlans() {
+    return Plan.find({ active: true }).sort({ sortOrder: 1, createdAt: 1 }).lean();
+}
+
+/**
+ * @param {string} code - Plan code
+ * @param {Object} [options]
+ * @param {boolean} [options.activeOnly] - Ignore plans that can no longer be bought
+ */
+export function findPlan(code, { activeOnly = false } = {}) {
+    if (typeof code !== 'string' || !code) return null;
+    return Plan.findOne({ code: code.toLowerCase(), ...(activeOnly && { active: true }) }).lean();
+}
+
+/**
+ * Price of a plan in minor units
+ * @returns {number|null} null when the plan has no price in that currency
+ */
+export function priceFor(plan, currency = DEFAULT_CURRENCY) {
+    return plan.prices.find(p => p.currency === currency)?.amount ?? null;
+}
+
+// Same day of the month `months` later, or the last day of a shorter month
+// (Jan 31 + 1 month is Feb 28/29, not Mar 3). UTC, so the server's time zone
+// doesn't move billing dates.
+function addMonths(date, months) {
+    const result = new Date(date);
+    const day = result.getUTCDate();
+    result.setUTCDate(1);
+    result.setUTCMonth(result.getUTCMonth() + months);
+    const lastDay = new Date(Date.UTC(result.getUTCFullYear(), result.getUTCMonth() + 1, 0)).getUTCDate();
+    result.setUTCDate(Math.min(day, lastDay));
+    return result;
+}
+
+/**
+ * End of one billing period starting at `from`
+ * @param {Object} plan
+ * @param {Date} [from]
+ * @returns {Date}
+ */
+export function computeExpiry(plan, from = new Date()) {
+    const start = new Date(from);
+    const count = plan.intervalCount || 1;
+
+    if (plan.interval === 'day') return new Date(start.getTime() + count * DAY);
+    if (plan.interval === 'week') return new Date(start.getTime() + 7 * count * DAY);
+    if (plan.interval === 'month') return addMonths(start, count);
+    if (plan.interval === 'year') return addMonths(start, 12 * count);
+    throw new Error(`Unknown plan interval: ${plan.interval}`);
+}
+
+/**
+ * Last moment the user keeps premium access: the end of the paid period, or
+ * the end of the grace period while a renewal is charged and retried
+ * @param {Object} user - User document or lean object
+ * @returns {Date|null} null when the subscription has no end date
+ */
+export function subscriptionAccessEndsAt(user) {
+    if (!user.subscriptionExpiresAt) return null;
+    const expiresAt = new Date(user.subscriptionExpiresAt);
+    const billing = user.billing || {};
+
+    if (billing.graceEndsAt) return new Date(Math.max(expiresAt, new Date(billing.graceEndsAt)));
+    // Renewal due but no failure recorded yet (charge in flight, or Paystack hasn't charged)
+    if (billing.autoRenew) return new Date(expiresAt.getTime() + SUBSCRIPTION_GRACE_DAYS * DAY);
+    return expiresAt;
+}
+
+export function hasSubscriptionAccess(user) {
+    if (!user.isPremium) return false;
+    const endsAt = subscriptionAccessEndsAt(user);
+    return !endsAt || new Date(endsAt) > new Date();
+}
+
+/**
+ * Start or extend a user's subscription after a successful payment.
+ * Paying while still subscribed (or in the grace period) adds a period to the
+ * current expiry, so renewals keep the same billing date.
+ * @param {string} userId
+ * @param {Object} plan - Plan document
+ * @param {Object} payment - { reference, amount, currency, authorization, customer }
+ *   (amount in minor units; authorization and customer as sent by Paystack)
+ * @returns {Promise<Object>} Updated user
+ */
+export async function activateSubscription(userId, plan, { reference, amount, currency = DEFAULT_CURRENCY, authorization, customer }) {
+    const user = await User.findById(userId).select('isPremium subscriptionExpiresAt billing');
+    if (!user) throw new Error(`User not found: ${userId}`);
+
+    const now = new Date();
+    const from = hasSubscriptionAccess(user) && user.subscriptionExpiresAt ? user.subscriptionExpiresAt : now;
+    let expiresAt = computeExpiry(plan, from);
+    if (expiresAt <= now) expiresAt = computeExpiry(plan, now);
+
+    const update = {
+        isPremium: true,
+        subscriptionPlan: plan.code,
+        subscriptionExpiresAt: expiresAt,
+        subscriptionStartedAt: now,
+        paystackReference: reference,
+        lastPaymentAmount: amount / 100, // Store in major units (Naira)
+        'billing.status': 'active',
+        'billing.renewedBy': plan.paystackPlanCode ? 'paystack' : 'app',
+        'billing.currency': currency,
+        'billing.failedAttempts': 0,
+        'billing.nextAttemptAt': null,
+        'billing.graceEndsAt': null
+    };
+
+    // A new card payment turns renewal (back) on; bank transfers and USSD leave nothing to charge
+    if (authorization?.reusable) {
+        update['billing.autoRenew'] = true;
+        update['billing.cancelAtPeriodEnd'] = false;
+        update['billing.authorizationCode'] = authorization.authorization_code;
+        update['billing.card'] = {
+            brand: authorization.brand || authorization.card_type,
+            last4: authorization.last4,
+            expMonth: authorization.exp_month,
+            expYear: authorization.exp_year
+        };
+    } else if (plan.paystackPlanCode) {
+        update['billing.autoRenew'] = true;
+        update['billing.cancelAtPeriodEnd'] = false;
+    }
+    if (customer?.customer_code) update['billing.paystackCustomerCode'] = customer.customer_code;
+
+    return User.findByIdAndUpdate(
+        userId,
+        update,
+        { new: true, select: 'id email isPremium subscriptionPlan subscriptionExpiresAt' }
+    );
+}
+
+/**
+ * Settle our record for a transaction Paystack reports as paid. A record we
+ * had given up on as failed is settled too: the customer was charged, so the
+ * payment must be credited (and is logged, in case it now needs refunding).
+ * @param {Object} record - PaymentTransaction in any status
+ * @param {Object} transaction - Paystack transaction (verify/charge response or webhook data)
+ * @param {string} source - 'verify', 'webhook' or 'renewal'
+ * @returns {Promise<Object>} { ok, reason, alreadyProcessed }
+ */
+export async function reconcileTransaction(record, transaction, source) {
+    if (record.status === 'success') return { ok: true, alreadyProcessed: true };
+
+    if (transaction.status !== 'success') {
+        return { ok: false, reason: 'Payment was not successful' };
+    }
+    if (transaction.amount !== record.amount || (transaction.currency && transaction.currency !== record.currency)) {
+        logger.warn('Payment amount mismatch', { expected: record.amount, actual: transaction.amount, reference: record.reference });
+        return { ok: false, reason: 'Payment amount mismatch' };
+    }
+
+    // Only one of verify/webhook/renewal may settle the record
+    const settled = await PaymentTransaction.findOneAndUpdate(
+        { _id: record._id, status: { $in: ['pending', 'failed'] } },
+        { status: 'success', source, paidAt: transaction.paid_at || new Date(), processedAt: new Date(), paystackData: transaction },
+        { new: true }
+    );
+    if (!settled) return { ok: true, alreadyProcessed: true };
+    if (record.status === 'failed') {
+        logger.warn('Payment marked failed was paid after all; crediting it', { userId: settled.userId, reference: settled.reference, source });
+    }
+
+    // Plans may be deactivated after checkout; the purchase still counts
+    const plan = await findPlan(settled.plan);
+    if (!plan) throw new Error(`Plan ${settled.plan} no longer exists (reference ${settled.reference})`);
+    await activateSubscription(settled.userId, plan, {
+        reference: settled.reference,
+        amount: settled.amount,
+        currency: settled.currency,
+        authorization: transaction.authorization,
+        customer: transaction.customer
+    });
+    logger.info('Payment reconciled and premium activated', { userId: settled.userId, reference: settled.reference, plan: settled.plan, source });
+    return { ok: true, alreadyProcessed: false };
+}
+
+/**
+ * What the user's subscription, or their seat on a team plan, currently grants
+ * @param {Object} user - User document or lean object (with teamOwnerId)
+ * @returns {Promise<Object>} { active, plan, features, team }
+ */
+export async function getEntitlements(user) {
+    const ownAccess = hasSubscriptionAccess(user);
+    const team = ownAccess ? null : await findTeamAccess(user);
+    const plan = ownAccess ? await findPlan(user.subscriptionPlan) : team?.plan;
+
+    return {
+        active: ownAccess || !!team,
+        plan: plan ? { code: plan.code, name: plan.name, interval: plan.interval, intervalCount: plan.intervalCount, seats: plan.seats || 1 } : null,
+        features: plan?.features || [],
+        // Set when access comes from a seat on someone else's team plan
+        team: team ? { ownerName: team.owner.name, ownerEmail: team.owner.email } : null
+    };
+}
+
+// Premium content: the user's own subscription or a seat on a team plan
+export async function hasPremiumAccess(user) {
+    return hasSubscriptionAccess(user) || !!(await findTeamAccess(user));
+}
+
+// Public view of a plan for pricing pages
+export function toPublicPlan(plan) {
+    return {
+        code: plan.code,
+        name: plan.name,
+        description: plan.description,
+        interval: plan.interval,
+        intervalCount: plan.intervalCount,
+        prices: plan.prices,
+        features: plan.features,
+        seats: plan.seats || 1
+    };
+}
+
+// ===== TEAM PLANS =====
+//
+// The subscriber (owner) invites email addresses; an invitation holds a seat
+// until it is accepted or expires, and accepting sets the member's
+// User.teamOwnerId. Members get the owner's plan while the owner has access
+// (including the grace period) and lose it when the owner's does; billing
+// always stays with the owner.
+
+const TEAM_INVITE_DAYS = 7;
+
+export function isTeamPlan(plan) {
+    return (plan?.seats || 1) > 1;
+}
+
+// The owner's plan when it is a team plan they currently have access to
+async function findOwnedTeamPlan(owner) {
+    if (!hasSubscriptionAccess(owner)) return null;
+    const plan = await findPlan(owner.subscriptionPlan);
+    return isTeamPlan(plan) ? plan : null;
+}
+
+/**
+ * The team subscription a member's access comes from
+ * @param {Object} user - User document or lean object (with teamOwnerId)
+ * @returns {Promise<Object|null>} { owner, plan }, or null without a seat that grants access
+ */
+export async function findTeamAccess(user) {
+    if (!user.teamOwnerId) return null;
+
+    const owner = await User.findById(user.teamOwnerId).select('name email isPremium subscriptionPlan subscriptionExpiresAt billing').lean();
+    const plan = owner ? await findOwnedTeamPlan(owner) : null;
+    return plan ? { owner, plan } : null;
+}
+
+// The owner, members and open invitations each take a seat
+async function countSeatsUsed(ownerId) {
+    const [members, invites] = await Promise.all([
+        User.countDocuments({ teamOwnerId: ownerId }),
+        TeamInvite.countDocuments({ ownerId, expiresAt: { $gt: new Date() } })
+    ]);
+    return 1 + members + invites;
+}
+
+/**
+ * The owner's team. Members are listed even after the owner's access ends,
+ * so they can still be removed.
+ * @param {Object} owner - User document
+ * @returns {Promise<Object|null>} { active, plan, seats, seatsUsed, members, invites }, or null without a team
+ */
+export async function getTeam(owner) {
+    const plan = await findOwnedTeamPlan(owner);
+    const [members, invites] = await Promise.all([
+        User.find({ teamOwnerId: owner._id }).select('name email').lean(),
+        TeamInvite.find({ ownerId: owner._id, expiresAt: { $gt: new Date() } }).sort({ createdAt: 1 }).lean()
+    ]);
+    if (!plan && members.length === 0 && invites.length === 0) return null;
+
+    return {
+        active: !!plan,
+        plan: plan ? { code: plan.code, name: plan.name } : null,
+        seats: plan?.seats || 1,
+        seatsUsed: 1 + members.length + invites.length,
+        members: members.map(member => ({ id: member._id, name: member.name, email: member.email })),
+        invites: invites.map(invite => ({ id: invite._id, email: invite.email, expiresAt: invite.expiresAt }))
+    };
+}
+
+/**
+ * Invite an email address to a seat on the owner's team plan and email it
+ * @param {Object} owner - User document
+ * @param {string} email - Lowercased address
+ * @returns {Promise<Object>} { ok, reason, invite } - reason 'not_team_plan', 'self', 'already_member', 'already_invited' or 'no_seats'
+ */
+export async function inviteTeamMember(owner, email) {
+    const plan = await findOwnedTeamPlan(owner);
+    if (!plan) return { ok: false, reason: 'not_team_plan' };
+    if (email === owner.email) return { ok: false, reason: 'self' };
+    if (await User.exists({ email, teamOwnerId: owner._id })) return { ok: false, reason: 'already_member' };
+    if (await TeamInvite.exists({ ownerId: owner._id, email, expiresAt: { $gt: new Date() } })) return { ok: false, reason: 'already_invited' };
+    if (await countSeatsUsed(owner._id) >= plan.seats) return { ok: false, reason: 'no_seats' };
+
+    // Upsert: an expired invitation the TTL monitor hasn't removed yet is renewed
+    const invite = await TeamInvite.findOneAndUpdate(
+        { ownerId: owner._id, email },
+        { $set: { expiresAt: new Date(Date.now() + TEAM_INVITE_DAYS * DAY) } },
+        { upsert: true, new: true }
+    );
+    logger.info('Team invitation sent', { ownerId: owner._id, inviteId: invite._id, plan: plan.code });
+
+    const invitee = await User.findOne({ email }).select('name').lean();
+    sendSubscriptionEmail(email, invitee?.name || 'there', 'team-invite', { planName: plan.name, ownerName: owner.name || owner.email, days: TEAM_INVITE_DAYS })
+        .catch(err => logger.error('Failed to send team invitation email', { inviteId: invite._id, error: err.message }));
+
+    return { ok: true, invite };
+}
+
+export async function revokeTeamInvite(owner, inviteId) {
+    const { deletedCount } = await TeamInvite.deleteOne({ _id: inviteId, ownerId: owner._id });
+    return deletedCount > 0;
+}
+
+/**
+ * Open invitations addressed to the user's email
+ * @param {Object} user - User document
+ * @returns {Promise<Object[]>}
+ */
+export async function listTeamInvitesFor(user) {
+    const invites = await TeamInvite.find({ email: user.email, expiresAt: { $gt: new Date() } })
+        .populate('ownerId', 'name email')
+        .lean();
+    return invites.map(invite => ({
+        id: invite._id,
+        ownerName: invite.ownerId?.name || invite.ownerId?.email || null,
+        expiresAt: invite.expiresAt
+    }));
+}
+
+/**
+ * Take the seat an invitation holds. The invitation must be addressed to the
+ * user's email, which the caller has checked is verified.
+ * @param {Object} user - User document
+ * @param {string} inviteId
+ * @returns {Promise<Object>} { ok, reason, ownerId } - reason 'already_in_team', 'not_found' or 'not_team_plan'
+ */
+export async function acceptTeamInvite(user, inviteId) {
+    if (user.teamOwnerId) return { ok: false, reason: 'already_in_team' };
+
+    const invite = await TeamInvite.findOneAndDelete({ _id: inviteId, email: user.email, expiresAt: { $gt: new Date() } });
+    if (!invite || invite.ownerId.equals(user._id)) return { ok: false, reason: 'not_found' };
+
+    const owner = await User.findById(invite.ownerId).select('isPremium subscriptionPlan subscriptionExpiresAt billing').lean();
+    if (!owner || !(await findOwnedTeamPlan(owner))) return { ok: false, reason: 'not_team_plan' };
+
+    // Conditional, so accepting two invitations at once can't join both teams
+    const joined = await User.updateOne({ _id: user._id, teamOwnerId: null }, { $set: { teamOwnerId: owner._id } });
+    if (!joined.modifiedCount) return { ok: false, reason: 'already_in_team' };
+
+    logger.info('Team member joined', { userId: user._id, ownerId: owner._id });
+    return { ok: true, ownerId: owner._id };
+}
+
+export async function removeTeamMember(owner, memberId) {
+    const { modifiedCount } = await User.updateOne({ _id: memberId, teamOwnerId: owner._id }, { $set: { teamOwnerId: null } });
+    if (modifiedCount) logger.info('Team member removed', { userId: memberId, ownerId: owner._id });
+    return modifiedCount > 0;
+}
+
+export async function leaveTeam(user) {
+    const { modifiedCount } = await User.updateOne({ _id: user._id, teamOwnerId: { $ne: null } }, { $set: { teamOwnerId: null } });
+    if (modifiedCount) logger.info('Team member left', { userId: user._id, ownerId: user.teamOwnerId });
+    return modifiedCount > 0;
+}
+
+// ===== RENEWALS =====
+
+function formatAmount(amount, currency) {
+    return new Intl.NumberFormat('en-NG', { style: 'currency', currency }).format(amount / 100);
+}
+
+// Values for the subscription emails
+function noticeDetails(user, plan, date) {
+    const currency = user.billing?.currency || DEFAULT_CURRENCY;
+    const amount = plan ? priceFor(plan, currency) : null;
+    return {
+        planName: plan?.name || 'Premium',
+        date: new Date(date).toDateString(),
+        amount: amount === null ? 'your subscription fee' : formatAmount(amount, currency),
+        card: user.billing?.card?.last4
+    };
+}
+
+function notify(user, kind, details) {
+    sendSubscriptionEmail(user.email, user.name, kind, details).catch(err =>
+        logger.error('Failed to send subscription email', { userId: user._id, kind, error: err.message })
+    );
+}
+
+/**
+ * Count a failed renewal charge: start the grace period, schedule the next
+ * retry and tell the user. Paystack-managed subscriptions are not retried here.
+ * @param {Object} user - User document
+ * @param {string} reason - For the logs
+ */
+async function recordRenewalFailure(user, reason) {
+    const now = new Date();
+    const attempts = (user.billing.failedAttempts || 0) + 1;
+    const retrying = user.billing.renewedBy === 'app' && attempts < RENEWAL_MAX_ATTEMPTS;
+    const graceEndsAt = user.billing.graceEndsAt || new Date(now.getTime() + SUBSCRIPTION_GRACE_DAYS * DAY);
+
+    await User.updateOne(
+        { _id: user._id },
+        {
+            $set: {
+                'billing.status': 'past_due',
+                'billing.failedAttempts': attempts,
+                'billing.nextAttemptAt': retrying ? new Date(now.getTime() + RENEWAL_RETRY_HOURS * 60 * 60 * 1000) : null,
+                'billing.graceEndsAt': graceEndsAt
+            }
+        }
+    );
+    logger.warn('Subscription renewal failed', { userId: user._id, attempt: attempts, retrying, reason });
+
+    const plan = await findPlan(user.subscriptionPlan);
+    notify(user, 'renewal-failed', { ...noticeDetails(user, plan, graceEndsAt), retrying });
+}
+
+// Final outcomes of a Paystack charge; any other status may still turn into a success
+const FAILED_CHARGE_STATUSES = ['failed', 'abandoned', 'reversed'];
+
+/**
+ * Settle the user's last renewal charge if Paystack had not finished it, so
+ * the card is never charged twice for one period. The charge only counts as
+ * failed once Paystack says so; until then nothing new is charged.
+ * @returns {Promise<string>} 'none' (nothing outstanding), 'renewed', 'pending' or 'failed'
+ */
+async function settlePendingRenewal(user) {
+    const pending = await PaymentTransaction.findOne({ userId: user._id, source: 'renewal', status: 'pending' }).sort({ createdAt: -1 });
+    if (!pending) return 'none';
+
+    const response = await paystackRequest(`/transaction/verify/${encodeURIComponent(pending.reference)}`);
+
+    let reason;
+    if (!response.status) {
+        // Anything but "not found" (e.g. Paystack having trouble) says nothing about the charge
+        if (!/not found/i.test(response.message || '')) {
+            logger.warn('Could not verify renewal charge', { userId: user._id, reference: pending.reference, message: response.message });
+            return 'pending';
+        }
+        reason = 'Renewal charge never reached Paystack';
+    } else if (response.data.status === 'success') {
+        const result = await reconcileTransaction(pending, response.data, 'renewal');
+        if (result.ok) return 'renewed';
+        reason = result.reason;
+    } else if (FAILED_CHARGE_STATUSES.includes(response.data.status)) {
+        reason = response.data.gateway_response || `Renewal charge ${response.data.status}`;
+    } else {
+        if (Date.now() - pending.createdAt > RENEWAL_RETRY_HOURS * 60 * 60 * 1000) {
+            logger.warn('Renewal charge still unsettled', { userId: user._id, reference: pending.reference, status: response.data.status });
+        }
+        return 'pending';
+    }
+
+    await PaymentTransaction.updateOne({ _id: pending._id, status: 'pending' }, { status: 'failed' });
+    await recordRenewalFailure(user, reason);
+    return 'failed';
+}
+
+/**
+ * Charge the saved card for the next period
+ * @param {Object} user - User document including billing.authorizationCode
+ * @returns {Promise<string>} 'renewed', 'pending' (settled later by the webhook) or 'failed'
+ */
+async function renewSubscription(user) {
+    const previous = await settlePendingRenewal(user);
+    if (previous !== 'none') return previous;
+
+    const plan = await findPlan(user.subscriptionPlan);
+    const currency = user.billing.currency || DEFAULT_CURRENCY;
+    const amount = plan ? priceFor(plan, currency) : null;
+    if (amount === null || !user.billing.authorizationCode) {
+        await recordRenewalFailure(user, !plan ? 'Plan no longer exists' : amount === null ? `Plan has no ${currency} price` : 'No saved card');
+        return 'failed';
+    }
+
+    // Stored first, like checkout, so the charge.success webhook finds it
+    const record = await PaymentTransaction.create({
+        reference: newPaymentReference(),
+        userId: user._id,
+        amount,
+        currency,
+        plan: plan.code,
+        status: 'pending',
+        source: 'renewal'
+    });
+
+    const response = await paystackRequest('/transaction/charge_authorization', {
+        method: 'POST',
+        body: JSON.stringify({
+            authorization_code: user.billing.authorizationCode,
+            email: user.email,
+            amount,
+            currency,
+            reference: record.reference,
+            metadata: { userId: String(user._id), plan: plan.code, renewal: true }
+        })
+    });
+
+    // Without a definite answer (an error, or 'pending' while the bank
+    // responds) the charge may still go through: leave the record pending for
+    // the webhook or the next run's settlePendingRenewal
+    if (!response.status) {
+        logger.warn('Renewal charge request failed', { userId: user._id, reference: record.reference, message: response.message });
+        return 'pending';
+    }
+    let reason;
+    if (response.data.status === 'success') {
+        const result = await reconcileTransaction(record, response.data, 'renewal');
+        if (result.ok) return 'renewed';
+        reason = result.reason;
+    } else if (FAILED_CHARGE_STATUSES.includes(response.data.status)) {
+        reason = response.data.gateway_response || `Renewal charge ${response.data.status}`;
+    } else {
+        return 'pending';
+    }
+
+    await PaymentTransaction.updateOne({ _id: record._id, status: 'pending' }, { status: 'failed' });
+    await recordRenewalFailure(user, reason);
+    return 'failed';
+}
+
+async function sendRenewalReminders(now) {
+    const due = await User.find({
+        isPremium: true,
+        subscriptionExpiresAt: { $gt: now, $lte: new Date(now.getTime() + RENEWAL_REMINDER_DAYS * DAY) },
+        $expr: { $ne: ['$billing.reminderSentFor', '$subscriptionExpiresAt'] }
+    }).select('email name subscriptionPlan subscriptionExpiresAt billing');
+
+    let sent = 0;
+    for (const user of due) {
+        // Claimed before sending so overlapping runs never remind twice for one period
+        const claimed = await User.updateOne(
+            { _id: user._id, 'billing.reminderSentFor': { $ne: user.subscriptionExpiresAt } },
+            { $set: { 'billing.reminderSentFor': user.subscriptionExpiresAt } }
+        );
+        if (!claimed.modifiedCount) continue;
+
+        const plan = await findPlan(user.subscriptionPlan);
+        notify(user, user.billing.autoRenew ? 'renewal-upcoming' : 'expiry-upcoming', noticeDetails(user, plan, user.subscriptionExpiresAt));
+        sent++;
+    }
+    return sent;
+}
+
+async function chargeDueRenewals(now) {
+    const due = await User.find({
+        isPremium: true,
+        subscriptionExpiresAt: { $lte: now },
+        'billing.autoRenew': true,
+        'billing.renewedBy': 'app',
+        'billing.failedAttempts': { $lt: RENEWAL_MAX_ATTEMPTS },
+        $or: [{ 'billing.nextAttemptAt': null }, { 'billing.nextAttemptAt': { $lte: now } }]
+    }).select('+billing.authorizationCode');
+
+    const counts = { renewed: 0, pending: 0, failed: 0 };
+    for (const user of due) {
+        // Claim the attempt by moving nextAttemptAt out, so an overlapping run skips this user
+        const claimed = await User.updateOne(
+            { _id: user._id, 'billing.failedAttempts': user.billing.failedAttempts, 'billing.nextAttemptAt': user.billing.nextAttemptAt },
+            { $set: { 'billing.nextAttemptAt': new Date(now.getTime() + RENEWAL_RETRY_HOURS * 60 * 60 * 1000) } }
+        );
+        if (!claimed.modifiedCount) continue;
+
+        try {
+            counts[await renewSubscription(user)]++;
+        } catch (err) {
+            counts.failed++;
+            logger.error('Subscription renewal error', { userId: user._id, error: err.message, stack: err.stack });
+        }
+    }
+    return counts;
+}
+
+// Premium users past subscriptionAccessEndsAt (keep the two in step)
+function lapsedQuery(now) {
+    return {
+        isPremium: true,
+        subscriptionExpiresAt: { $lte: now },
+        $or: [
+            { 'billing.graceEndsAt': { $lte: now } },
+            { 'billing.graceEndsAt': null, 'billing.autoRenew': { $ne: true } },
+            { 'billing.graceEndsAt': null, subscriptionExpiresAt: { $lte: new Date(now.getTime() - SUBSCRIPTION_GRACE_DAYS * DAY) } }
+        ]
+    };
+}
+
+async function expireLapsedSubscriptions(now, scope = {}) {
+    const filter = { ...lapsedQuery(now), ...scope };
+    const lapsed = await User.find(filter).select('email name subscriptionPlan billing');
+
+    let expired = 0;
+    for (const user of lapsed) {
+        const result = await User.updateOne(
+            { ...filter, _id: user._id },
+            {
+                $set: {
+                    isPremium: false,
+                    subscriptionPlan: 'none',
+                    'billing.status': 'expired',
+                    'billing.autoRenew': false,
+                    'billing.cancelAtPeriodEnd': false,
+                    'billing.failedAttempts': 0,
+                    'billing.nextAttemptAt': null,
+                    'billing.graceEndsAt': null
+                }
+            }
+        );
+        if (!result.modifiedCount) continue;
+
+        logger.info('Subscription expired', { userId: user._id, plan: user.subscriptionPlan });
+        notify(user, 'expired', noticeDetails(user, await findPlan(user.subscriptionPlan), now));
+        expired++;
+    }
+    return expired;
+}
+
+/**
+ * End one user's subscription if it has lapsed (for reads that can't wait for the next run)
+ * @returns {Promise<boolean>} true when the subscription was ended now
+ */
+export async function expireLapsedSubscription(userId) {
+    return await expireLapsedSubscriptions(new Date(), { _id: userId }) > 0;
+}
+
+/**
+ * Send reminders, charge renewals that are due (and retries), and end
+ * subscriptions whose grace period is over. Safe to re-run; meant to run
+ * about hourly.
+ * @returns {Promise<Object>} { reminded, renewed, pending, failed, expired }
+ */
+export async function processSubscriptionRenewals() {
+    const now = new Date();
+    const reminded = await sendRenewalReminders(now);
+    const charges = await chargeDueRenewals(now);
+    const expired = await expireLapsedSubscriptions(now);
+
+    return { reminded, ...charges, expired };
+}
+
+/**
+ * Turn renewal off: disables the user's Paystack subscription, if any, and
+ * stops charging the saved card. The current period is not affected.
+ * @param {string} userId
+ */
+export async function stopRecurringBilling(userId) {
+    const user = await User.findById(userId).select('+billing.paystackEmailToken');
+    if (!user) return;
+
+    const { paystackSubscriptionCode: code, paystackEmailToken: token } = user.billing;
+    if (code && token) {
+        const response = await paystackRequest('/subscription/disable', {
+            method: 'POST',
+            body: JSON.stringify({ code, token })
+        });
+        // Keep the codes so the disable can be retried; Paystack would otherwise keep charging
+        if (!response.status) throw new Error(`Could not disable Paystack subscription ${code}: ${response.message}`);
+    }
+
+    await User.updateOne(
+        { _id: userId },
+        {
+            $set: {
+                'billing.autoRenew': false,
+                'billing.nextAttemptAt': null,
+                'billing.paystackSubscriptionCode': null,
+                'billing.paystackEmailToken': null
+            }
+        }
+    );
+}
+
+// ===== CANCELLATION =====
+
+const CANCELLATION_REASON_MAX_LENGTH = 500;
+
+/**
+ * Cancel at the end of the paid period: renewals stop now, premium access
+ * continues until subscriptionExpiresAt. A renewal being retried is given up,
+ * so a past-due subscription ends at the next run.
+ * @param {Object} user - User document
+ * @param {string} [reason] - Why the user cancelled
+ */
+export async function cancelSubscriptionAtPeriodEnd(user, reason) {
+    await stopRecurringBilling(user._id);
+
+    const now = new Date();
+    const cancellationReason = typeof reason === 'string' && reason.trim()
+        ? reason.trim().slice(0, CANCELLATION_REASON_MAX_LENGTH)
+        : null;
+
+    await User.updateOne(
+        { _id: user._id },
+        {
+            $set: {
+                'billing.cancelAtPeriodEnd': true,
+                'billing.cancelledAt': now,
+                'billing.cancellationReason': cancellationReason,
+                'billing.failedAttempts': 0,
+                'billing.nextAttemptAt': null,
+                'billing.graceEndsAt': null
+            },
+            $push: {
+                paymentHistory: { reference: user.paystackReference, plan: user.subscriptionPlan, status: 'cancelled', reason: cancellationReason, date: now }
+            }
+        }
+    );
+    logger.info('Subscription cancelled at period end', { userId: user._id, plan: user.subscriptionPlan, endsAt: user.subscriptionExpiresAt });
+
+    const plan = await findPlan(user.subscriptionPlan);
+    notify(user, 'cancelled', noticeDetails(user, plan, user.subscriptionExpiresAt));
+}
+
+/**
+ * Undo a cancellation before the period ends: renewal restarts with the
+ * saved card, or with a new Paystack subscription starting at the current
+ * expiry for Paystack-managed plans
+ * @param {Object} user - User document including billing.authorizationCode
+ * @returns {Promise<Object>} { ok, reason } - reason 'no_payment_method' when there is nothing to renew with
+ */
+export async function resumeSubscription(user) {
+    const plan = await findPlan(user.subscriptionPlan);
+    const billingUpdate = {};
+
+    if (user.billing.renewedBy === 'paystack' && plan?.paystackPlanCode) {
+        // The old Paystack subscription was disabled on cancel and can't be re-enabled reliably
+        const response = await paystackRequest('/subscription', {
+            method: 'POST',
+            body: JSON.stringify({
+                customer: user.billing.paystackCustomerCode || user.email,
+                plan: plan.paystackPlanCode,
+                ...(user.billing.authorizationCode && { authorization: user.billing.authorizationCode }),
+                start_date: user.subscriptionExpiresAt.toISOString()
+            })
+        });
+        if (!response.status) throw new Error(`Could not restart Paystack subscription: ${response.message}`);
+
+        billingUpdate['billing.paystackSubscriptionCode'] = response.data.subscription_code;
+        billingUpdate['billing.paystackEmailToken'] = response.data.email_token;
+    } else if (!user.billing.authorizationCode || !plan) {
+        return { ok: false, reason: 'no_payment_method' };
+    }
+
+    await User.updateOne(
+        { _id: user._id },
+        {
+            $set: {
+                ...billingUpdate,
+                'billing.autoRenew': true,
+                'billing.cancelAtPeriodEnd': false,
+                'billing.cancelledAt': null,
+                'billing.cancellationReason': null
+            },
+            $push: {
+                paymentHistory: { reference: user.paystackReference, plan: user.subscriptionPlan, status: 'resumed', date: new Date() }
+            }
+        }
+    );
+    logger.info('Subscription resumed', { userId: user._id, plan: user.subscriptionPlan });
+    return { ok: true };
+}
+
+// ===== PAYSTACK SUBSCRIPTION EVENTS =====
+
+export const SUBSCRIPTION_EVENTS = ['subscription.create', 'subscription.disable', 'subscription.not_renew', 'invoice.payment_failed'];
+
+// The user a Paystack subscription or customer belongs to
+function findBillingUser({ subscriptionCode, customer }) {
+    const matches = [];
+    if (subscriptionCode) matches.push({ 'billing.paystackSubscriptionCode': subscriptionCode });
+    if (customer?.customer_code) matches.push({ 'billing.paystackCustomerCode': customer.customer_code });
+    if (customer?.email) matches.push({ email: customer.email.toLowerCase() });
+    return matches.length ? User.findOne({ $or: matches, deletedAt: null }) : null;
+}
+
+/**
+ * Apply a Paystack subscription webhook event (one of SUBSCRIPTION_EVENTS)
+ * @param {Object} event - Verified webhook payload { event, data }
+ * @returns {Promise<boolean>} false when the event is not about one of our users
+ */
+export async function handleSubscriptionEvent({ event, data }) {
+    // Invoice events nest the subscription; subscription events are the subscription
+    const subscriptionCode = event.startsWith('invoice.') ? data.subscription?.subscription_code : data.subscription_code;
+    const user = await findBillingUser({ subscriptionCode, customer: data.customer });
+    if (!user) {
+        logger.warn('Webhook: no user for subscription event', { event, subscriptionCode });
+        return false;
+    }
+
+    if (event === 'subscription.create') {
+        await User.updateOne(
+            { _id: user._id },
+            {
+                $set: {
+                    'billing.renewedBy': 'paystack',
+                    'billing.autoRenew': true,
+                    'billing.paystackSubscriptionCode': subscriptionCode,
+                    'billing.paystackEmailToken': data.email_token,
+                    ...(data.customer?.customer_code && { 'billing.paystackCustomerCode': data.customer.customer_code })
+                }
+            }
+        );
+    } else if (event === 'subscription.disable' || event === 'subscription.not_renew') {
+        // Cancelled on Paystack's side; the paid period still runs out normally
+        await User.updateOne(
+            { _id: user._id, 'billing.paystackSubscriptionCode': subscriptionCode },
+            {
+                $set: {
+                    'billing.autoRenew': false,
+                    'billing.paystackSubscriptionCode': null,
+                    'billing.paystackEmailToken': null,
+                    // not_renew: the customer cancelled from Paystack's subscription page
+                    ...(event === 'subscription.not_renew' && { 'billing.cancelAtPeriodEnd': true, 'billing.cancelledAt': new Date() })
+                }
+            }
+        );
+    } else if (event === 'invoice.payment_failed') {
+        await recordRenewalFailure(user, data.description || 'Paystack invoice payment failed');
+    }
+
+    logger.info('Webhook: subscription event applied', { event, userId: user._id, subscriptionCode });
+    return true;
+}
+
+/**
+ * Record a renewal Paystack charged for one of its subscriptions. These
+ * carry Paystack's own reference, so there is no pending record to reconcile.
+ * @param {Object} transaction - charge.success webhook data
+ * @returns {Promise<Object>} { ok, reason, alreadyProcessed }
+ */
+export async function recordPaystackSubscriptionCharge(transaction) {
+    const planCode = transaction.plan?.plan_code;
+    const plan = planCode && transaction.status === 'success' ? await Plan.findOne({ paystackPlanCode: planCode }).lean() : null;
+    if (!plan) return { ok: false, reason: 'Not a subscription charge for a known plan' };
+
+    const user = await findBillingUser({ customer: transaction.customer });
+    if (!user) return { ok: false, reason: 'No user for this customer' };
+
+    try {
+        await PaymentTransaction.create({
+            reference: transaction.reference,
+            userId: user._id,
+            amount: transaction.amount,
+            currency: transaction.currency || DEFAULT_CURRENCY,
+            plan: plan.code,
+            status: 'success',
+            source: 'webhook',
+            paidAt: transaction.paid_at || new Date(),
+            paystackData: transaction
+        });
+    } catch (err) {
+        // Unique reference: Paystack delivered this event before
+        if (err.code === 11000) return { ok: true, alreadyProcessed: true };
+        throw err;
+    }
+
+    await activateSubscription(user._id, plan, {
+        reference: transaction.reference,
+        amount: transaction.amount,
+        currency: transaction.currency || DEFAULT_CURRENCY,
+        authorization: transaction.authorization,
+        customer: transaction.customer
+    });
+    logger.info('Paystack subscription renewal recorded', { userId: user._id, reference: transaction.reference, plan: plan.code });
+    return { ok: true, alreadyProcessed: false };
+}
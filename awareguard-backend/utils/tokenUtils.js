@@ -36,3 +36,32 @@ export function createPasswordResetToken() {
         expires          // Token expiration time
     };
 }
+
+/**
+ * Generate email verification token and its hash
+ * @returns {Object} { token, hashedToken, expires }
+ */
+export function createEmailVerificationToken() {
+    const token = generateResetToken();
+    const hashedToken = hashToken(token);
+    const expires = new Date(Date.now() + 24 * 60 * 60 * 1000); // 24 hours from now
+
+    return {
+        token,           // Send this to user via email
+        hashedToken,     // Store this in database
+        expires          // Token expiration time
+    };
+}
+
+/**
+ * Generate a report tracking token and its hash
+ * @returns {Object} { token, hashedToken }
+ */
+export function createReportTrackingToken() {
+    const token = generateResetToken();
+
+    return {
+        token,                         // Return this to the reporter once
+        hashedToken: hashToken(token)  // Store this in database
+    };
+}
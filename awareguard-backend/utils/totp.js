@@ -0,0 +1,129 @@
+// awareguard-backend/utils/totp.js
+import crypto from 'crypto';
+
+/**
+ * Time-based one-time passwords (RFC 6238, SHA-1, 6 digits, 30 s steps),
+ * compatible with Google Authenticator, Authy, 1Password, etc.
+ */
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+const STEP_SECONDS = 30;
+const DIGITS = 6;
+const ISSUER = 'AwareGuard';
+
+function base32Encode(buffer) {
+    let bits = 0;
+    let value = 0;
+    let output = '';
+    for (const byte of buffer) {
+        value = (value << 8) | byte;
+        bits += 8;
+        while (bits >= 5) {
+            output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+            bits -= 5;
+        }
+    }
+    if (bits > 0) output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+    return output;
+}
+
+function base32Decode(input) {
+    const clean = input.toUpperCase().replace(/=+$/, '').replace(/\s/g, '');
+    let bits = 0;
+    let value = 0;
+    const bytes = [];
+    for (const char of clean) {
+        const index = BASE32_ALPHABET.indexOf(char);
+        if (index === -1) throw new Error('Invalid base32 secret');
+        value = (value << 5) | index;
+        bits += 5;
+        if (bits >= 8) {
+            bytes.push((value >>> (bits - 8)) & 255);
+            bits -= 8;
+        }
+    }
+    return Buffer.from(bytes);
+}
+
+/**
+ * Generate a new base32 TOTP secret (160 bits)
+ * @returns {string}
+ */
+export function generateTotpSecret() {
+    return base32Encode(crypto.randomBytes(20));
+}
+
+export function currentTimeStep(now = Date.now()) {
+    return Math.floor(now / 1000 / STEP_SECONDS);
+}
+
+/**
+ * Compute the code for a given time step
+ * @param {string} secret - Base32 secret
+ * @param {number} step - Time step counter
+ * @returns {string} Zero-padded code
+ */
+export function generateTotp(secret, step = currentTimeStep()) {
+    const counter = Buffer.alloc(8);
+    counter.writeBigUInt64BE(BigInt(step));
+
+    const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(counter).digest();
+    const offset = hmac[hmac.length - 1] & 0x0f;
+    const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+    return String(binary % 10 ** DIGITS).padStart(DIGITS, '0');
+}
+
+/**
+ * Check a code against the current step and one step either side (clock drift)
+ * @param {string} secret - Base32 secret
+ * @param {string} code - Code entered by the user
+ * @param {number} [lastUsedStep] - Step of the last accepted code; it and older steps are rejected (replay)
+ * @returns {number|null} Matching time step, or null if the code is invalid
+ */
+export function verifyTotp(secret, code, lastUsedStep = -1) {
+    const normalized = String(code || '').replace(/\s/g, '');
+    if (!/^\d{6}$/.test(normalized)) return null;
+
+    const now = currentTimeStep();
+    for (const step of [now - 1, now, now + 1]) {
+        if (step <= lastUsedStep) continue;
+        const expected = generateTotp(secret, step);
+        if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(normalized))) return step;
+    }
+    return null;
+}
+
+/**
+ * Build the otpauth:// URI shown as a QR code by the frontend
+ * @param {string} secret - Base32 secret
+ * @param {string} accountName - Usually the user's email
+ * @returns {string}
+ */
+export function buildOtpauthUri(secret, accountName) {
+    const label = encodeURIComponent(`${ISSUER}:${accountName}`);
+    const params = new URLSearchParams({
+        secret,
+        issuer: ISSUER,
+        algorithm: 'SHA1',
+        digits: String(DIGITS),
+        period: String(STEP_SECONDS)
+    });
+    return `otpauth://totp/${label}?${params}`;
+}
+
+/**
+ * Generate one-time backup codes, formatted xxxxx-xxxxx
+ * @param {number} count
+ * @returns {string[]}
+ */
+export function generateBackupCodes(count = 10) {
+    return Array.from({ length: count }, () => {
+        const raw = crypto.randomBytes(5).toString('hex');
+        return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+    });
+}
+
+// Backup codes are compared case- and dash-insensitively
+export function normalizeBackupCode(code) {
+    return String(code || '').toLowerCase().replace(/[^a-f0-9]/g, '');
+}
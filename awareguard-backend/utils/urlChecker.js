@@ -0,0 +1,283 @@
+// awareguard-backend/utils/urlChecker.js
+import { domainToUnicode } from 'url';
+
+// ===== REFERENCE DATA =====
+
+export const URL_SHORTENERS = [
+    'bit.ly', 'tinyurl.com', 'goo.gl', 't.co', 'ow.ly', 'is.gd', 'cutt.ly', 'rebrand.ly',
+    'shorturl.at', 'rb.gy', 'tiny.cc', 'buff.ly', 's.id', 'v.gd', 'shorte.st', 'bl.ink'
+];
+
+export const SUSPICIOUS_TLDS = [
+    'xyz', 'top', 'click', 'link', 'live', 'site', 'online', 'buzz', 'icu', 'rest',
+    'cam', 'gq', 'tk', 'ml', 'cf', 'ga', 'work', 'support', 'loan', 'win', 'bid'
+];
+
+// Brands commonly impersonated in our users' region (registrable domains)
+const PROTECTED_BRANDS = {
+    paypal: 'paypal.com',
+    google: 'google.com',
+    apple: 'apple.com',
+    microsoft: 'microsoft.com',
+    amazon: 'amazon.com',
+    netflix: 'netflix.com',
+    facebook: 'facebook.com',
+    instagram: 'instagram.com',
+    whatsapp: 'whatsapp.com',
+    gtbank: 'gtbank.com',
+    zenithbank: 'zenithbank.com',
+    firstbanknigeria: 'firstbanknigeria.com',
+    accessbankplc: 'accessbankplc.com',
+    ubagroup: 'ubagroup.com',
+    opay: 'opayweb.com',
+    palmpay: 'palmpay.com',
+    moniepoint: 'moniepoint.com',
+    kuda: 'kuda.com',
+    paystack: 'paystack.com',
+    flutterwave: 'flutterwave.com',
+    binance: 'binance.com',
+    dhl: 'dhl.com',
+    jumia: 'jumia.com.ng',
+    awareguard: 'awareguard.me'
+};
+
+// Other registrable domains the brands own: country sites and infrastructure
+// that would otherwise look like an imitation (google.co.uk, amazonaws.com).
+// Only domains listed here or in PROTECTED_BRANDS are trusted as the brand's.
+const BRAND_OWNED_DOMAINS = [
+    'paypal.me', 'paypalobjects.com', 'paypal.co.uk', 'paypal.de', 'paypal.fr', 'paypal.com.au',
+    'google.co.uk', 'google.de', 'google.fr', 'google.ca', 'google.com.ng', 'google.com.gh', 'google.co.za',
+    'google.co.ke', 'google.co.in', 'google.com.au', 'google.com.br',
+    'googleapis.com', 'googleusercontent.com', 'googlevideo.com', 'googlemail.com',
+    'apple.co.uk',
+    'microsoftonline.com', 'microsoft365.com',
+    'amazon.co.uk', 'amazon.de', 'amazon.fr', 'amazon.ca', 'amazon.in', 'amazon.co.za', 'amazon.com.au',
+    'amazon.com.br', 'amazonaws.com',
+    'facebookmail.com', 'facebook.net',
+    'whatsapp.net',
+    'paystack.co',
+    'dhl.de', 'dhl.co.uk',
+    'jumia.com', 'jumia.co.ke', 'jumia.com.gh'
+];
+
+const OFFICIAL_DOMAINS = new Set([...Object.values(PROTECTED_BRANDS), ...BRAND_OWNED_DOMAINS]);
+
+// Words phishing domains glue to a brand name (paypalsecure, verifygtbank)
+const PHISHING_AFFIXES = [
+    'secure', 'security', 'login', 'signin', 'verify', 'verification', 'account', 'accounts',
+    'support', 'help', 'service', 'update', 'online', 'bank', 'banking', 'wallet', 'pay',
+    'payment', 'refund', 'reward', 'rewards', 'bonus', 'promo', 'alert', 'auth', 'mobile', 'app'
+];
+
+// Two-level public suffixes we care about (not a full PSL)
+const MULTI_PART_SUFFIXES = [
+    'com.ng', 'org.ng', 'gov.ng', 'edu.ng', 'net.ng', 'ng.com',
+    'co.uk', 'org.uk', 'gov.uk', 'ac.uk',
+    'co.za', 'com.gh', 'co.ke', 'com.au', 'co.in', 'com.br'
+];
+
+// Characters that render like latin letters, and common digit swaps
+const CONFUSABLES = {
+    'а': 'a', 'е': 'e', 'о': 'o', 'р': 'p', 'с': 'c', 'х': 'x', 'у': 'y', 'і': 'i', 'ј': 'j', 'ѕ': 's',
+    'ɑ': 'a', 'ο': 'o', 'ν': 'v', 'ρ': 'p', 'τ': 't', 'ı': 'i', 'ℓ': 'l',
+    '0': 'o', '1': 'l', '3': 'e', '5': 's', '@': 'a', '$': 's'
+};
+
+const SIGNAL_WEIGHTS = {
+    invalid_url: 40,
+    lookalike_domain: 40,
+    homoglyph: 35,
+    brand_in_subdomain: 35,
+    punycode: 25,
+    ip_literal: 30,
+    credentials_in_url: 30,
+    url_shortener: 15,
+    suspicious_tld: 15,
+    excessive_subdomains: 15,
+    no_https: 5,
+    non_standard_port: 10
+};
+
+// ===== HELPERS =====
+
+function levenshtein(a, b) {
+    const dp = Array.from({ length: a.length + 1 }, (_, i) => [i]);
+    for (let j = 1; j <= b.length; j++) dp[0][j] = j;
+    for (let i = 1; i <= a.length; i++) {
+        for (let j = 1; j <= b.length; j++) {
+            dp[i][j] = Math.min(
+                dp[i - 1][j] + 1,
+                dp[i][j - 1] + 1,
+                dp[i - 1][j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+            );
+        }
+    }
+    return dp[a.length][b.length];
+}
+
+function skeleton(label) {
+    return [...label]
+        .map(ch => CONFUSABLES[ch] || ch)
+        .join('')
+        .replace(/rn/g, 'm')
+        .replace(/vv/g, 'w')
+        .replace(/-/g, '');
+}
+
+// Brand glued to a phishing word, either way round (paypalsecure, loginpaypal)
+function hasPhishingAffix(label, brand) {
+    if (brand.length < 5 || label === brand) return false;
+    if (label.startsWith(brand)) return PHISHING_AFFIXES.includes(label.slice(brand.length));
+    if (label.endsWith(brand)) return PHISHING_AFFIXES.includes(label.slice(0, -brand.length));
+    return false;
+}
+
+function isIpLiteral(host) {
+    if (/^\d{1,3}(\.\d{1,3}){3}$/.test(host)) return true;
+    if (host.startsWith('[') && host.endsWith(']')) return true; // IPv6
+    if (/^(0x[0-9a-f]+|\d{8,10})$/i.test(host)) return true;    // hex / decimal encoded IPv4
+    return false;
+}
+
+/**
+ * Normalise user input into a URL object (adds http:// when no scheme is given)
+ * @param {string} rawUrl - URL or bare domain
+ * @returns {URL|null}
+ */
+export function parseUrl(rawUrl) {
+    if (typeof rawUrl !== 'string' || !rawUrl.trim()) return null;
+    const trimmed = rawUrl.trim();
+    try {
+        const withScheme = /^[a-z][a-z0-9+.-]*:\/\//i.test(trimmed) ? trimmed : `http://${trimmed}`;
+        const parsed = new URL(withScheme);
+        if (!['http:', 'https:'].includes(parsed.protocol) || !parsed.hostname) return null;
+        return parsed;
+    } catch {
+        return null;
+    }
+}
+
+/**
+ * Get the registrable domain (eTLD+1) for a hostname
+ * @param {string} hostname - e.g. login.secure.gtbank.com.ng
+ * @returns {string} e.g. gtbank.com.ng
+ */
+export function getRegistrableDomain(hostname) {
+    const host = hostname.toLowerCase().replace(/^www\./, '').replace(/\.$/, '');
+    if (isIpLiteral(host)) return host;
+
+    const labels = host.split('.');
+    const lastTwo = labels.slice(-2).join('.');
+    const take = MULTI_PART_SUFFIXES.includes(lastTwo) ? 3 : 2;
+    return labels.slice(-take).join('.');
+}
+
+// ===== STRUCTURAL CHECKS =====
+
+/**
+ * Inspect a URL's structure for phishing signals (no network or database access)
+ * @param {string} rawUrl - URL or bare domain
+ * @returns {Object} { url, hostname, domain, unicodeHostname, signals: [{ id, description, weight }] }
+ */
+export function inspectUrlStructure(rawUrl) {
+    const parsed = parseUrl(rawUrl);
+    if (!parsed) {
+        return {
+            url: rawUrl,
+            hostname: null,
+            domain: null,
+            signals: [{ id: 'invalid_url', description: 'Not a valid web address', weight: SIGNAL_WEIGHTS.invalid_url }]
+        };
+    }
+
+    const hostname = parsed.hostname.toLowerCase();
+    const unicodeHostname = domainToUnicode(hostname) || hostname;
+    const domain = getRegistrableDomain(hostname);
+    const signals = [];
+    const add = (id, description) => signals.push({ id, description, weight: SIGNAL_WEIGHTS[id] });
+
+    if (isIpLiteral(hostname)) {
+        add('ip_literal', 'Links to a raw IP address instead of a domain name');
+    }
+
+    if (hostname.split('.').some(label => label.startsWith('xn--'))) {
+        add('punycode', `Internationalised domain displayed as "${unicodeHostname}"`);
+    }
+
+    // Non-ASCII characters that map onto latin letters
+    const unicodeLabel = getRegistrableDomain(unicodeHostname).split('.')[0];
+    if (/[^\x00-\x7f]/.test(unicodeLabel) && skeleton(unicodeLabel) !== unicodeLabel) {
+        add('homoglyph', `Uses look-alike characters ("${unicodeLabel}" reads as "${skeleton(unicodeLabel)}")`);
+    }
+
+    if (URL_SHORTENERS.includes(domain) || URL_SHORTENERS.includes(hostname)) {
+        add('url_shortener', 'URL shortener hides the real destination');
+    }
+
+    const tld = hostname.split('.').pop();
+    if (SUSPICIOUS_TLDS.includes(tld)) {
+        add('suspicious_tld', `The ".${tld}" domain ending is common in scam campaigns`);
+    }
+
+    const subdomainCount = isIpLiteral(hostname)
+        ? 0
+        : hostname.replace(/^www\./, '').split('.').length - domain.split('.').length;
+    if (subdomainCount >= 3) {
+        add('excessive_subdomains', `Has ${subdomainCount} levels of subdomains`);
+    }
+
+    if (parsed.username || parsed.password) {
+        add('credentials_in_url', 'Contains an "@" trick that hides the real destination');
+    }
+
+    if (parsed.port && !['80', '443'].includes(parsed.port)) {
+        add('non_standard_port', `Uses unusual port ${parsed.port}`);
+    }
+
+    if (parsed.protocol === 'http:' && /^https?:\/\//i.test(rawUrl.trim())) {
+        add('no_https', 'Does not use a secure (HTTPS) connection');
+    }
+
+    // Look-alike of a protected brand (e.g. paypa1.com, gtbank-secure.com)
+    if (!isIpLiteral(hostname)) {
+        const rawLabel = getRegistrableDomain(unicodeHostname).split('.')[0];
+        const label = skeleton(rawLabel);
+        const labelParts = rawLabel.split('-').map(skeleton);
+
+        if (!OFFICIAL_DOMAINS.has(domain)) {
+            for (const [brand, brandDomain] of Object.entries(PROTECTED_BRANDS)) {
+                const distance = levenshtein(label, brand);
+                const closeTypo = brand.length >= 5 && distance > 0 && distance <= (brand.length >= 8 ? 2 : 1);
+                // Brand as a hyphenated word or glued to a phishing word (secure-gtbank,
+                // paypalsecure), not any substring (pineapple, applebees)
+                const containsBrand = label !== brand && (labelParts.includes(brand) || hasPhishingAffix(label, brand));
+                if (label === brand || closeTypo || containsBrand) {
+                    add('lookalike_domain', `Imitates ${brandDomain}`);
+                    break;
+                }
+            }
+
+            // Brand name used as a subdomain of an unrelated domain (paypal.com.secure-login.xyz)
+            const subdomainPart = hostname.slice(0, Math.max(0, hostname.length - domain.length - 1));
+            const hiddenBrand = Object.keys(PROTECTED_BRANDS).find(brand => subdomainPart.split(/[.-]/).includes(brand));
+            if (hiddenBrand) {
+                add('brand_in_subdomain', `Puts "${hiddenBrand}" in front of the unrelated domain ${domain}`);
+            }
+        }
+    }
+
+    return { url: parsed.href, hostname, unicodeHostname, domain, signals };
+}
+
+/**
+ * Convert a list of signals into a 0-100 risk score and level
+ * @param {Array} signals - [{ weight }]
+ * @returns {Object} { riskScore, riskLevel }
+ */
+export function scoreSignals(signals) {
+    const riskScore = Math.min(100, signals.reduce((sum, s) => sum + (s.weight || 0), 0));
+    let riskLevel = 'low';
+    if (riskScore >= 60) riskLevel = 'high';
+    else if (riskScore >= 30) riskLevel = 'medium';
+    return { riskScore, riskLevel };
+}